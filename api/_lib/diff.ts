@@ -0,0 +1,31 @@
+// Snapshot diffs for the SSE stream, keyed by icao24 (state vector index 0)
+// `base` is the time of the snapshot the diff applies to, so clients can detect gaps.
+
+import type { FlightData } from './history.js';
+
+export interface SnapshotDiff {
+  base: number;
+  time: number;
+  added: any[][];
+  updated: any[][];
+  removed: string[];
+}
+
+export function diffSnapshots(prev: FlightData, next: FlightData): SnapshotDiff {
+  const previous = new Map<string, any[]>();
+  prev.states.forEach(state => previous.set(state[0], state));
+
+  const added: any[][] = [];
+  const updated: any[][] = [];
+  next.states.forEach(state => {
+    const old = previous.get(state[0]);
+    if (!old) {
+      added.push(state);
+    } else {
+      previous.delete(state[0]);
+      if (JSON.stringify(old) !== JSON.stringify(state)) updated.push(state);
+    }
+  });
+
+  return { base: prev.time, time: next.time, added, updated, removed: [...previous.keys()] };
+}
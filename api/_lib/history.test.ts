@@ -0,0 +1,95 @@
+import { describe, expect, it } from 'vitest';
+import { MemoryRedis } from './redis.js';
+import {
+  appendSnapshot, readHistory, readHistoryPage, readLatest,
+  HISTORY_KEY, HISTORY_TTL_SECONDS, MAX_HISTORY_PAGE_SNAPSHOTS
+} from './history.js';
+
+const T0 = 1_700_000_000;
+
+function snapshot(time: number) {
+  return { time, states: [['abc123', 'TAM3054 ', 'Brazil', time - 2, time - 1, -46.6, -23.5, 10000, false]] };
+}
+
+async function filledStore(count: number, step = 300): Promise<MemoryRedis> {
+  const redis = new MemoryRedis();
+  for (let i = 0; i < count; i++) await appendSnapshot(redis, snapshot(T0 + i * step));
+  return redis;
+}
+
+describe('appendSnapshot', () => {
+  it('stores the snapshot in the history and as the latest', async () => {
+    const redis = new MemoryRedis();
+    await appendSnapshot(redis, snapshot(T0));
+
+    expect(await readHistory(redis, T0, T0)).toEqual([snapshot(T0)]);
+    const latest = await readLatest(redis);
+    expect(latest.data).toEqual(snapshot(T0));
+    expect(typeof latest.timestamp).toBe('number');
+  });
+
+  it('replaces a snapshot appended twice', async () => {
+    const redis = new MemoryRedis();
+    await appendSnapshot(redis, snapshot(T0));
+    await appendSnapshot(redis, snapshot(T0));
+    expect(await readHistory(redis, -Infinity, Infinity)).toHaveLength(1);
+  });
+
+  it('trims snapshots older than the TTL behind the newest', async () => {
+    const redis = new MemoryRedis();
+    await appendSnapshot(redis, snapshot(T0));
+    await appendSnapshot(redis, snapshot(T0 + 600));
+    await appendSnapshot(redis, snapshot(T0 + HISTORY_TTL_SECONDS + 300));
+
+    const times = (await readHistory(redis, -Infinity, Infinity)).map(s => s.time);
+    expect(times).toEqual([T0 + 600, T0 + HISTORY_TTL_SECONDS + 300]);
+  });
+});
+
+describe('readHistory', () => {
+  it('returns the snapshots in the range, oldest first', async () => {
+    const redis = await filledStore(5);
+    const times = (await readHistory(redis, T0 + 300, T0 + 900)).map(s => s.time);
+    expect(times).toEqual([T0 + 300, T0 + 600, T0 + 900]);
+  });
+
+  it('stops at the limit', async () => {
+    const redis = await filledStore(5);
+    expect((await readHistory(redis, T0, T0 + 1200, 2)).map(s => s.time)).toEqual([T0, T0 + 300]);
+  });
+
+  it('skips members that are not snapshots', async () => {
+    const redis = await filledStore(1);
+    await redis.zadd(HISTORY_KEY, { score: T0 + 1, member: 'not json' });
+    expect(await readHistory(redis, T0, T0 + 1)).toEqual([snapshot(T0)]);
+  });
+});
+
+describe('readHistoryPage', () => {
+  it('pages through the range with the `next` cursor', async () => {
+    const count = MAX_HISTORY_PAGE_SNAPSHOTS * 2 + 3;
+    const redis = await filledStore(count);
+    const to = T0 + count * 300;
+
+    const times: number[] = [];
+    let from: number | null = T0;
+    let pages = 0;
+    while (from !== null) {
+      const page = await readHistoryPage(redis, from, to);
+      expect(page.snapshots.length).toBeLessThanOrEqual(MAX_HISTORY_PAGE_SNAPSHOTS);
+      times.push(...page.snapshots.map(s => s.time));
+      from = page.next;
+      pages++;
+    }
+
+    expect(pages).toBe(3);
+    expect(times).toEqual(Array.from({ length: count }, (_, i) => T0 + i * 300));
+  });
+
+  it('has no next page when everything fits', async () => {
+    const redis = await filledStore(MAX_HISTORY_PAGE_SNAPSHOTS);
+    const page = await readHistoryPage(redis, T0, T0 + 24 * 60 * 60);
+    expect(page.snapshots).toHaveLength(MAX_HISTORY_PAGE_SNAPSHOTS);
+    expect(page.next).toBeNull();
+  });
+});
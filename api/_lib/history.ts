@@ -0,0 +1,71 @@
+// Time-series of flight snapshots in Redis
+// Snapshots live in a sorted set scored by their OpenSky `time` (epoch seconds);
+// the latest one is also kept under the keys the original flight-data endpoint reads.
+
+import type { RedisLike } from './redis.js';
+
+export interface FlightData {
+  time: number;
+  states: any[][];
+}
+
+export const HISTORY_KEY = 'flight_snapshots';
+export const FLIGHT_DATA_KEY = 'flight_data';
+export const FLIGHT_DATA_TIMESTAMP_KEY = 'flight_data_timestamp';
+
+// How long snapshots are kept (override with FLIGHT_HISTORY_TTL_SECONDS)
+export const HISTORY_TTL_SECONDS = Number(process.env.FLIGHT_HISTORY_TTL_SECONDS) || 24 * 60 * 60;
+// Largest window a single history request may cover, to keep responses reasonable
+export const MAX_HISTORY_RANGE_SECONDS = 6 * 60 * 60;
+// Snapshots per history page: an hour of polls, well under Vercel's 4.5 MB response limit for Brazil
+export const MAX_HISTORY_PAGE_SNAPSHOTS = 12;
+
+function parseMember(member: unknown): FlightData | null {
+  // Upstash deserialises JSON members automatically; the memory stand-in returns strings
+  try {
+    const data = typeof member === 'string' ? JSON.parse(member) : member;
+    return data && typeof (data as FlightData).time === 'number' ? data as FlightData : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function appendSnapshot(redis: RedisLike, data: FlightData): Promise<void> {
+  const serialized = JSON.stringify({ time: data.time, states: data.states });
+  await redis.zadd(HISTORY_KEY, { score: data.time, member: serialized });
+  await redis.zremrangebyscore(HISTORY_KEY, '-inf', data.time - HISTORY_TTL_SECONDS);
+  await redis.expire(HISTORY_KEY, HISTORY_TTL_SECONDS);
+
+  await redis.set(FLIGHT_DATA_KEY, serialized);
+  await redis.set(FLIGHT_DATA_TIMESTAMP_KEY, Date.now());
+}
+
+// Snapshots in [from, to], oldest first; at most `limit` when given
+export async function readHistory(redis: RedisLike, from: number, to: number, limit?: number): Promise<FlightData[]> {
+  const members = await redis.zrange(HISTORY_KEY, from, to, limit === undefined
+    ? { byScore: true }
+    : { byScore: true, offset: 0, count: limit });
+  return members.map(parseMember).filter((d): d is FlightData => d !== null);
+}
+
+// One page of snapshots in [from, to]; `next` is the `from` of the following page, null after the last
+export async function readHistoryPage(
+  redis: RedisLike,
+  from: number,
+  to: number,
+  limit = MAX_HISTORY_PAGE_SNAPSHOTS
+): Promise<{ snapshots: FlightData[]; next: number | null }> {
+  // One extra tells whether there is another page
+  const snapshots = await readHistory(redis, from, to, limit + 1);
+  if (snapshots.length <= limit) return { snapshots, next: null };
+  return { snapshots: snapshots.slice(0, limit), next: snapshots[limit].time };
+}
+
+export async function readLatest(redis: RedisLike): Promise<{ data: FlightData | null; timestamp: number | null }> {
+  const raw = await redis.get<unknown>(FLIGHT_DATA_KEY);
+  const timestamp = await redis.get<number>(FLIGHT_DATA_TIMESTAMP_KEY);
+  return {
+    data: raw ? parseMember(raw) : null,
+    timestamp: typeof timestamp === 'number' ? timestamp : null
+  };
+}
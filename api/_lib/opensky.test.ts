@@ -0,0 +1,34 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { OpenSkyAuthError, openskyAccessToken } from './opensky.js';
+
+// Token endpoint that only accepts `secret` for `client`
+function stubTokenEndpoint() {
+  const fetchMock = vi.fn(async (_url: string, init: RequestInit) => {
+    const params = new URLSearchParams(String(init.body));
+    if (params.get('client_id') === 'client' && params.get('client_secret') === 'secret') {
+      return new Response(JSON.stringify({ access_token: 'token-1', expires_in: 1800 }), { status: 200 });
+    }
+    return new Response('invalid_client', { status: 401 });
+  });
+  vi.stubGlobal('fetch', fetchMock);
+  return fetchMock;
+}
+
+describe('openskyAccessToken', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('reuses the cached token for the same client id and secret', async () => {
+    const fetchMock = stubTokenEndpoint();
+    expect(await openskyAccessToken('client', 'secret')).toBe('token-1');
+    expect(await openskyAccessToken('client', 'secret')).toBe('token-1');
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not hand the cached token to a request with the wrong secret', async () => {
+    stubTokenEndpoint();
+    expect(await openskyAccessToken('client', 'secret')).toBe('token-1');
+    await expect(openskyAccessToken('client', 'wrong')).rejects.toBeInstanceOf(OpenSkyAuthError);
+  });
+});
@@ -0,0 +1,189 @@
+// Server-side OpenSky access shared by the proxy and the polling worker
+
+import { createHash } from 'node:crypto';
+
+export const OPENSKY_STATES_URL = 'https://opensky-network.org/api/states/all';
+export const OPENSKY_TOKEN_URL = 'https://auth.opensky-network.org/auth/realms/opensky-network/protocol/openid-connect/token';
+
+// Request header carrying client-entered OAuth2 client credentials, base64("id:secret")
+export const CLIENT_CREDENTIALS_HEADER = 'x-opensky-client-credentials';
+
+// Same box as BRAZIL_BOUNDS in src/api/opensky.ts
+export const BRAZIL_BOUNDS = {
+  lamin: -33.75,
+  lomin: -73.99,
+  lamax: 5.27,
+  lomax: -32.43
+};
+
+// OpenSky's credit headers, passed on to the browser so it can pace its polling
+export const RATE_LIMIT_HEADERS = ['x-rate-limit-remaining', 'x-rate-limit-retry-after-seconds'];
+
+// 8s to stay within Vercel's 10s limit
+const REQUEST_TIMEOUT_MS = 8000;
+const TOKEN_TIMEOUT_MS = 4000;
+// Refresh tokens this long before they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+// OAuth2 client credentials (with an optional Basic header to fall back to), HTTP Basic, or anonymous
+export type OpenSkyAuth =
+  | { type: 'oauth'; clientId: string; clientSecret: string; fallback: string | null }
+  | { type: 'basic'; header: string }
+  | null;
+
+function basicHeader(username: string, password: string): string {
+  return `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+}
+
+function decodeClientCredentials(value: string | undefined): { clientId: string; clientSecret: string } | null {
+  if (!value) return null;
+  const decoded = Buffer.from(value, 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  if (separator <= 0 || separator === decoded.length - 1) return null;
+  return { clientId: decoded.slice(0, separator), clientSecret: decoded.slice(separator + 1) };
+}
+
+// Server-side credentials win over credentials forwarded by the client, and client credentials over Basic
+export function openskyAuth(clientHeaders: Record<string, any> = {}): OpenSkyAuth {
+  const { OPENSKY_CLIENT_ID, OPENSKY_CLIENT_SECRET, OPENSKY_USERNAME, OPENSKY_PASSWORD } = process.env;
+  const serverBasic = OPENSKY_USERNAME && OPENSKY_PASSWORD ? basicHeader(OPENSKY_USERNAME, OPENSKY_PASSWORD) : null;
+
+  if (OPENSKY_CLIENT_ID && OPENSKY_CLIENT_SECRET) {
+    console.log('[OpenSky] Using server-side client credentials');
+    return { type: 'oauth', clientId: OPENSKY_CLIENT_ID, clientSecret: OPENSKY_CLIENT_SECRET, fallback: serverBasic };
+  }
+  if (serverBasic) {
+    console.log('[OpenSky] Using server-side credentials');
+    return { type: 'basic', header: serverBasic };
+  }
+
+  const clientAuthorization = typeof clientHeaders.authorization === 'string' ? clientHeaders.authorization : null;
+  const clientCredentials = decodeClientCredentials(clientHeaders[CLIENT_CREDENTIALS_HEADER]);
+  if (clientCredentials) {
+    console.log('[OpenSky] Using client-forwarded client credentials');
+    return { type: 'oauth', ...clientCredentials, fallback: clientAuthorization };
+  }
+  if (clientAuthorization) {
+    console.log('[OpenSky] Using client-forwarded credentials');
+    return { type: 'basic', header: clientAuthorization };
+  }
+  console.log('[OpenSky] No credentials (anonymous)');
+  return null;
+}
+
+// The token endpoint rejected the client id/secret
+export class OpenSkyAuthError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'OpenSkyAuthError';
+  }
+}
+
+// Access tokens by client id and secret hash; survive between invocations while the function instance is warm
+const tokenCache: Record<string, { token: string; expiresAt: number }> = {};
+// Token requests in flight, so concurrent requests share one
+const pendingTokens: Record<string, Promise<string>> = {};
+
+// The secret is part of the key, so knowing a client id alone never reaches that client's token
+function tokenKey(clientId: string, clientSecret: string): string {
+  return `${clientId}:${createHash('sha256').update(clientSecret).digest('hex')}`;
+}
+
+async function requestToken(key: string, clientId: string, clientSecret: string): Promise<string> {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), TOKEN_TIMEOUT_MS);
+  try {
+    const response = await fetch(OPENSKY_TOKEN_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ grant_type: 'client_credentials', client_id: clientId, client_secret: clientSecret }).toString(),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      const message = `Token request failed: ${response.status} ${text.slice(0, 200)}`;
+      throw response.status === 400 || response.status === 401 ? new OpenSkyAuthError(message) : new Error(message);
+    }
+    const body = await response.json();
+    if (typeof body.access_token !== 'string') throw new Error('Token response has no access_token');
+    const expiresIn = typeof body.expires_in === 'number' ? body.expires_in : 300;
+    tokenCache[key] = { token: body.access_token, expiresAt: Date.now() + expiresIn * 1000 - TOKEN_EXPIRY_MARGIN_MS };
+    return body.access_token;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Cached bearer token for a client, fetched when missing, expiring, or when `refresh` is set
+export async function openskyAccessToken(clientId: string, clientSecret: string, refresh = false): Promise<string> {
+  const key = tokenKey(clientId, clientSecret);
+  const cached = tokenCache[key];
+  if (!refresh && cached && cached.expiresAt > Date.now()) return cached.token;
+  if (refresh) delete tokenCache[key];
+
+  if (!pendingTokens[key]) {
+    pendingTokens[key] = requestToken(key, clientId, clientSecret).finally(() => {
+      delete pendingTokens[key];
+    });
+  }
+  return pendingTokens[key];
+}
+
+async function request(url: string, authorization: string | null, method: string): Promise<Response> {
+  const headers: HeadersInit = {
+    Accept: 'application/json',
+    'User-Agent': 'Brazil-Flight-Tracker/1.0'
+  };
+  if (authorization) {
+    headers['Authorization'] = authorization;
+  }
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    return await fetch(url, { method, headers, signal: controller.signal });
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Throws an AbortError when OpenSky doesn't answer in time. With client credentials, a 401 refreshes
+// the token and retries once; if no token can be had, the Basic fallback (if any) is used instead.
+export async function fetchOpenSky(url: string, auth: OpenSkyAuth, method = 'GET'): Promise<Response> {
+  if (!auth) return request(url, null, method);
+  if (auth.type === 'basic') return request(url, auth.header, method);
+
+  let token: string;
+  try {
+    token = await openskyAccessToken(auth.clientId, auth.clientSecret);
+  } catch (error: any) {
+    if (!auth.fallback) throw error;
+    console.warn(`[OpenSky] ${error.message}; falling back to Basic auth`);
+    return request(url, auth.fallback, method);
+  }
+
+  const response = await request(url, `Bearer ${token}`, method);
+  if (response.status !== 401) return response;
+
+  console.log('[OpenSky] 401 with cached token, refreshing and retrying once');
+  token = await openskyAccessToken(auth.clientId, auth.clientSecret, true);
+  return request(url, `Bearer ${token}`, method);
+}
+
+export function brazilStatesUrl(): string {
+  const params = new URLSearchParams({
+    lamin: BRAZIL_BOUNDS.lamin.toString(),
+    lomin: BRAZIL_BOUNDS.lomin.toString(),
+    lamax: BRAZIL_BOUNDS.lamax.toString(),
+    lomax: BRAZIL_BOUNDS.lomax.toString()
+  });
+  return `${OPENSKY_STATES_URL}?${params.toString()}`;
+}
+
+// Copies the credit headers from an OpenSky response onto the proxy response (also for errors such as 429)
+export function forwardRateLimitHeaders(response: Response, res: any): void {
+  RATE_LIMIT_HEADERS.forEach(name => {
+    const value = response.headers.get(name);
+    if (value !== null) res.setHeader(name, value);
+  });
+}
@@ -0,0 +1,83 @@
+// Redis access shared by the serverless functions (files under api/_lib are not routes)
+// Uses Upstash when configured; FLIGHT_HISTORY_STORE=memory selects an in-process stand-in
+// for local runs and tests. For a real local Redis, point UPSTASH_REDIS_REST_URL at a
+// serverless-redis-http (SRH) container instead.
+
+import { Redis } from '@upstash/redis';
+
+// The subset of the Upstash client the history store relies on
+export interface RedisLike {
+  get<T>(key: string): Promise<T | null>;
+  set(key: string, value: unknown): Promise<unknown>;
+  zadd(key: string, entry: { score: number; member: string }): Promise<unknown>;
+  zrange(key: string, min: number, max: number, options: { byScore: true; offset?: number; count?: number }): Promise<unknown[]>;
+  zremrangebyscore(key: string, min: number | string, max: number | string): Promise<unknown>;
+  expire(key: string, seconds: number): Promise<unknown>;
+}
+
+export class MemoryRedis implements RedisLike {
+  private values = new Map<string, unknown>();
+  private sortedSets = new Map<string, { score: number; member: string }[]>();
+
+  async get<T>(key: string): Promise<T | null> {
+    return (this.values.get(key) as T) ?? null;
+  }
+
+  async set(key: string, value: unknown): Promise<unknown> {
+    this.values.set(key, value);
+    return 'OK';
+  }
+
+  async zadd(key: string, entry: { score: number; member: string }): Promise<unknown> {
+    const set = (this.sortedSets.get(key) || []).filter(e => e.member !== entry.member);
+    set.push(entry);
+    set.sort((a, b) => a.score - b.score);
+    this.sortedSets.set(key, set);
+    return 1;
+  }
+
+  async zrange(key: string, min: number, max: number, options?: { offset?: number; count?: number }): Promise<unknown[]> {
+    const members = (this.sortedSets.get(key) || [])
+      .filter(e => e.score >= min && e.score <= max)
+      .map(e => e.member);
+    const offset = options?.offset ?? 0;
+    return options?.count !== undefined ? members.slice(offset, offset + options.count) : members.slice(offset);
+  }
+
+  async zremrangebyscore(key: string, min: number | string, max: number | string): Promise<unknown> {
+    const lo = min === '-inf' ? -Infinity : Number(min);
+    const hi = max === '+inf' ? Infinity : Number(max);
+    const set = this.sortedSets.get(key) || [];
+    const kept = set.filter(e => e.score < lo || e.score > hi);
+    this.sortedSets.set(key, kept);
+    return set.length - kept.length;
+  }
+
+  // TTLs are not simulated; pruning by score keeps the stand-in bounded
+  async expire(): Promise<unknown> {
+    return 1;
+  }
+}
+
+let client: RedisLike | null | undefined;
+
+export function getRedis(): RedisLike | null {
+  if (client !== undefined) return client;
+
+  if (process.env.FLIGHT_HISTORY_STORE === 'memory') {
+    client = new MemoryRedis();
+  } else if (process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN) {
+    client = new Redis({
+      url: process.env.UPSTASH_REDIS_REST_URL,
+      token: process.env.UPSTASH_REDIS_REST_TOKEN
+    }) as unknown as RedisLike;
+  } else {
+    client = null;
+  }
+  return client;
+}
+
+// Lets tests swap in their own client
+export function setRedis(redis: RedisLike | null): void {
+  client = redis;
+}
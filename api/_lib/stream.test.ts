@@ -0,0 +1,53 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import handler from '../flight-data/stream.js';
+import { appendSnapshot, MAX_HISTORY_PAGE_SNAPSHOTS } from './history.js';
+import { MemoryRedis, setRedis } from './redis.js';
+
+const STEP = 300;
+
+// Snapshots every STEP seconds up to now; returns their times, oldest first
+async function storeSnapshots(count: number): Promise<number[]> {
+  const redis = new MemoryRedis();
+  setRedis(redis);
+  const newest = Math.floor(Date.now() / 1000) - 10;
+  const times = Array.from({ length: count }, (_, i) => newest - (count - 1 - i) * STEP);
+  for (const time of times) await appendSnapshot(redis, { time, states: [] });
+  return times;
+}
+
+// Runs the handler for a client that disconnects straight after the replay; returns the events sent
+async function resume(lastEventId: number): Promise<{ event: string; id: number }[]> {
+  let body = '';
+  const req = { method: 'GET', headers: { 'last-event-id': String(lastEventId) }, query: {}, on: (_: string, close: () => void) => close() };
+  const res = {
+    setHeader() {},
+    writeHead() {},
+    write(chunk: string) { body += chunk; },
+    end() {}
+  };
+  await handler(req, res);
+  return [...body.matchAll(/event: (\w+)\nid: (\d+)/g)].map(([, event, id]) => ({ event, id: Number(id) }));
+}
+
+describe('stream resume', () => {
+  afterEach(() => {
+    setRedis(undefined as any);
+  });
+
+  it('replays the missed snapshots as diffs', async () => {
+    const times = await storeSnapshots(5);
+    expect(await resume(times[1])).toEqual(times.slice(2).map(id => ({ event: 'diff', id })));
+  });
+
+  it('replays up to a page of diffs', async () => {
+    const times = await storeSnapshots(MAX_HISTORY_PAGE_SNAPSHOTS + 1);
+    const events = await resume(times[0]);
+    expect(events).toHaveLength(MAX_HISTORY_PAGE_SNAPSHOTS);
+    expect(events.every(e => e.event === 'diff')).toBe(true);
+  });
+
+  it('sends one full snapshot to a client more than a page behind', async () => {
+    const times = await storeSnapshots(MAX_HISTORY_PAGE_SNAPSHOTS + 5);
+    expect(await resume(times[0])).toEqual([{ event: 'snapshot', id: times[times.length - 1] }]);
+  });
+});
@@ -0,0 +1,166 @@
+// Compact columnar wire format for state vectors, negotiated via `Accept`
+// Layout (decoder in src/utils/storage.ts must match):
+//   uint32 header length | header JSON (utf-8) | zero padding to a 4-byte boundary | columns
+// Header: { v, time, base, count, removed, icao24, callsign, squawk, countries }
+// Columns, `count` entries each, in this order (platform byte order, i.e. little-endian):
+//   Int32  lon, lat (1e-5 deg), timePosition, lastContact (seconds relative to `time`)
+//   Int16  baroAltitude, geoAltitude (m), verticalRate (0.01 m/s)
+//   Uint16 velocity (0.1 m/s), trueTrack (0.01 deg), country (index into `countries`)
+//   Uint8  flags (1 = on ground, 2 = SPI), positionSource
+// Missing values use the type's sentinel (INT32_MIN, INT16_MIN, UINT16_MAX, UINT8_MAX).
+// With `base` set, rows hold only aircraft that were added or changed since that snapshot
+// and `removed` lists the icao24s that disappeared; sensors (index 12) are not transmitted.
+
+import { readHistory } from './history.js';
+import type { FlightData } from './history.js';
+import type { RedisLike } from './redis.js';
+
+export const COLUMNAR_MIME = 'application/vnd.flightradar.columnar';
+export const WIRE_VERSION = 1;
+
+const INT32_NULL = -2147483648;
+const INT16_NULL = -32768;
+const UINT16_NULL = 65535;
+const UINT8_NULL = 255;
+
+function quantise(value: unknown, scale: number, min: number, max: number, nullValue: number): number {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return nullValue;
+  return Math.max(min, Math.min(max, Math.round(value * scale)));
+}
+
+// Numeric columns for one state vector, as they will appear on the wire
+function quantiseState(state: any[], time: number): number[] {
+  const offset = (t: unknown) => typeof t === 'number' ? t - time : null;
+  return [
+    quantise(state[5], 1e5, -18000000, 18000000, INT32_NULL),
+    quantise(state[6], 1e5, -9000000, 9000000, INT32_NULL),
+    quantise(offset(state[3]), 1, -2147483647, 2147483647, INT32_NULL),
+    quantise(offset(state[4]), 1, -2147483647, 2147483647, INT32_NULL),
+    quantise(state[7], 1, -32767, 32767, INT16_NULL),
+    quantise(state[13], 1, -32767, 32767, INT16_NULL),
+    quantise(state[11], 100, -32767, 32767, INT16_NULL),
+    quantise(state[9], 10, 0, 65534, UINT16_NULL),
+    typeof state[10] === 'number' ? Math.round(((state[10] % 360) + 360) % 360 * 100) % 36000 : UINT16_NULL,
+    (state[8] ? 1 : 0) | (state[15] ? 2 : 0),
+    typeof state[16] === 'number' ? state[16] : UINT8_NULL
+  ];
+}
+
+// Identity of a row for delta purposes: what the client would decode, time offsets made absolute
+function rowKey(state: any[], time: number): string {
+  const q = quantiseState(state, time);
+  if (q[2] !== INT32_NULL) q[2] += time;
+  if (q[3] !== INT32_NULL) q[3] += time;
+  return `${state[1] ?? ''}|${state[2] ?? ''}|${state[14] ?? ''}|${q.join(',')}`;
+}
+
+export function encodeColumnar(data: FlightData, base: FlightData | null = null): Buffer {
+  let rows = data.states;
+  let removed: string[] = [];
+
+  if (base) {
+    const previous = new Map<string, string>();
+    base.states.forEach(state => previous.set(state[0], rowKey(state, base.time)));
+    rows = data.states.filter(state => previous.get(state[0]) !== rowKey(state, data.time));
+    const current = new Set(data.states.map(state => state[0]));
+    removed = [...previous.keys()].filter(icao24 => !current.has(icao24));
+  }
+
+  // Origin countries repeat a lot, so they go out as a dictionary plus an index column
+  const countries: string[] = [];
+  const countryIndex = new Map<string, number>();
+  const countryColumn = rows.map(state => {
+    const name = state[2] ?? '';
+    if (!countryIndex.has(name)) {
+      countryIndex.set(name, countries.length);
+      countries.push(name);
+    }
+    return countryIndex.get(name)!;
+  });
+
+  const count = rows.length;
+  const headerBytes = Buffer.from(JSON.stringify({
+    v: WIRE_VERSION,
+    time: data.time,
+    base: base ? base.time : null,
+    count,
+    removed,
+    icao24: rows.map(state => state[0]),
+    callsign: rows.map(state => state[1] ?? null),
+    squawk: rows.map(state => state[14] ?? null),
+    countries
+  }), 'utf-8');
+
+  const headerEnd = Math.ceil((4 + headerBytes.length) / 4) * 4;
+  const total = headerEnd + count * (4 * 4 + 3 * 2 + 3 * 2 + 2 * 1);
+  const buffer = new ArrayBuffer(total);
+  new DataView(buffer).setUint32(0, headerBytes.length, true);
+  new Uint8Array(buffer, 4, headerBytes.length).set(headerBytes);
+
+  let offset = headerEnd;
+  const column = <T extends Int32Array | Int16Array | Uint16Array | Uint8Array>(
+    Type: { new(buffer: ArrayBuffer, byteOffset: number, length: number): T; BYTES_PER_ELEMENT: number }
+  ): T => {
+    const array = new Type(buffer, offset, count);
+    offset += count * Type.BYTES_PER_ELEMENT;
+    return array;
+  };
+
+  const lon = column(Int32Array), lat = column(Int32Array);
+  const timePosition = column(Int32Array), lastContact = column(Int32Array);
+  const baroAltitude = column(Int16Array), geoAltitude = column(Int16Array), verticalRate = column(Int16Array);
+  const velocity = column(Uint16Array), trueTrack = column(Uint16Array), country = column(Uint16Array);
+  const flags = column(Uint8Array), positionSource = column(Uint8Array);
+
+  rows.forEach((state, i) => {
+    const q = quantiseState(state, data.time);
+    lon[i] = q[0];
+    lat[i] = q[1];
+    timePosition[i] = q[2];
+    lastContact[i] = q[3];
+    baroAltitude[i] = q[4];
+    geoAltitude[i] = q[5];
+    verticalRate[i] = q[6];
+    velocity[i] = q[7];
+    trueTrack[i] = q[8];
+    country[i] = countryColumn[i];
+    flags[i] = q[9];
+    positionSource[i] = q[10];
+  });
+
+  return Buffer.from(buffer);
+}
+
+export function acceptsColumnar(accept: string | undefined): boolean {
+  return !!accept && accept.includes(COLUMNAR_MIME);
+}
+
+// Sends a snapshot as columnar (delta against ?base= when that snapshot is still stored)
+// or as the usual { success, data, timestamp } JSON, depending on the Accept header
+export async function sendSnapshot(
+  req: any,
+  res: any,
+  data: FlightData,
+  timestamp: number | null,
+  redis: RedisLike | null
+) {
+  res.setHeader('Vary', 'Accept');
+  if (!acceptsColumnar(req.headers?.accept)) {
+    return res.status(200).json({ success: true, data, timestamp });
+  }
+
+  const baseTime = Number(req.query?.base);
+  let base: FlightData | null = null;
+  if (baseTime === data.time) {
+    base = data;
+  } else if (redis && Number.isFinite(baseTime) && baseTime > 0) {
+    const [snapshot] = await readHistory(redis, baseTime, baseTime);
+    base = snapshot ?? null;
+  }
+
+  res.setHeader('Content-Type', COLUMNAR_MIME);
+  // Same URL, different representation: keep caches from mixing them up
+  res.setHeader('ETag', `"${timestamp || '0'}-columnar"`);
+  if (timestamp) res.setHeader('X-Data-Timestamp', String(timestamp));
+  return res.status(200).send(encodeColumnar(data, base));
+}
@@ -0,0 +1,55 @@
+// Scheduled poller: fetches OpenSky once for everyone and appends the snapshot to Redis
+// Triggered by the Vercel cron in vercel.json; clients read /api/flight-data/latest and
+// /api/flight-data/history instead of each polling OpenSky themselves.
+
+import { brazilStatesUrl, fetchOpenSky, openskyAuth } from '../_lib/opensky.js';
+import { appendSnapshot } from '../_lib/history.js';
+import { getRedis } from '../_lib/redis.js';
+
+export default async function handler(req: any, res: any) {
+  // Vercel sends CRON_SECRET as a bearer token; reject anyone else when it's configured
+  const secret = process.env.CRON_SECRET;
+  if (secret && req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  const redis = getRedis();
+  if (!redis) {
+    return res.status(503).json({
+      success: false,
+      error: 'Storage not configured',
+      message: 'Set UPSTASH_REDIS_REST_URL / UPSTASH_REDIS_REST_TOKEN (or FLIGHT_HISTORY_STORE=memory locally)'
+    });
+  }
+
+  try {
+    const response = await fetchOpenSky(brazilStatesUrl(), openskyAuth());
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      console.error(`[Poller] OpenSky returned ${response.status}: ${text.slice(0, 200)}`);
+      return res.status(502).json({
+        success: false,
+        error: `OpenSky API error: ${response.status}`,
+        detail: text.slice(0, 200)
+      });
+    }
+
+    const data = await response.json();
+    if (!data || !Array.isArray(data.states)) {
+      return res.status(502).json({ success: false, error: 'Invalid response format from OpenSky API' });
+    }
+
+    const states = data.states.filter((state: any[]) => state && state[5] !== null && state[6] !== null);
+    await appendSnapshot(redis, { time: data.time, states });
+
+    console.log(`[Poller] Stored snapshot ${data.time} with ${states.length} aircraft`);
+    return res.status(200).json({ success: true, time: data.time, aircraft: states.length });
+  } catch (error: any) {
+    if (error.name === 'AbortError') {
+      console.error('[Poller] OpenSky request timed out');
+      return res.status(504).json({ success: false, error: 'OpenSky API request timed out' });
+    }
+    console.error('[Poller] Error:', error.message);
+    return res.status(500).json({ success: false, error: 'Internal server error', message: error.message });
+  }
+}
@@ -39,8 +39,8 @@ export default async function handler(req: any, res: any) {
   try {
     if (req.method === 'GET') {
       // Retrieve flight data
-      const data = await kv.get<string>(FLIGHT_DATA_KEY);
-      const timestamp = await kv.get<string>(FLIGHT_DATA_TIMESTAMP_KEY);
+      const data = await kv.get(FLIGHT_DATA_KEY);
+      const timestamp = await kv.get(FLIGHT_DATA_TIMESTAMP_KEY);
 
       if (!data) {
         return res.status(200).json({
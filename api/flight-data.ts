@@ -1,17 +1,11 @@
 // Vercel serverless function to store and retrieve flight data
 // Uses Upstash Redis (via REST) for persistent storage, or falls back to null
 
-import { Redis } from '@upstash/redis';
+import { FLIGHT_DATA_KEY, FLIGHT_DATA_TIMESTAMP_KEY } from './_lib/history.js';
+import { getRedis } from './_lib/redis.js';
+import { sendSnapshot } from './_lib/wire.js';
 
-const redis = process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN
-  ? new Redis({
-      url: process.env.UPSTASH_REDIS_REST_URL!,
-      token: process.env.UPSTASH_REDIS_REST_TOKEN!
-    })
-  : null;
-
-const FLIGHT_DATA_KEY = 'flight_data';
-const FLIGHT_DATA_TIMESTAMP_KEY = 'flight_data_timestamp';
+const redis = getRedis();
 
 export default async function handler(req: any, res: any) {
   // Handle CORS
@@ -45,11 +39,8 @@ export default async function handler(req: any, res: any) {
           res.setHeader('Cache-Control', 'public, max-age=300'); // Cache for 5 minutes
           res.setHeader('ETag', `"${timestamp || '0'}"`); // ETag for conditional requests
 
-          return res.status(200).json({
-            success: true,
-            data: flightData,
-            timestamp: typeof timestamp === 'number' ? timestamp : null
-          });
+          // Plain JSON, or the compact columnar format when the client asks for it
+          return await sendSnapshot(req, res, flightData, typeof timestamp === 'number' ? timestamp : null, redis);
         } catch (kvError: any) {
           console.error('Upstash error:', kvError);
           // Fall through to return null
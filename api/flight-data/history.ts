@@ -0,0 +1,62 @@
+// GET /api/flight-data/history?from=&to=&limit=  (epoch seconds)
+// Returns the stored snapshots in the range, oldest first; the range is capped to 6h and the response to
+// one page of snapshots. When there are more, `next` is the `from` to ask for the next page with.
+
+import { MAX_HISTORY_PAGE_SNAPSHOTS, MAX_HISTORY_RANGE_SECONDS, readHistoryPage } from '../_lib/history.js';
+import { getRedis } from '../_lib/redis.js';
+
+export default async function handler(req: any, res: any) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const to = req.query?.to !== undefined ? Number(req.query.to) : now;
+  const from = req.query?.from !== undefined ? Number(req.query.from) : to - 60 * 60;
+  const limit = req.query?.limit !== undefined ? Number(req.query.limit) : MAX_HISTORY_PAGE_SNAPSHOTS;
+
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from > to) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid range. Expected ?from=<epoch seconds>&to=<epoch seconds> with from <= to'
+    });
+  }
+  if (!Number.isInteger(limit) || limit < 1) {
+    return res.status(400).json({ success: false, error: 'Invalid limit. Expected a positive integer' });
+  }
+
+  const redis = getRedis();
+  if (!redis) {
+    return res.status(200).json({
+      success: true,
+      snapshots: [],
+      next: null,
+      message: 'KV not configured. No shared history available.'
+    });
+  }
+
+  try {
+    const clampedFrom = Math.max(from, to - MAX_HISTORY_RANGE_SECONDS);
+    const { snapshots, next } = await readHistoryPage(redis, clampedFrom, to, Math.min(limit, MAX_HISTORY_PAGE_SNAPSHOTS));
+
+    res.setHeader('Cache-Control', 'public, max-age=60');
+    return res.status(200).json({
+      success: true,
+      from: clampedFrom,
+      to,
+      truncated: clampedFrom !== from,
+      snapshots,
+      next
+    });
+  } catch (error: any) {
+    console.error('Error in flight-data history API:', error);
+    return res.status(500).json({ success: false, error: 'Internal server error', message: error.message });
+  }
+}
@@ -0,0 +1,41 @@
+// GET /api/flight-data/latest — the most recent snapshot stored by the poller
+
+import { readLatest } from '../_lib/history.js';
+import { getRedis } from '../_lib/redis.js';
+import { sendSnapshot } from '../_lib/wire.js';
+
+export default async function handler(req: any, res: any) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const redis = getRedis();
+  if (!redis) {
+    return res.status(200).json({
+      success: true,
+      data: null,
+      timestamp: null,
+      message: 'KV not configured. Using static fallback file.'
+    });
+  }
+
+  try {
+    const { data, timestamp } = await readLatest(redis);
+    // Poller runs every 5 minutes, so a short shared cache is safe
+    res.setHeader('Cache-Control', 'public, max-age=60');
+    if (timestamp) res.setHeader('ETag', `"${timestamp}"`);
+    if (!data) return res.status(200).json({ success: true, data, timestamp });
+    // Plain JSON, or the compact columnar format when the client asks for it
+    return await sendSnapshot(req, res, data, timestamp, redis);
+  } catch (error: any) {
+    console.error('Error in flight-data latest API:', error);
+    return res.status(500).json({ success: false, error: 'Internal server error', message: error.message });
+  }
+}
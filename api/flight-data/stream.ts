@@ -0,0 +1,109 @@
+// GET /api/flight-data/stream — Server-Sent Events feed of poller snapshots
+// The first event is a full `snapshot`; every later one is a `diff` against the previous
+// snapshot. Event ids are snapshot times, so a reconnect with Last-Event-ID (header, or
+// ?lastEventId= for manual reconnects) replays missed snapshots from the Redis history as diffs.
+// Replays are capped like a history page (MAX_HISTORY_PAGE_SNAPSHOTS, MAX_HISTORY_RANGE_SECONDS);
+// a client further behind gets one full snapshot instead.
+// Each response ends before the function timeout; EventSource reconnects on its own.
+
+import { diffSnapshots } from '../_lib/diff.js';
+import { readHistory, readLatest, MAX_HISTORY_PAGE_SNAPSHOTS, MAX_HISTORY_RANGE_SECONDS } from '../_lib/history.js';
+import type { FlightData } from '../_lib/history.js';
+import { getRedis } from '../_lib/redis.js';
+
+const STREAM_DURATION_MS = (Number(process.env.SSE_MAX_DURATION_SECONDS) || 55) * 1000;
+const CHECK_INTERVAL_MS = 10 * 1000;
+const HEARTBEAT_INTERVAL_MS = 20 * 1000;
+const RETRY_MS = 5000;
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+function sendEvent(res: any, event: string, id: number, data: unknown) {
+  res.write(`event: ${event}\nid: ${id}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+export default async function handler(req: any, res: any) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Last-Event-ID');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Without shared storage there is nothing to stream; clients fall back to polling
+  const redis = getRedis();
+  if (!redis) {
+    return res.status(503).json({ success: false, error: 'Streaming requires Redis storage' });
+  }
+
+  const lastEventId = Number(req.headers['last-event-id'] ?? req.query?.lastEventId);
+
+  let closed = false;
+  req.on('close', () => { closed = true; });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  try {
+    let current: FlightData | null = null;
+
+    // Resume: diff forward from the snapshot the client already has, if it's still stored and no
+    // more than a page behind. Reads the base, a page and one more to know whether the page is enough.
+    const now = Math.floor(Date.now() / 1000);
+    if (Number.isFinite(lastEventId) && lastEventId > 0 && now - lastEventId <= MAX_HISTORY_RANGE_SECONDS) {
+      const missed = await readHistory(redis, lastEventId, now + 60, MAX_HISTORY_PAGE_SNAPSHOTS + 2);
+      if (missed.length && missed[0].time === lastEventId && missed.length <= MAX_HISTORY_PAGE_SNAPSHOTS + 1) {
+        current = missed[0];
+        for (const snapshot of missed.slice(1)) {
+          sendEvent(res, 'diff', snapshot.time, diffSnapshots(current, snapshot));
+          current = snapshot;
+        }
+      }
+    }
+
+    if (!current) {
+      const { data } = await readLatest(redis);
+      if (data) {
+        sendEvent(res, 'snapshot', data.time, data);
+        current = data;
+      }
+    }
+
+    const started = Date.now();
+    let lastWrite = Date.now();
+    while (!closed && Date.now() - started < STREAM_DURATION_MS) {
+      await sleep(CHECK_INTERVAL_MS);
+      if (closed) break;
+
+      const from = current ? current.time + 1 : 0;
+      const fresh = await readHistory(redis, from, Math.floor(Date.now() / 1000) + 60);
+      for (const snapshot of fresh) {
+        if (current) {
+          sendEvent(res, 'diff', snapshot.time, diffSnapshots(current, snapshot));
+        } else {
+          sendEvent(res, 'snapshot', snapshot.time, snapshot);
+        }
+        current = snapshot;
+        lastWrite = Date.now();
+      }
+
+      // Comment lines keep proxies from closing an idle connection
+      if (Date.now() - lastWrite >= HEARTBEAT_INTERVAL_MS) {
+        res.write(': ping\n\n');
+        lastWrite = Date.now();
+      }
+    }
+  } catch (error: any) {
+    console.error('Error in flight-data stream:', error);
+  }
+  res.end();
+}
@@ -1,7 +1,11 @@
+import { OPENSKY_STATES_URL, RATE_LIMIT_HEADERS, openskyAuth, fetchOpenSky, forwardRateLimitHeaders } from '../../_lib/opensky.js';
+
 function setCorsHeaders(res: any) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, X-OpenSky-Client-Credentials');
+  // Lets the browser read the remaining credits and retry-after time
+  res.setHeader('Access-Control-Expose-Headers', RATE_LIMIT_HEADERS.join(', '));
 }
 
 export default async function handler(req: any, res: any) {
@@ -13,7 +17,7 @@ export default async function handler(req: any, res: any) {
     return res.status(200).end();
   }
 
-  const openskyUrl = 'https://opensky-network.org/api/states/all';
+  const openskyUrl = OPENSKY_STATES_URL;
 
   // Extract query parameters
   const queryParams: Record<string, string> = {};
@@ -32,39 +36,10 @@ export default async function handler(req: any, res: any) {
   console.log(`[OpenSky Proxy] Proxying: ${fullUrl}`);
 
   try {
-    const headers: HeadersInit = {
-      Accept: 'application/json',
-      'User-Agent': 'Brazil-Flight-Tracker/1.0'
-    };
-
-    const openskyUsername = process.env.OPENSKY_USERNAME;
-    const openskyPassword = process.env.OPENSKY_PASSWORD;
-
-    if (openskyUsername && openskyPassword) {
-      const auth = Buffer.from(`${openskyUsername}:${openskyPassword}`).toString('base64');
-      headers['Authorization'] = `Basic ${auth}`;
-      console.log('[OpenSky Proxy] Using server-side credentials');
-    } else if (req.headers.authorization) {
-      headers['Authorization'] = req.headers.authorization;
-      console.log('[OpenSky Proxy] Using client-forwarded credentials');
-    } else {
-      console.log('[OpenSky Proxy] No credentials (anonymous)');
-    }
-
     // Fetch with timeout (8s to stay within Vercel's 10s limit)
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 8000);
-
-    let response: Response;
-    try {
-      response = await fetch(fullUrl, {
-        method: req.method || 'GET',
-        headers,
-        signal: controller.signal
-      });
-    } finally {
-      clearTimeout(timeout);
-    }
+    const auth = openskyAuth(req.headers);
+    const response = await fetchOpenSky(fullUrl, auth, req.method || 'GET');
+    forwardRateLimitHeaders(response, res);
 
     if (!response.ok) {
       const text = await response.text().catch(() => '');
@@ -97,6 +72,13 @@ export default async function handler(req: any, res: any) {
         message: 'The API took too long to respond. Try again shortly.'
       });
     }
+    if (error.name === 'OpenSkyAuthError') {
+      console.error(`[OpenSky Proxy] ${error.message}`);
+      return res.status(401).json({
+        error: 'OpenSky rejected the client credentials',
+        detail: error.message
+      });
+    }
     console.error('[OpenSky Proxy] Error:', error.message);
     return res.status(500).json({
       error: 'Proxy error',
@@ -0,0 +1,203 @@
+// Builds public/reference-data.json, the airports and airlines the app shows:
+// - airports from OurAirports, with their size class and runways; every aerodrome down to small airstrips in
+//   the countries of the preset regions, only large and medium airports elsewhere
+// - active airlines with an ICAO designator from OpenFlights
+//
+//   node scripts/build-reference-data.mjs [--sources-dir <dir>] [--updates-dir <dir>]
+//
+// The dataset is committed, so every deploy ships the same version; only this script (`npm run
+// build:reference`) downloads the sources, `npm run dev` and `npm run build` use the committed file.
+//
+// --sources-dir  read airports.csv, runways.csv, countries.csv and airlines.dat from <dir> instead of
+//                downloading them
+// --updates-dir  also write the diff from the dataset being replaced to <dir>/<its version>.json, and
+//                <dir>/latest.json; publish <dir> at VITE_REFERENCE_UPDATES_URL to update deployed apps
+
+import { createHash } from 'node:crypto';
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { basename, join } from 'node:path';
+
+const OUTPUT = 'public/reference-data.json';
+// Bump when the fields change; apps only apply diffs of their own format
+const FORMAT = 1;
+
+const SOURCES = {
+  airports: 'https://davidmegginson.github.io/ourairports-data/airports.csv',
+  runways: 'https://davidmegginson.github.io/ourairports-data/runways.csv',
+  countries: 'https://davidmegginson.github.io/ourairports-data/countries.csv',
+  airlines: 'https://raw.githubusercontent.com/jpatokal/openflights/master/data/airlines.dat'
+};
+
+// ISO codes of the countries in src/utils/regions.ts
+const DETAILED_COUNTRIES = ['BR', 'AR', 'CL', 'UY', 'PY', 'FK', 'PE', 'BO', 'EC', 'CO', 'VE', 'GY', 'SR', 'GF'];
+const SIZES = { large_airport: 'large', medium_airport: 'medium', small_airport: 'small' };
+const FEET_TO_METRES = 0.3048;
+
+const AIRPORT_FIELDS = ['id', 'name', 'city', 'country', 'iata', 'icao', 'latitude', 'longitude', 'altitude', 'size', 'runways'];
+const AIRLINE_FIELDS = ['id', 'name', 'alias', 'iata', 'icao', 'callsign', 'country'];
+
+// RFC 4180: quoted fields may hold commas, line breaks and "" for a quote. OpenFlights files escape
+// quotes as \" instead, so that is accepted too when `backslashEscapes` is set.
+function parseCSV(text, { backslashEscapes = false } = {}) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if ((char === '"' || (char === '\\' && backslashEscapes)) && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+// Rows of a CSV with a header line, as objects
+function parseTable(text) {
+  const [header, ...rows] = parseCSV(text);
+  return rows.map(row => Object.fromEntries(header.map((name, i) => [name, row[i] ?? ''])));
+}
+
+async function download(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status} from ${url}`);
+  return response.text();
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// Runways by OurAirports airport id: [ident, true heading of the low end or null, length in metres or null]
+function buildRunways(runways) {
+  const byAirport = {};
+  for (const r of runways) {
+    if (r.closed === '1') continue;
+    const ident = [r.le_ident, r.he_ident].filter(Boolean).join('/');
+    const heading = r.le_heading_degT === '' ? null : Math.round(Number(r.le_heading_degT));
+    const length = r.length_ft === '' ? null : Math.round(Number(r.length_ft) * FEET_TO_METRES);
+    (byAirport[r.airport_ref] ||= []).push([ident, Number.isFinite(heading) ? heading : null, Number.isFinite(length) ? length : null]);
+  }
+  return byAirport;
+}
+
+function buildAirports(airports, runways, countries) {
+  const countryNames = Object.fromEntries(countries.map(c => [c.code, c.name]));
+  const runwaysByAirport = buildRunways(runways);
+  return airports
+    .filter(a => SIZES[a.type] && (a.type !== 'small_airport' || DETAILED_COUNTRIES.includes(a.iso_country)))
+    .map(a => [
+      Number(a.id),
+      a.name,
+      a.municipality,
+      countryNames[a.iso_country] || a.iso_country,
+      a.iata_code,
+      a.icao_code || a.gps_code,
+      round(Number(a.latitude_deg), 5),
+      round(Number(a.longitude_deg), 5),
+      Number(a.elevation_ft) || 0,
+      SIZES[a.type],
+      runwaysByAirport[a.id] || []
+    ])
+    .sort((a, b) => a[0] - b[0]);
+}
+
+// OpenFlights airlines.dat has no header; \N marks a missing value
+function buildAirlines(text) {
+  const value = field => (field === '\\N' ? '' : field);
+  return parseCSV(text, { backslashEscapes: true })
+    .filter(f => f.length >= 8 && f[7] === 'Y' && value(f[4]))
+    .map(f => [Number(f[0]), f[1], value(f[2]), value(f[3]), value(f[4]), value(f[5]), f[6]])
+    .sort((a, b) => a[0] - b[0]);
+}
+
+// Rows that are new or changed, and ids that are gone
+function diffRows(previous, next) {
+  const before = new Map(previous.rows.map(row => [row[0], JSON.stringify(row)]));
+  const ids = new Set(next.rows.map(row => row[0]));
+  return {
+    upsert: next.rows.filter(row => before.get(row[0]) !== JSON.stringify(row)),
+    remove: previous.rows.map(row => row[0]).filter(id => !ids.has(id))
+  };
+}
+
+function readDataset(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = name => (args.includes(name) ? args[args.indexOf(name) + 1] : null);
+  const updatesDir = option('--updates-dir');
+  const sourcesDir = option('--sources-dir');
+  const previous = readDataset(OUTPUT);
+
+  const texts = Object.fromEntries(await Promise.all(
+    Object.entries(SOURCES).map(async ([name, url]) =>
+      [name, sourcesDir ? readFileSync(join(sourcesDir, basename(url)), 'utf8') : await download(url)])
+  ));
+
+  const airports = { fields: AIRPORT_FIELDS, rows: buildAirports(parseTable(texts.airports), parseTable(texts.runways), parseTable(texts.countries)) };
+  const airlines = { fields: AIRLINE_FIELDS, rows: buildAirlines(texts.airlines) };
+  const hash = createHash('sha256').update(JSON.stringify([airports, airlines])).digest('hex').slice(0, 8);
+  if (previous?.version.endsWith(`-${hash}`)) {
+    console.log(`Reference data unchanged (version ${previous.version})`);
+    return;
+  }
+
+  const version = `${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${hash}`;
+  const dataset = { format: FORMAT, version, generatedAt: new Date().toISOString(), sources: Object.values(SOURCES), airports, airlines };
+  writeFileSync(OUTPUT, JSON.stringify(dataset));
+  console.log(`Reference data ${version}: ${airports.rows.length} airports, ${airlines.rows.length} airlines`);
+  console.log(`Commit ${OUTPUT} so deploys ship this version`);
+
+  if (updatesDir && previous?.format === FORMAT) {
+    mkdirSync(updatesDir, { recursive: true });
+    const diff = {
+      format: FORMAT,
+      from: previous.version,
+      to: version,
+      airports: diffRows(previous.airports, airports),
+      airlines: diffRows(previous.airlines, airlines)
+    };
+    writeFileSync(join(updatesDir, `${previous.version}.json`), JSON.stringify(diff));
+    writeFileSync(join(updatesDir, 'latest.json'), JSON.stringify({ version }));
+    console.log(`Diff from ${previous.version}: ${diff.airports.upsert.length + diff.airlines.upsert.length} changed, ` +
+      `${diff.airports.remove.length + diff.airlines.remove.length} removed`);
+  }
+}
+
+main().catch(error => {
+  console.error(`Could not build reference data: ${error.message}`);
+  process.exit(1);
+});
@@ -1,15 +1,33 @@
 // OpenSky Network API integration
 // Based on: https://openskynetwork.github.io/opensky-api/rest.html
 
+import { recordQuota } from '../utils/scheduler';
+
+export interface Bounds {
+  lamin: number;
+  lomin: number;
+  lamax: number;
+  lomax: number;
+}
+
 // Brazil bounding box (approximate)
 // lat: -33.75 to 5.27, lon: -73.99 to -32.43
-export const BRAZIL_BOUNDS = {
+export const BRAZIL_BOUNDS: Bounds = {
   lamin: -33.75,
   lomin: -73.99,
   lamax: 5.27,
   lomax: -32.43
 };
 
+// Daily credits a /states/all request costs, by the area of its bounding box in square degrees
+export function openskyCreditCost(bounds: Bounds): number {
+  const area = (bounds.lamax - bounds.lamin) * (bounds.lomax - bounds.lomin);
+  if (area <= 25) return 1;
+  if (area <= 100) return 2;
+  if (area <= 400) return 3;
+  return 4;
+}
+
 // State vector indices (from OpenSky API documentation)
 export const DATA_INDEX = {
   ICAO24: 0,
@@ -31,32 +49,50 @@ export const DATA_INDEX = {
   POSITION_SOURCE: 16
 };
 
+// POSITION_SOURCE values
+export const POSITION_SOURCES: Record<number, string> = {
+  0: 'ADS-B',
+  1: 'ASTERIX',
+  2: 'MLAT',
+  3: 'FLARM'
+};
+
 export interface FlightData {
   time: number;
   states: any[][];
+  // Snapshot times of states merged in from older responses (OpenSky tiles out of view), by icao24;
+  // states not listed are as of `time`
+  stateTimes?: Record<string, number>;
 }
 
-export async function fetchBrazilFlights(
-  authHeader: string | null
+// The snapshot time a state is as of, for staleness and dead reckoning
+export function stateTime(data: FlightData, state: any[]): number {
+  return data.stateTimes?.[state[DATA_INDEX.ICAO24]] ?? data.time;
+}
+
+// `authHeaders` come from getAuthHeaders(); the proxy turns them into OpenSky auth.
+// `bounds` defaults to the Brazil box; smaller boxes cost fewer credits (see openskyCreditCost)
+export async function fetchOpenSkyFlights(
+  authHeaders: Record<string, string>,
+  bounds: Bounds = BRAZIL_BOUNDS
 ): Promise<FlightData> {
   const params = new URLSearchParams({
-    lamin: BRAZIL_BOUNDS.lamin.toString(),
-    lomin: BRAZIL_BOUNDS.lomin.toString(),
-    lamax: BRAZIL_BOUNDS.lamax.toString(),
-    lomax: BRAZIL_BOUNDS.lomax.toString()
+    lamin: bounds.lamin.toString(),
+    lomin: bounds.lomin.toString(),
+    lamax: bounds.lamax.toString(),
+    lomax: bounds.lomax.toString()
   });
 
   const url = `/api/opensky/states/all?${params.toString()}`;
   
   const headers: HeadersInit = {
-    'Accept': 'application/json'
+    'Accept': 'application/json',
+    ...authHeaders
   };
-  
-  if (authHeader) {
-    headers['Authorization'] = authHeader;
-  }
 
   const response = await fetch(url, { headers });
+  // Remaining credits / retry-after, passed on by the proxy (also on a 429)
+  recordQuota(response.headers);
 
   if (!response.ok) {
     // Try to read error detail from proxy
@@ -87,35 +123,36 @@ export async function fetchBrazilFlights(
     throw new Error('Invalid response format from OpenSky API');
   }
 
-  // Filter valid states
-  const validStates = data.states.filter((state: any[]) => {
-    if (!state || state.length < 17) return false;
-    const lon = state[DATA_INDEX.LONGITUDE];
-    const lat = state[DATA_INDEX.LATITUDE];
-    const onGround = state[DATA_INDEX.ON_GROUND];
-    const baroAltitude = state[DATA_INDEX.BARO_ALTITUDE];
-    
-    // Filter out invalid coordinates
-    if (lon === null || lat === null || (lon === 0 && lat === 0)) {
-      return false;
-    }
-    
-    // Filter out aircraft on ground
-    if (onGround === true) {
-      return false;
-    }
-    
-    // Filter out aircraft with no altitude or negative altitude
-    if (baroAltitude === null || baroAltitude < 0) {
-      return false;
-    }
-    
-    return true;
-  });
-
+  // Invalid states are dropped by the pipeline worker when the snapshot is ingested
   return {
     time: data.time,
-    states: validStates
+    states: data.states
   };
 }
 
+// Drops states with unusable positions; applied by the pipeline worker on ingest
+// (the readsb adapters also use it to skip aircraft that haven't reported a position)
+export function isValidState(state: any[]): boolean {
+  if (!state || state.length < 17) return false;
+  const lon = state[DATA_INDEX.LONGITUDE];
+  const lat = state[DATA_INDEX.LATITUDE];
+  const onGround = state[DATA_INDEX.ON_GROUND];
+  const baroAltitude = state[DATA_INDEX.BARO_ALTITUDE];
+
+  // Filter out invalid coordinates
+  if (lon === null || lat === null || (lon === 0 && lat === 0)) {
+    return false;
+  }
+
+  // Aircraft on the ground are kept; the client-side filters decide whether to show them
+  if (onGround === true) {
+    return true;
+  }
+
+  // Filter out airborne aircraft with no altitude or negative altitude
+  if (baroAltitude === null || baroAltitude < 0) {
+    return false;
+  }
+
+  return true;
+}
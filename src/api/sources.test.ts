@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { mergeFlightData } from './sources';
+import { recentTiles, storeTileResponse, tileGrid, TileCache } from './tiles';
+import { BRAZIL_BOUNDS, DATA_INDEX, FlightData } from './opensky';
+import { normaliseAircraft } from '../utils/aircraft';
+import { createAnomalyTracker, detectAnomalies } from '../utils/anomalies';
+
+function airborneState(icao24: string, lon: number, lat: number, lastContact: number): any[] {
+  const state: any[] = new Array(17).fill(null);
+  state[DATA_INDEX.ICAO24] = icao24;
+  state[DATA_INDEX.CALLSIGN] = icao24.toUpperCase();
+  state[DATA_INDEX.LAST_CONTACT] = lastContact;
+  state[DATA_INDEX.LONGITUDE] = lon;
+  state[DATA_INDEX.LATITUDE] = lat;
+  state[DATA_INDEX.BARO_ALTITUDE] = 10000;
+  state[DATA_INDEX.ON_GROUND] = false;
+  state[DATA_INDEX.VELOCITY] = 230;
+  state[DATA_INDEX.TRUE_TRACK] = 90;
+  return state;
+}
+
+// An off-screen tile fetched 10 minutes before the visible one
+function mergedTiles(): FlightData {
+  const [oldTile, freshTile] = tileGrid(BRAZIL_BOUNDS);
+  const center = (id: string) => {
+    const { bounds } = tileGrid(BRAZIL_BOUNDS).find(t => t.id === id)!;
+    return [(bounds.lomin + bounds.lomax) / 2, (bounds.lamin + bounds.lamax) / 2];
+  };
+  const cache: TileCache = {};
+  const nowMs = 1_700_001_000_000;
+  const oldTime = 1_700_000_400;
+  const freshTime = 1_700_001_000;
+
+  const [oldLon, oldLat] = center(oldTile.id);
+  storeTileResponse(cache, BRAZIL_BOUNDS, { bounds: oldTile.bounds, tiles: [oldTile.id], credits: 1 },
+    { time: oldTime, states: [airborneState('aaaaaa', oldLon, oldLat, oldTime - 5)] }, nowMs - 600_000);
+  const [freshLon, freshLat] = center(freshTile.id);
+  storeTileResponse(cache, BRAZIL_BOUNDS, { bounds: freshTile.bounds, tiles: [freshTile.id], credits: 1 },
+    { time: freshTime, states: [airborneState('bbbbbb', freshLon, freshLat, freshTime - 5)] }, nowMs);
+
+  return mergeFlightData(recentTiles(cache, nowMs));
+}
+
+describe('mergeFlightData with OpenSky tiles', () => {
+  it('keeps the snapshot time of states from an older tile', () => {
+    const merged = mergedTiles();
+    expect(merged.time).toBe(1_700_001_000);
+    expect(merged.states).toHaveLength(2);
+    expect(merged.stateTimes).toEqual({ aaaaaa: 1_700_000_400 });
+  });
+
+  it('measures staleness and dead reckoning against each state\'s own tile', () => {
+    const merged = mergedTiles();
+    const aircraft = normaliseAircraft(merged);
+    const old = aircraft.find(a => a.icao24 === 'aaaaaa')!;
+    expect(old.observedAt).toBe(1_700_000_400);
+    expect(old.timePosition).toBe(1_700_000_400);
+
+    const events = detectAnomalies(aircraft, merged.time, createAnomalyTracker());
+    expect(events.filter(e => e.kind === 'stale')).toEqual([]);
+  });
+
+  it('still flags an aircraft whose contact went stale within its own tile', () => {
+    const merged = mergedTiles();
+    merged.states.find(s => s[DATA_INDEX.ICAO24] === 'aaaaaa')![DATA_INDEX.LAST_CONTACT] = 1_700_000_400 - 120;
+    const events = detectAnomalies(normaliseAircraft(merged), merged.time, createAnomalyTracker());
+    expect(events.map(e => `${e.icao24}:${e.kind}`)).toEqual(['aaaaaa:stale']);
+  });
+});
@@ -0,0 +1,283 @@
+// Pluggable flight data sources
+// Every adapter normalises its feed into the OpenSky FlightData/DATA_INDEX state-vector shape,
+// so the rest of the app doesn't care where positions came from.
+
+import { fetchOpenSkyFlights, isValidState, stateTime, Bounds, DATA_INDEX, FlightData } from './opensky';
+import { missingTiles, planTileQuery, recentTiles, storeTileResponse, TileCache, TileQuery } from './tiles';
+import { DEFAULT_REGION_ID, RegionProfile } from '../utils/regions';
+import { fetchFlightDataCompact } from '../utils/storage';
+
+export type SourceId = 'server' | 'opensky' | 'dump1090' | 'adsbx' | 'replay';
+
+export interface SourceConfig {
+  enabled: SourceId[];
+  dump1090Url: string;
+  adsbxUrl: string;
+  adsbxApiKey: string;
+}
+
+export const SOURCE_LABELS: Record<SourceId, string> = {
+  server: 'Shared server poller',
+  opensky: 'OpenSky Network',
+  dump1090: 'dump1090 / readsb receiver',
+  adsbx: 'ADSBExchange-format API',
+  replay: 'Recorded file replay'
+};
+
+export const DEFAULT_SOURCE_CONFIG: SourceConfig = {
+  enabled: ['server'],
+  dump1090Url: 'http://localhost:8080/data/aircraft.json',
+  adsbxUrl: '',
+  adsbxApiKey: ''
+};
+
+const CONFIG_KEY = 'flight_sources';
+
+// The poller runs every 5 minutes; anything older means it has stopped
+const SERVER_MAX_AGE_MS = 15 * 60 * 1000;
+
+const FEET_TO_METRES = 0.3048;
+const KNOTS_TO_MS = 0.514444;
+const FPM_TO_MS = 0.00508;
+
+// --- Config persistence ---
+
+export function loadSourceConfig(): SourceConfig {
+  try {
+    const raw = localStorage.getItem(CONFIG_KEY);
+    return raw ? { ...DEFAULT_SOURCE_CONFIG, ...JSON.parse(raw) } : DEFAULT_SOURCE_CONFIG;
+  } catch {
+    return DEFAULT_SOURCE_CONFIG;
+  }
+}
+
+export function saveSourceConfig(config: SourceConfig): void {
+  try {
+    localStorage.setItem(CONFIG_KEY, JSON.stringify(config));
+  } catch {
+    // Storage full — non-critical
+  }
+}
+
+// --- Shared server poller (api/cron/poll.ts) ---
+
+// The poller only covers the default region
+export async function fetchServerLatest(region: RegionProfile): Promise<FlightData> {
+  if (region.id !== DEFAULT_REGION_ID) {
+    throw new Error(`The server poller doesn't cover ${region.name}`);
+  }
+  const { data, timestamp } = await fetchFlightDataCompact('/api/flight-data/latest');
+  if (!data || !Array.isArray(data.states)) {
+    throw new Error('Server has no flight data yet');
+  }
+  if (timestamp !== null && Date.now() - timestamp > SERVER_MAX_AGE_MS) {
+    throw new Error(`Server flight data is stale (${Math.round((Date.now() - timestamp) / 60000)} min old)`);
+  }
+  return { time: data.time, states: data.states };
+}
+
+// --- OpenSky, scoped to the visible tiles ---
+
+// Tile caches by region id
+const openskyTiles: Record<string, TileCache> = {};
+
+function tileCache(region: RegionProfile): TileCache {
+  return openskyTiles[region.id] || (openskyTiles[region.id] = {});
+}
+
+// What the next OpenSky poll will ask for, given the visible area (null: the whole region)
+export function nextOpenSkyQuery(region: RegionProfile, view: Bounds | null): TileQuery {
+  return planTileQuery(tileCache(region), region.bounds, view);
+}
+
+export function missingOpenSkyTiles(region: RegionProfile, view: Bounds): string[] {
+  return missingTiles(tileCache(region), region.bounds, view);
+}
+
+// Fetches the planned box and returns every recent tile merged, so aircraft out of view stay on the
+// map until their tiles get too old; states from older tiles keep their tile's time in `stateTimes`
+export async function fetchOpenSkyTiles(
+  authHeaders: Record<string, string>,
+  region: RegionProfile,
+  view: Bounds | null
+): Promise<FlightData> {
+  const cache = tileCache(region);
+  const query = planTileQuery(cache, region.bounds, view);
+  const data = await fetchOpenSkyFlights(authHeaders, query.bounds);
+  storeTileResponse(cache, region.bounds, query, data);
+  return mergeFlightData(recentTiles(cache));
+}
+
+// --- readsb-style aircraft (dump1090, readsb, tar1090, ADSBExchange v2) ---
+
+function feetToMetres(value: any): number | null {
+  return typeof value === 'number' ? value * FEET_TO_METRES : null;
+}
+
+// `now` is epoch seconds; `seen`/`seen_pos` are seconds before `now`
+export function normaliseReadsbAircraft(ac: any, now: number): any[] {
+  const onGround = ac.alt_baro === 'ground' || ac.ground === true;
+  const rate = typeof ac.baro_rate === 'number' ? ac.baro_rate : ac.geom_rate;
+  const isMlat = Array.isArray(ac.mlat) && ac.mlat.includes('lat');
+
+  const state: any[] = new Array(17).fill(null);
+  state[DATA_INDEX.ICAO24] = String(ac.hex || '').replace(/^~/, '').toLowerCase();
+  state[DATA_INDEX.CALLSIGN] = ac.flight ? String(ac.flight) : null;
+  state[DATA_INDEX.ORIGIN_COUNTRY] = '';
+  state[DATA_INDEX.TIME_POSITION] = typeof ac.seen_pos === 'number' ? Math.round(now - ac.seen_pos) : null;
+  state[DATA_INDEX.LAST_CONTACT] = Math.round(now - (typeof ac.seen === 'number' ? ac.seen : 0));
+  state[DATA_INDEX.LONGITUDE] = typeof ac.lon === 'number' ? ac.lon : null;
+  state[DATA_INDEX.LATITUDE] = typeof ac.lat === 'number' ? ac.lat : null;
+  state[DATA_INDEX.BARO_ALTITUDE] = onGround ? null : feetToMetres(ac.alt_baro);
+  state[DATA_INDEX.ON_GROUND] = onGround;
+  state[DATA_INDEX.VELOCITY] = typeof ac.gs === 'number' ? ac.gs * KNOTS_TO_MS : null;
+  state[DATA_INDEX.TRUE_TRACK] = typeof ac.track === 'number' ? ac.track : null;
+  state[DATA_INDEX.VERTICAL_RATE] = typeof rate === 'number' ? rate * FPM_TO_MS : null;
+  state[DATA_INDEX.GEO_ALTITUDE] = feetToMetres(ac.alt_geom);
+  state[DATA_INDEX.SQUAWK] = ac.squawk || null;
+  state[DATA_INDEX.SPI] = ac.spi === true || ac.spi === 1;
+  state[DATA_INDEX.POSITION_SOURCE] = isMlat ? 2 : 0;
+  return state;
+}
+
+async function fetchJson(url: string, headers: HeadersInit = {}): Promise<any> {
+  const response = await fetch(url, { headers: { Accept: 'application/json', ...headers } });
+  if (!response.ok) {
+    throw new Error(`HTTP error ${response.status} from ${url}`);
+  }
+  return response.json();
+}
+
+export async function fetchDump1090(url: string): Promise<FlightData> {
+  const data = await fetchJson(url);
+  if (!Array.isArray(data.aircraft)) {
+    throw new Error('Invalid aircraft.json: missing "aircraft" array');
+  }
+  const now = typeof data.now === 'number' ? data.now : Date.now() / 1000;
+  return {
+    time: Math.round(now),
+    states: data.aircraft.map((ac: any) => normaliseReadsbAircraft(ac, now)).filter(isValidState)
+  };
+}
+
+export async function fetchAdsbx(url: string, apiKey: string): Promise<FlightData> {
+  const data = await fetchJson(url, apiKey ? { 'api-auth': apiKey } : {});
+  if (!Array.isArray(data.ac)) {
+    throw new Error('Invalid ADSBExchange response: missing "ac" array');
+  }
+  // ADSBExchange reports `now` in milliseconds
+  const now = typeof data.now === 'number' ? data.now / 1000 : Date.now() / 1000;
+  return {
+    time: Math.round(now),
+    states: data.ac.map((ac: any) => normaliseReadsbAircraft(ac, now)).filter(isValidState)
+  };
+}
+
+// --- Recorded file replay ---
+// Accepts a single FlightData, an array of them, or { snapshots: FlightData[] };
+// each poll advances to the next recorded snapshot and wraps around at the end.
+
+let replaySnapshots: FlightData[] = [];
+let replayIndex = 0;
+
+export function parseReplayFile(text: string): FlightData[] {
+  const parsed = JSON.parse(text);
+  const list = Array.isArray(parsed) ? parsed : Array.isArray(parsed.snapshots) ? parsed.snapshots : [parsed];
+  const snapshots = list.filter((s: any) => s && typeof s.time === 'number' && Array.isArray(s.states));
+  if (!snapshots.length) {
+    throw new Error('Replay file contains no snapshots');
+  }
+  return snapshots.sort((a: FlightData, b: FlightData) => a.time - b.time);
+}
+
+export function setReplaySnapshots(snapshots: FlightData[]): void {
+  replaySnapshots = snapshots;
+  replayIndex = 0;
+}
+
+export function getReplaySnapshotCount(): number {
+  return replaySnapshots.length;
+}
+
+export async function fetchReplay(): Promise<FlightData> {
+  if (!replaySnapshots.length) {
+    throw new Error('No replay file loaded');
+  }
+  const snapshot = replaySnapshots[replayIndex];
+  replayIndex = (replayIndex + 1) % replaySnapshots.length;
+  return { time: snapshot.time, states: snapshot.states };
+}
+
+// --- Merging ---
+
+// Deduplicates by icao24; the state with the most recent LAST_CONTACT wins. The result is stamped with
+// the newest time, and states from older sources keep theirs in `stateTimes`.
+export function mergeFlightData(sources: FlightData[]): FlightData {
+  const byIcao: Record<string, { state: any[]; time: number }> = {};
+  let time = 0;
+  sources.forEach(data => {
+    time = Math.max(time, data.time);
+    data.states.forEach(state => {
+      const icao24 = state[DATA_INDEX.ICAO24];
+      const existing = byIcao[icao24];
+      if (!existing || (state[DATA_INDEX.LAST_CONTACT] ?? 0) > (existing.state[DATA_INDEX.LAST_CONTACT] ?? 0)) {
+        byIcao[icao24] = { state, time: stateTime(data, state) };
+      }
+    });
+  });
+
+  const merged: FlightData = { time, states: Object.values(byIcao).map(entry => entry.state) };
+  const older = Object.entries(byIcao).filter(([, entry]) => entry.time < time);
+  if (older.length) merged.stateTimes = Object.fromEntries(older.map(([icao24, entry]) => [icao24, entry.time]));
+  return merged;
+}
+
+export async function fetchFromSources(
+  config: SourceConfig,
+  region: RegionProfile,
+  authHeaders: Record<string, string>,
+  options: { skip?: SourceId[]; view?: Bounds | null; onSourceError?: (id: SourceId, error: Error) => void } = {}
+): Promise<FlightData> {
+  const enabled = (config.enabled.length ? config.enabled : ['opensky' as SourceId])
+    .filter(id => !options.skip?.includes(id));
+  if (!enabled.length) {
+    throw new Error('No data source available');
+  }
+
+  const fetchers: Record<SourceId, () => Promise<FlightData>> = {
+    server: () => fetchServerLatest(region),
+    opensky: () => fetchOpenSkyTiles(authHeaders, region, options.view ?? null),
+    dump1090: () => fetchDump1090(config.dump1090Url),
+    adsbx: () => fetchAdsbx(config.adsbxUrl, config.adsbxApiKey),
+    replay: fetchReplay
+  };
+
+  const results = await Promise.allSettled(enabled.map(id => fetchers[id]()));
+  const succeeded: FlightData[] = [];
+  const errors: Error[] = [];
+  results.forEach((result, i) => {
+    if (result.status === 'fulfilled') {
+      succeeded.push(result.value);
+    } else {
+      console.warn(`Source ${enabled[i]} failed:`, result.reason);
+      errors.push(result.reason);
+      options.onSourceError?.(enabled[i], result.reason);
+    }
+  });
+
+  // The server poller falls back to polling OpenSky directly when it has nothing usable
+  const serverFailed = enabled.includes('server') && results[enabled.indexOf('server')].status === 'rejected';
+  if (serverFailed && !enabled.includes('opensky') && !options.skip?.includes('opensky')) {
+    try {
+      succeeded.push(await fetchers.opensky());
+    } catch (error: any) {
+      console.warn('Source opensky failed:', error);
+      errors.unshift(error);
+      options.onSourceError?.('opensky', error);
+    }
+  }
+
+  // Only fail when every source failed; the first error keeps its status (e.g. OpenSky 429)
+  if (!succeeded.length) throw errors[0];
+  return succeeded.length === 1 ? succeeded[0] : mergeFlightData(succeeded);
+}
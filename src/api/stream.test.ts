@@ -0,0 +1,89 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { openFlightStream } from './stream';
+
+// Minimal EventSource: tests push events and errors by hand
+class FakeEventSource {
+  static CLOSED = 2;
+  static instances: FakeEventSource[] = [];
+  readyState = 0;
+  onopen: (() => void) | null = null;
+  onerror: (() => void) | null = null;
+  private listeners: Record<string, ((event: MessageEvent) => void)[]> = {};
+
+  constructor(public url: string) {
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(type: string, listener: (event: MessageEvent) => void) {
+    (this.listeners[type] ||= []).push(listener);
+  }
+
+  close() {
+    this.readyState = FakeEventSource.CLOSED;
+  }
+
+  send(type: string, data: unknown, id: string) {
+    this.listeners[type]?.forEach(l => l({ data: JSON.stringify(data), lastEventId: id } as MessageEvent));
+  }
+
+  fail() {
+    this.readyState = FakeEventSource.CLOSED;
+    this.onerror?.();
+  }
+}
+
+const latest = () => FakeEventSource.instances[FakeEventSource.instances.length - 1];
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+describe('openFlightStream', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    FakeEventSource.instances = [];
+    vi.stubGlobal('EventSource', FakeEventSource);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it('reports a stream whose snapshots stop advancing, and picks it up again when they resume', () => {
+    const onSnapshot = vi.fn();
+    const onUnavailable = vi.fn();
+    const close = openFlightStream({ onSnapshot, onUnavailable });
+
+    latest().send('snapshot', { time: nowSeconds(), states: [] }, '1');
+    expect(onSnapshot).toHaveBeenCalledTimes(1);
+
+    // Only heartbeats from here on
+    vi.advanceTimersByTime(16 * 60 * 1000);
+    expect(onUnavailable).toHaveBeenCalledWith('Stream data is stale');
+
+    // Retried later; a fresh diff brings it back
+    vi.advanceTimersByTime(5 * 60 * 1000);
+    latest().send('diff', { base: nowSeconds() - 21 * 60, time: nowSeconds(), added: [], updated: [], removed: [] }, '2');
+    expect(onSnapshot).toHaveBeenCalledTimes(2);
+    expect(onUnavailable).toHaveBeenCalledTimes(1);
+    close();
+  });
+
+  it('keeps retrying after repeated connection failures', () => {
+    const onSnapshot = vi.fn();
+    const onUnavailable = vi.fn();
+    const close = openFlightStream({ onSnapshot, onUnavailable });
+
+    for (let i = 0; i < 3; i++) {
+      latest().fail();
+      vi.advanceTimersByTime(60 * 1000);
+    }
+    expect(onUnavailable).toHaveBeenCalledWith('Stream unavailable');
+
+    const attempts = FakeEventSource.instances.length;
+    vi.advanceTimersByTime(5 * 60 * 1000);
+    expect(FakeEventSource.instances.length).toBe(attempts + 1);
+
+    latest().send('snapshot', { time: nowSeconds(), states: [] }, '1');
+    expect(onSnapshot).toHaveBeenCalledTimes(1);
+    close();
+  });
+});
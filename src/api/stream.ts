@@ -0,0 +1,146 @@
+// Server-Sent Events client for /api/flight-data/stream
+// Holds the current snapshot and applies `diff` events to it. Reconnects resume from the
+// last event id, so snapshots missed while disconnected arrive as diffs rather than a reload.
+// A stream that keeps failing, or whose snapshots stop advancing (the poller stopped while the
+// heartbeats go on), is reported unavailable and retried on a long back-off.
+
+import { DATA_INDEX, FlightData } from './opensky';
+
+export interface SnapshotDiff {
+  base: number;
+  time: number;
+  added: any[][];
+  updated: any[][];
+  removed: string[];
+}
+
+export interface FlightStreamHandlers {
+  // Only fresh snapshots are passed on; the first one after onUnavailable means the stream is back
+  onSnapshot: (data: FlightData) => void;
+  // Streaming isn't working (no EventSource, no server storage, repeated failures, stale data); poll
+  // instead until the next onSnapshot. Only final without EventSource.
+  onUnavailable: (reason: string) => void;
+}
+
+const STREAM_URL = '/api/flight-data/stream';
+const MAX_FAILED_CONNECTS = 3;
+const RECONNECT_BASE_MS = 2000;
+const RECONNECT_MAX_MS = 60 * 1000;
+// Once unavailable, the stream is tried again this often
+const UNAVAILABLE_RETRY_MS = 5 * 60 * 1000;
+// The poller runs every 5 minutes; a snapshot this old means it has stopped
+const STALE_SNAPSHOT_S = 15 * 60;
+const STALE_CHECK_MS = 30 * 1000;
+
+function isStale(data: FlightData): boolean {
+  return Date.now() / 1000 - data.time > STALE_SNAPSHOT_S;
+}
+
+export function applySnapshotDiff(current: FlightData, diff: SnapshotDiff): FlightData {
+  const byIcao: Record<string, any[]> = {};
+  current.states.forEach(state => { byIcao[state[DATA_INDEX.ICAO24]] = state; });
+  diff.removed.forEach(icao24 => { delete byIcao[icao24]; });
+  diff.added.forEach(state => { byIcao[state[DATA_INDEX.ICAO24]] = state; });
+  diff.updated.forEach(state => { byIcao[state[DATA_INDEX.ICAO24]] = state; });
+  return { time: diff.time, states: Object.values(byIcao) };
+}
+
+// Returns a function that closes the stream
+export function openFlightStream(handlers: FlightStreamHandlers): () => void {
+  if (typeof EventSource === 'undefined') {
+    handlers.onUnavailable('EventSource not supported');
+    return () => {};
+  }
+
+  let source: EventSource | null = null;
+  let current: FlightData | null = null;
+  let lastEventId = '';
+  let failures = 0;
+  let reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+  let unavailable = false;
+  let closed = false;
+
+  const close = () => {
+    closed = true;
+    if (reconnectTimer) clearTimeout(reconnectTimer);
+    clearInterval(staleCheck);
+    source?.close();
+    source = null;
+  };
+
+  const reconnect = (delay: number) => {
+    source?.close();
+    source = null;
+    if (reconnectTimer) clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(connect, delay);
+  };
+
+  // Polling takes over; the stream is tried again later
+  const setUnavailable = (reason: string) => {
+    if (!unavailable) {
+      unavailable = true;
+      handlers.onUnavailable(reason);
+    }
+    failures = 0;
+    reconnect(UNAVAILABLE_RETRY_MS);
+  };
+
+  const emit = (data: FlightData) => {
+    current = data;
+    if (isStale(data)) {
+      setUnavailable('Stream data is stale');
+      return;
+    }
+    unavailable = false;
+    handlers.onSnapshot(data);
+  };
+
+  // Heartbeats keep the connection open even when no new snapshots arrive
+  const staleCheck = setInterval(() => {
+    if (source && current && isStale(current)) setUnavailable('Stream data is stale');
+  }, STALE_CHECK_MS);
+
+  function connect() {
+    if (closed) return;
+    const url = lastEventId ? `${STREAM_URL}?lastEventId=${encodeURIComponent(lastEventId)}` : STREAM_URL;
+    const es = new EventSource(url);
+    source = es;
+
+    es.onopen = () => { failures = 0; };
+
+    es.addEventListener('snapshot', event => {
+      const message = event as MessageEvent;
+      lastEventId = message.lastEventId;
+      emit(JSON.parse(message.data));
+    });
+
+    es.addEventListener('diff', event => {
+      const message = event as MessageEvent;
+      const diff: SnapshotDiff = JSON.parse(message.data);
+      // A diff against a snapshot we don't have means we missed something: start over
+      if (!current || diff.base !== current.time) {
+        console.warn('Stream diff does not match current snapshot, resyncing');
+        lastEventId = '';
+        reconnect(0);
+        return;
+      }
+      lastEventId = message.lastEventId;
+      emit(applySnapshotDiff(current, diff));
+    });
+
+    es.onerror = () => {
+      // A stream that ended normally is reopened by the browser with Last-Event-ID;
+      // only an error response (or network failure) leaves it CLOSED
+      if (es.readyState !== EventSource.CLOSED) return;
+      failures++;
+      if (unavailable || failures >= MAX_FAILED_CONNECTS) {
+        setUnavailable('Stream unavailable');
+        return;
+      }
+      reconnect(Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** failures));
+    };
+  }
+
+  connect();
+  return close;
+}
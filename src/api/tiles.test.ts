@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest';
+import { BRAZIL_BOUNDS, Bounds, openskyCreditCost } from './opensky';
+import { planTileQuery, recentTiles, storeTileResponse, TileCache, tileGrid, TILE_MAX_AGE_MS } from './tiles';
+
+const NOW = 1_700_000_000_000;
+const MINUTE = 60 * 1000;
+
+// A view inside one tile, around São Paulo
+const SAO_PAULO_VIEW: Bounds = { lamin: -23.5, lomin: -47, lamax: -22.5, lomax: -46 };
+
+function box(lat: number, lon: number): Bounds {
+  return { lamin: 0, lomin: 0, lamax: lat, lomax: lon };
+}
+
+// Every tile fetched at `fetchedAt`
+function filledCache(fetchedAt: number): TileCache {
+  const cache: TileCache = {};
+  tileGrid(BRAZIL_BOUNDS).forEach(t => { cache[t.id] = { time: fetchedAt / 1000, fetchedAt, states: [] }; });
+  return cache;
+}
+
+describe('openskyCreditCost', () => {
+  it('charges by the area of the box in square degrees', () => {
+    expect(openskyCreditCost(box(5, 5))).toBe(1);
+    expect(openskyCreditCost(box(5, 5.1))).toBe(2);
+    expect(openskyCreditCost(box(10, 10))).toBe(2);
+    expect(openskyCreditCost(box(20, 20))).toBe(3);
+    expect(openskyCreditCost(box(20, 21))).toBe(4);
+    expect(openskyCreditCost(BRAZIL_BOUNDS)).toBe(4);
+  });
+});
+
+describe('tileGrid', () => {
+  it('covers the area with single-credit tiles, clipped at its edges', () => {
+    const tiles = tileGrid(BRAZIL_BOUNDS);
+    expect(tiles).toHaveLength(8 * 9);
+    expect(tiles.every(t => openskyCreditCost(t.bounds) === 1)).toBe(true);
+    expect(tiles[tiles.length - 1].bounds).toMatchObject({ lamax: BRAZIL_BOUNDS.lamax, lomax: BRAZIL_BOUNDS.lomax });
+  });
+});
+
+describe('planTileQuery', () => {
+  it('asks only for the visible tiles while the others are fresh', () => {
+    const query = planTileQuery(filledCache(NOW - MINUTE), BRAZIL_BOUNDS, SAO_PAULO_VIEW, NOW);
+    expect(query.tiles).toHaveLength(1);
+    expect(query.credits).toBe(1);
+  });
+
+  it('asks for the whole box when the tiles out of view are due, or nothing is in view', () => {
+    expect(planTileQuery(filledCache(NOW - 16 * MINUTE), BRAZIL_BOUNDS, SAO_PAULO_VIEW, NOW).bounds).toBe(BRAZIL_BOUNDS);
+    expect(planTileQuery(filledCache(NOW - MINUTE), BRAZIL_BOUNDS, null, NOW).bounds).toBe(BRAZIL_BOUNDS);
+  });
+
+  it('asks for the whole box when the visible tiles cost as much', () => {
+    const wideView: Bounds = { lamin: -30, lomin: -70, lamax: 0, lomax: -35 };
+    const query = planTileQuery(filledCache(NOW - MINUTE), BRAZIL_BOUNDS, wideView, NOW);
+    expect(query.bounds).toBe(BRAZIL_BOUNDS);
+    expect(query.credits).toBe(4);
+  });
+});
+
+describe('storeTileResponse', () => {
+  it('replaces every queried tile, including the ones that came back empty', () => {
+    const cache = filledCache(NOW - 10 * MINUTE);
+    cache['1:5'].states = [['old', null, 'Brazil', 0, 0, -46.5, -24.5, 10000, false]];
+    // Straddles the tiles 1:5 and 2:5
+    const view: Bounds = { lamin: -24, lomin: -47, lamax: -23, lomax: -46 };
+    const query = planTileQuery(cache, BRAZIL_BOUNDS, view, NOW);
+    const state = ['abc123', 'TAM3054', 'Brazil', 0, 0, -46.5, -23.5, 10000, false];
+    storeTileResponse(cache, BRAZIL_BOUNDS, query, { time: NOW / 1000, states: [state] }, NOW);
+
+    expect(query.tiles).toEqual(['1:5', '2:5']);
+    expect(cache['2:5']).toEqual({ time: NOW / 1000, fetchedAt: NOW, states: [state] });
+    expect(cache['1:5']).toEqual({ time: NOW / 1000, fetchedAt: NOW, states: [] });
+    const untouched = Object.keys(cache).filter(id => !query.tiles.includes(id));
+    expect(untouched.every(id => cache[id].fetchedAt === NOW - 10 * MINUTE)).toBe(true);
+  });
+});
+
+describe('recentTiles', () => {
+  it('leaves out tiles older than the maximum age', () => {
+    const cache: TileCache = {
+      fresh: { time: 2, fetchedAt: NOW - MINUTE, states: [] },
+      old: { time: 1, fetchedAt: NOW - TILE_MAX_AGE_MS, states: [] }
+    };
+    expect(recentTiles(cache, NOW)).toEqual([{ time: 2, states: [] }]);
+  });
+});
@@ -0,0 +1,140 @@
+// Tiled OpenSky queries: the region's box is split into 5° tiles, cached separately
+// Each poll asks for the smallest box covering the visible tiles (fewer credits than the whole
+// region, see openskyCreditCost); tiles out of view are refreshed less often, with a whole-box query.
+
+import { Bounds, DATA_INDEX, FlightData, openskyCreditCost } from './opensky';
+
+export interface Tile {
+  id: string;
+  row: number;
+  col: number;
+  bounds: Bounds;
+}
+
+export interface CachedTile {
+  time: number;
+  fetchedAt: number;
+  states: any[][];
+}
+
+// Tile id -> the states last fetched for it
+export type TileCache = Record<string, CachedTile>;
+
+export interface TileQuery {
+  bounds: Bounds;
+  // Tiles the response replaces
+  tiles: string[];
+  credits: number;
+}
+
+// 5° x 5° = 25 square degrees, the largest box that costs a single credit
+const TILE_SIZE_DEG = 5;
+// Tiles out of view are refreshed (with a whole-box query) once this old
+const OFFSCREEN_REFRESH_MS = 15 * 60 * 1000;
+// Tiles older than this are left out of the merged snapshot
+export const TILE_MAX_AGE_MS = 20 * 60 * 1000;
+
+// Grids by area, built on first use
+const grids: Record<string, Tile[]> = {};
+
+// Tiles covering `area`, clipped to it; ids are "row:col" from its south-west corner
+export function tileGrid(area: Bounds): Tile[] {
+  const key = `${area.lamin},${area.lomin},${area.lamax},${area.lomax}`;
+  if (grids[key]) return grids[key];
+
+  const tiles: Tile[] = [];
+  const rows = Math.ceil((area.lamax - area.lamin) / TILE_SIZE_DEG);
+  const cols = Math.ceil((area.lomax - area.lomin) / TILE_SIZE_DEG);
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const lamin = area.lamin + row * TILE_SIZE_DEG;
+      const lomin = area.lomin + col * TILE_SIZE_DEG;
+      tiles.push({
+        id: `${row}:${col}`,
+        row,
+        col,
+        bounds: {
+          lamin,
+          lomin,
+          lamax: Math.min(lamin + TILE_SIZE_DEG, area.lamax),
+          lomax: Math.min(lomin + TILE_SIZE_DEG, area.lomax)
+        }
+      });
+    }
+  }
+  return (grids[key] = tiles);
+}
+
+function wholeQuery(area: Bounds): TileQuery {
+  return { bounds: area, tiles: tileGrid(area).map(t => t.id), credits: openskyCreditCost(area) };
+}
+
+function intersects(a: Bounds, b: Bounds): boolean {
+  return a.lamin < b.lamax && a.lamax > b.lamin && a.lomin < b.lomax && a.lomax > b.lomin;
+}
+
+function contains(bounds: Bounds, lon: number, lat: number): boolean {
+  return lat >= bounds.lamin && lat < bounds.lamax && lon >= bounds.lomin && lon < bounds.lomax;
+}
+
+// Ids of the tiles a view overlaps (row-major, so they form a rectangle)
+export function tilesInView(area: Bounds, view: Bounds): string[] {
+  return tileGrid(area).filter(t => intersects(t.bounds, view)).map(t => t.id);
+}
+
+function unionBounds(tiles: Tile[]): Bounds {
+  return {
+    lamin: Math.min(...tiles.map(t => t.bounds.lamin)),
+    lomin: Math.min(...tiles.map(t => t.bounds.lomin)),
+    lamax: Math.max(...tiles.map(t => t.bounds.lamax)),
+    lomax: Math.max(...tiles.map(t => t.bounds.lomax))
+  };
+}
+
+// Query for the next poll: the visible tiles, or the whole box when that costs no more, nothing is
+// in view, or the tiles out of view are due
+export function planTileQuery(cache: TileCache, area: Bounds, view: Bounds | null, now = Date.now()): TileQuery {
+  const whole = wholeQuery(area);
+  const visible = view ? tilesInView(area, view) : [];
+  if (!visible.length) return whole;
+
+  const grid = tileGrid(area);
+  const offscreenDue = grid.some(t =>
+    !visible.includes(t.id) && now - (cache[t.id]?.fetchedAt ?? 0) >= OFFSCREEN_REFRESH_MS
+  );
+  if (offscreenDue) return whole;
+
+  const bounds = unionBounds(grid.filter(t => visible.includes(t.id)));
+  const credits = openskyCreditCost(bounds);
+  return credits >= whole.credits ? whole : { bounds, tiles: visible, credits };
+}
+
+// Visible tiles with nothing recent enough to show
+export function missingTiles(cache: TileCache, area: Bounds, view: Bounds, now = Date.now()): string[] {
+  return tilesInView(area, view).filter(id => !cache[id] || now - cache[id].fetchedAt >= TILE_MAX_AGE_MS);
+}
+
+// Splits a response by tile; every queried tile is replaced, including the ones that came back empty
+export function storeTileResponse(cache: TileCache, area: Bounds, query: TileQuery, data: FlightData, now = Date.now()): void {
+  const byTile: Record<string, any[][]> = {};
+  query.tiles.forEach(id => { byTile[id] = []; });
+  const queried = tileGrid(area).filter(t => t.id in byTile);
+
+  data.states.forEach(state => {
+    const lon = state[DATA_INDEX.LONGITUDE];
+    const lat = state[DATA_INDEX.LATITUDE];
+    if (lon === null || lat === null) return;
+    const tile = queried.find(t => contains(t.bounds, lon, lat));
+    if (tile) byTile[tile.id].push(state);
+  });
+  query.tiles.forEach(id => {
+    cache[id] = { time: data.time, fetchedAt: now, states: byTile[id] };
+  });
+}
+
+// The recent tiles as per-tile snapshots, to be merged by icao24
+export function recentTiles(cache: TileCache, now = Date.now()): FlightData[] {
+  return Object.values(cache)
+    .filter(tile => now - tile.fetchedAt < TILE_MAX_AGE_MS)
+    .map(tile => ({ time: tile.time, states: tile.states }));
+}
@@ -1,47 +1,159 @@
 import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import { createRoot } from 'react-dom/client';
 import DeckGL from '@deck.gl/react';
-import { IconLayer } from '@deck.gl/layers';
+import { FlyToInterpolator, WebMercatorViewport } from '@deck.gl/core';
+import { ArcLayer, IconLayer, LineLayer, PathLayer, PolygonLayer, ScatterplotLayer, TextLayer } from '@deck.gl/layers';
+import { SimpleMeshLayer } from '@deck.gl/mesh-layers';
+import { TripsLayer } from '@deck.gl/geo-layers';
+import { HeatmapLayer, HexagonLayer } from '@deck.gl/aggregation-layers';
 import { Map } from 'react-map-gl/maplibre';
-import { setCredentials, hasCredentials, getAuthHeader, clearCredentials } from './utils/credentials';
-import { fetchBrazilFlights, DATA_INDEX } from './api/opensky';
-import { saveFlightData, loadFlightData, loadFlightDataEmergency, recordApiFailure, loadStaticFlightData, loadFlightDataFromVercel, isRateLimited, getCacheAge } from './utils/storage';
-import { fetchAirports, Airport } from './utils/airports';
-import { fetchAirlines, Airline } from './utils/airlines';
+import { setCredentials, hasCredentials, getAuthHeaders, clearCredentials, OpenSkyCredentials } from './utils/credentials';
+import { Bounds, DATA_INDEX, FlightData, isValidState } from './api/opensky';
+import { openFlightStream } from './api/stream';
+import { fetchFromSources, missingOpenSkyTiles, nextOpenSkyQuery, loadSourceConfig, saveSourceConfig, SourceConfig, SourceId } from './api/sources';
+import { saveFlightData, setStorageRegion, deleteRegionData, loadFlightData, loadFlightDataEmergency, recordApiFailure, loadStaticFlightData, loadFlightDataFromVercel, isRateLimited, getCacheAge, listSnapshotTimes, loadSnapshotAt, loadSnapshotRange, importServerHistory, loadZones, saveZone, deleteZone } from './utils/storage';
+import { airportKey, describeRunway, Airport, AIRPORT_SIZE_LABELS } from './utils/airports';
+import { Airline, buildAirlineIndex, resolveAirline, airlineColor, airlineKey, UNKNOWN_AIRLINE_COLOR, OTHER_AIRLINE } from './utils/airlines';
+import { createTrackHistory, recordSnapshot, getTrail, altitudeColor, TrackHistory, TrackPoint, TRACK_MAX_AGE } from './utils/tracks';
+import { AircraftData, normaliseAircraft } from './utils/aircraft';
+import { ingestSnapshot, configurePipeline, pipelinePositions, PipelineResult } from './workers/pipeline';
+import { searchAll, loadPendingSearches, savePendingSearches, findPendingMatches, PendingSearch, SearchResult } from './utils/search';
+import { AircraftFilters, activeFilterCount, matchesFilters, parseFilters, serializeFilters } from './utils/filters';
+import { inferAirportActivity } from './utils/airportActivity';
+import { estimateRoutes, createCityPairLog, recordRoutes, busiestCityPairs, CityPair, CityPairLog, RouteEstimate } from './utils/routes';
+import { createAircraftMesh } from './utils/aircraftMesh';
+import { createZoneTracker, evaluateZones, zonePolygon, DEFAULT_ZONE_RULES, MAX_ALERTS, GeofenceAlert, Zone, ZoneShape, ZoneTracker } from './utils/geofence';
+import { distanceKm } from './utils/geo';
+import { createAnomalyTracker, detectAnomalies, flaggedAircraft, ANOMALY_COLORS, ANOMALY_LABELS, MAX_ANOMALY_EVENTS, AnomalyEvent, AnomalyKind, AnomalyTracker } from './utils/anomalies';
+import { loadNotificationPref, setNotificationPref, notify } from './utils/notifications';
+import { createWatchTracker, evaluateWatchlist, matchWatchlist, loadWatchlist, saveWatchlist, loadSightings, saveSightings, MAX_WATCH_EVENTS, Sighting, WatchEntry, WatchEvent, WatchTracker } from './utils/watchlist';
+import { Timeline } from './components/Timeline';
+import { FlightDetailPanel } from './components/FlightDetailPanel';
+import { SearchBox } from './components/SearchBox';
+import { FilterPanel } from './components/FilterPanel';
+import { AirportBoard } from './components/AirportBoard';
+import { CityPairsPanel } from './components/CityPairsPanel';
+import { SourcesPanel } from './components/SourcesPanel';
+import { GeofencePanel, ZoneDrawing } from './components/GeofencePanel';
+import { AnomalyLog } from './components/AnomalyLog';
+import { WatchlistPanel } from './components/WatchlistPanel';
+import { ExportPanel, ExportScope } from './components/ExportPanel';
+import { tracksFromSnapshots, ExportData } from './utils/exporters';
+import { loadQuota, planNextPoll, QuotaStatus } from './utils/scheduler';
+import { tilesInView } from './api/tiles';
+import { createCustomRegion, findRegion, initialRegionId, loadCustomRegions, saveCustomRegions, saveRegionId, serializeRegion, DEFAULT_REGION_ID, PRESET_REGIONS, RegionProfile } from './utils/regions';
+import { RegionPanel, RegionDrawing } from './components/RegionPanel';
+import { registerServiceWorker } from './utils/serviceWorker';
+import { fetchReferenceData } from './utils/reference';
 import 'maplibre-gl/dist/maplibre-gl.css';
 
-// Brazil center coordinates
-const BRAZIL_CENTER = {
-  longitude: -55.0,
-  latitude: -10.0
-};
-
+// Default region's view
 const INITIAL_VIEW_STATE = {
-  ...BRAZIL_CENTER,
-  zoom: 4.2,
+  ...PRESET_REGIONS[0].view,
   pitch: 45,
   bearing: 0
 };
 
+type ViewState = typeof INITIAL_VIEW_STATE & {
+  transitionDuration?: number;
+  transitionInterpolator?: FlyToInterpolator;
+};
+
+function regionViewState(region: RegionProfile): ViewState {
+  return { ...INITIAL_VIEW_STATE, ...region.view };
+}
+
+// Padding around a drawn region when fitting the view to it
+const REGION_FIT_PADDING = 40;
+
+// Zoom level used when flying to a search result
+const SEARCH_RESULT_ZOOM = 8;
+
 // Dark OpenStreetMap style (CartoDB Dark Matter)
 const MAP_STYLE = 'https://basemaps.cartocdn.com/gl/dark-matter-nolabels-gl-style/style.json';
 
-// Update interval: 5 minutes
-const UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+// Newly visible OpenSky tiles are fetched once the view has settled this long
+const TILE_FETCH_DELAY_MS = 1500;
+
+// Small aerodromes are drawn from this zoom level on
+const SMALL_AIRPORT_MIN_ZOOM = 7;
+
+// Live data this old is flagged as stale (three missed polls at the base rate)
+const STALE_DATA_MS = 15 * 60 * 1000;
+// How often the data age shown is refreshed
+const CLOCK_TICK_MS = 30 * 1000;
+
+// Timeline playback tick
+const PLAYBACK_TICK_MS = 500;
+
+// Dead-reckoned positions are redrawn about as often as a fast aircraft moves a pixel at the current
+// zoom: every animation frame when zoomed in that far, at most once a second when zoomed out, so the
+// whole app isn't re-rendered for frames where nothing would move on screen
+const MAX_POSITION_UPDATE_MS = 1000;
+// Fast airliner ground speed (m/s)
+const FAST_GROUND_SPEED_MS = 300;
+// Web Mercator metres per pixel at zoom 0 on the equator
+const METRES_PER_PIXEL_Z0 = 156543;
 
-interface AircraftData {
-  position: [number, number, number];
-  heading: number;
-  icao24: string;
-  callsign: string | null;
-  altitude: number;
-  velocity: number | null;
+function positionUpdateInterval(zoom: number, latitude: number): number {
+  const metresPerPixel = METRES_PER_PIXEL_Z0 * Math.cos(latitude * Math.PI / 180) / 2 ** zoom;
+  const interval = metresPerPixel / FAST_GROUND_SPEED_MS * 1000;
+  return Math.min(MAX_POSITION_UPDATE_MS, interval);
 }
 
+// Traffic render modes: individual icons, or density aggregates over current/stored positions
+type RenderMode = 'icons' | 'heatmap' | 'hexagon' | 'history';
+type HexMetric = 'count' | 'altitude';
+
+const RENDER_MODES: { value: RenderMode; label: string }[] = [
+  { value: 'icons', label: 'Icons' },
+  { value: 'heatmap', label: 'Heatmap' },
+  { value: 'hexagon', label: 'Hexbin 3D' },
+  { value: 'history', label: 'History heat' }
+];
+
+// Below this zoom the icon view switches to the heatmap when auto-aggregation is on
+const AUTO_AGGREGATE_ZOOM = 3.5;
+// How far back the history heatmap looks (seconds)
+const HISTORY_AGGREGATE_WINDOW = 6 * 60 * 60;
+
+// 3D aircraft: on-screen model size and altitude exaggeration choices
+const MESH_SIZE_PIXELS = 28;
+const ALTITUDE_EXAGGERATIONS = [1, 2, 5, 10, 20];
+
+// Trail length options (seconds)
+const TRAIL_LENGTHS = [15 * 60, 30 * 60, 60 * 60, 2 * 60 * 60];
+
+// Layers drawn from the pipeline worker's attribute buffers; picks resolve through `visible`
+const AIRCRAFT_LAYERS = ['aircraft-icon-layer', 'aircraft-mesh-layer'];
+
+// Geofence alerts: browser notification opt-in, and at most this many notifications per update
+const ZONE_NOTIFICATIONS_KEY = 'geofence_notifications';
+const MAX_ZONE_NOTIFICATIONS = 5;
+
+// Watchlist: browser notification opt-in, and how many appear/disappear toasts stay on screen
+const WATCH_NOTIFICATIONS_KEY = 'watchlist_notifications';
+const MAX_WATCH_NOTICES = 5;
+
 // --- API Key Modal ---
-function ApiKeyModal({ onSubmit, onSkip }: { onSubmit: (u: string, p: string) => void; onSkip: () => void }) {
-  const [username, setUsername] = useState('');
-  const [password, setPassword] = useState('');
+type CredentialKind = 'client' | 'basic';
+
+const modalInputStyle = {
+  width: '100%', padding: '8px 12px', borderRadius: 4,
+  border: '1px solid #444', background: '#0d0d1a', color: '#fff',
+  fontFamily: 'monospace', fontSize: 14, boxSizing: 'border-box' as const
+};
+
+function ApiKeyModal({ onSubmit, onSkip }: { onSubmit: (creds: OpenSkyCredentials) => void; onSkip: () => void }) {
+  const [kind, setKind] = useState<CredentialKind>('client');
+  const [id, setId] = useState('');
+  const [secret, setSecret] = useState('');
+  const complete = !!(id && secret);
+
+  const submit = () => {
+    if (!complete) return;
+    onSubmit(kind === 'client' ? { clientId: id, clientSecret: secret } : { username: id, password: secret });
+  };
 
   return (
     <div style={{
@@ -59,41 +171,48 @@ function ApiKeyModal({ onSubmit, onSkip }: { onSubmit: (u: string, p: string) =>
           Without credentials, you get ~400 requests/day (anonymous).
           With credentials, you get significantly more.
         </p>
+        <div style={{ display: 'flex', gap: 8, marginBottom: 16 }}>
+          {([['client', 'API client'], ['basic', 'Username / password']] as [CredentialKind, string][]).map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setKind(value)}
+              style={{
+                flex: 1, padding: '6px 8px', borderRadius: 4,
+                border: `1px solid ${kind === value ? '#4CAF50' : '#555'}`, background: 'transparent',
+                color: kind === value ? '#fff' : '#aaa', cursor: 'pointer', fontFamily: 'monospace', fontSize: 12
+              }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
         <div style={{ marginBottom: 12 }}>
-          <label style={{ fontSize: 12, display: 'block', marginBottom: 4 }}>Username</label>
+          <label style={{ fontSize: 12, display: 'block', marginBottom: 4 }}>{kind === 'client' ? 'Client ID' : 'Username'}</label>
           <input
-            type="text" value={username}
-            onChange={e => setUsername(e.target.value)}
-            placeholder="OpenSky username"
-            style={{
-              width: '100%', padding: '8px 12px', borderRadius: 4,
-              border: '1px solid #444', background: '#0d0d1a', color: '#fff',
-              fontFamily: 'monospace', fontSize: 14, boxSizing: 'border-box'
-            }}
+            type="text" value={id}
+            onChange={e => setId(e.target.value)}
+            placeholder={kind === 'client' ? 'OpenSky API client id' : 'OpenSky username'}
+            style={modalInputStyle}
           />
         </div>
         <div style={{ marginBottom: 20 }}>
-          <label style={{ fontSize: 12, display: 'block', marginBottom: 4 }}>Password</label>
+          <label style={{ fontSize: 12, display: 'block', marginBottom: 4 }}>{kind === 'client' ? 'Client secret' : 'Password'}</label>
           <input
-            type="password" value={password}
-            onChange={e => setPassword(e.target.value)}
-            placeholder="OpenSky password"
-            onKeyDown={e => { if (e.key === 'Enter' && username && password) onSubmit(username, password); }}
-            style={{
-              width: '100%', padding: '8px 12px', borderRadius: 4,
-              border: '1px solid #444', background: '#0d0d1a', color: '#fff',
-              fontFamily: 'monospace', fontSize: 14, boxSizing: 'border-box'
-            }}
+            type="password" value={secret}
+            onChange={e => setSecret(e.target.value)}
+            placeholder={kind === 'client' ? 'OpenSky API client secret' : 'OpenSky password'}
+            onKeyDown={e => { if (e.key === 'Enter') submit(); }}
+            style={modalInputStyle}
           />
         </div>
         <div style={{ display: 'flex', gap: 12 }}>
           <button
-            onClick={() => { if (username && password) onSubmit(username, password); }}
-            disabled={!username || !password}
+            onClick={submit}
+            disabled={!complete}
             style={{
               flex: 1, padding: '10px 16px', borderRadius: 4, border: 'none',
-              background: username && password ? '#4CAF50' : '#333',
-              color: '#fff', cursor: username && password ? 'pointer' : 'not-allowed',
+              background: complete ? '#4CAF50' : '#333',
+              color: '#fff', cursor: complete ? 'pointer' : 'not-allowed',
               fontFamily: 'monospace', fontSize: 14, fontWeight: 'bold'
             }}
           >
@@ -131,7 +250,19 @@ function ApiKeyModal({ onSubmit, onSkip }: { onSubmit: (u: string, p: string) =>
 
 function App() {
   const [aircraftData, setAircraftData] = useState<AircraftData[]>([]);
-  const [viewState, setViewState] = useState(INITIAL_VIEW_STATE);
+  const [customRegions, setCustomRegions] = useState<RegionProfile[]>(loadCustomRegions);
+  const [regionId, setRegionId] = useState(() => initialRegionId(window.location.search, customRegions));
+  const region = useMemo(() => findRegion(regionId, customRegions) ?? PRESET_REGIONS[0], [regionId, customRegions]);
+  const [showRegions, setShowRegions] = useState(false);
+  const [regionDrawing, setRegionDrawing] = useState<RegionDrawing | null>(null);
+  const [viewState, setViewState] = useState<ViewState>(() => regionViewState(region));
+  // Visible area; OpenSky polls are scoped to the tiles it overlaps
+  const viewBounds = useMemo<Bounds>(() => {
+    const viewport = new WebMercatorViewport({ ...viewState, width: window.innerWidth, height: window.innerHeight });
+    const [lomin, lamin, lomax, lamax] = viewport.getBounds();
+    return { lamin, lomin, lamax, lomax };
+  }, [viewState]);
+  const viewTiles = useMemo(() => tilesInView(region.bounds, viewBounds).join(','), [region.bounds, viewBounds]);
   const [error, setError] = useState<string | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [cacheStatus, setCacheStatus] = useState<string>('');
@@ -139,20 +270,123 @@ function App() {
   const [airlines, setAirlines] = useState<Airline[]>([]);
   const [showApiKeyModal, setShowApiKeyModal] = useState(false);
   const [initialized, setInitialized] = useState(false);
+  const [isStreaming, setIsStreaming] = useState(false);
+  const [quota, setQuota] = useState<QuotaStatus>(() => loadQuota());
+  const [tabHidden, setTabHidden] = useState(() => document.hidden);
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [clock, setClock] = useState(() => Date.now());
+  const [nextPoll, setNextPoll] = useState<{ at: number; reasons: string[] } | null>(null);
+  const [snapshotTimes, setSnapshotTimes] = useState<number[]>([]);
+  // An imported archive replaces the stored snapshots on the timeline until going live again
+  const [archive, setArchive] = useState<{ name: string; snapshots: FlightData[] } | null>(null);
+  const [replayTime, setReplayTime] = useState<number | null>(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playbackSpeed, setPlaybackSpeed] = useState(300);
+  const [dataTime, setDataTime] = useState(0);
+  const [showTrails, setShowTrails] = useState(true);
+  const [trailLength, setTrailLength] = useState(TRAIL_LENGTHS[1]);
+  // Filtered aircraft and their layer attributes, built by the pipeline worker
+  const [pipeline, setPipeline] = useState<PipelineResult | null>(null);
+  // Dead-reckoned positions, refreshed by the worker at a zoom-dependent rate (live view only)
+  const [livePositions, setLivePositions] = useState<{ version: number; positions: Float32Array } | null>(null);
+  const [selectedIcao24, setSelectedIcao24] = useState<string | null>(null);
+  const [following, setFollowing] = useState(false);
+  // ICAO codes of the airlines to show; empty shows everything
+  const [airlineFilter, setAirlineFilter] = useState<string[]>([]);
+  const [selectedAirport, setSelectedAirport] = useState<Airport | null>(null);
+  const [pendingSearches, setPendingSearches] = useState<PendingSearch[]>(loadPendingSearches);
+  const [filters, setFilters] = useState<AircraftFilters>(() => parseFilters(window.location.search));
+  const [showFilters, setShowFilters] = useState(false);
+  const [showRoutes, setShowRoutes] = useState(false);
+  const [renderMode, setRenderMode] = useState<RenderMode>('icons');
+  const [hexMetric, setHexMetric] = useState<HexMetric>('count');
+  const [autoAggregate, setAutoAggregate] = useState(true);
+  const [sourceConfig, setSourceConfig] = useState<SourceConfig>(loadSourceConfig);
+  const [showSources, setShowSources] = useState(false);
+  const [show3d, setShow3d] = useState(false);
+  const [altitudeExaggeration, setAltitudeExaggeration] = useState(5);
+  const [showDropLines, setShowDropLines] = useState(true);
+  const [historyPositions, setHistoryPositions] = useState<[number, number][]>([]);
+  const [cityPairs, setCityPairs] = useState<CityPair[]>([]);
+  const [searchNotices, setSearchNotices] = useState<{ query: string; icao24: string }[]>([]);
+  const [zones, setZones] = useState<Zone[]>([]);
+  const [zoneDrawing, setZoneDrawing] = useState<ZoneDrawing | null>(null);
+  const [showZones, setShowZones] = useState(false);
+  const [geofenceAlerts, setGeofenceAlerts] = useState<GeofenceAlert[]>([]);
+  // Alerts raised while the zones panel was closed
+  const [unreadAlerts, setUnreadAlerts] = useState(0);
+  const [zoneNotifications, setZoneNotifications] = useState(() => loadNotificationPref(ZONE_NOTIFICATIONS_KEY));
+  const [anomalyEvents, setAnomalyEvents] = useState<AnomalyEvent[]>([]);
+  // Most severe active condition per flagged aircraft
+  const [anomalies, setAnomalies] = useState<Record<string, AnomalyKind>>({});
+  const [showAnomalies, setShowAnomalies] = useState(false);
+  const [watchlist, setWatchlist] = useState<WatchEntry[]>(loadWatchlist);
+  const [watchSightings, setWatchSightings] = useState<Record<string, Sighting>>(loadSightings);
+  const [watchEvents, setWatchEvents] = useState<WatchEvent[]>([]);
+  // Recent events shown as toasts until dismissed
+  const [watchNotices, setWatchNotices] = useState<WatchEvent[]>([]);
+  const [showWatchlist, setShowWatchlist] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [watchNotifications, setWatchNotifications] = useState(() => loadNotificationPref(WATCH_NOTIFICATIONS_KEY));
 
   // Fix #9: request deduplication
   const fetchInProgress = useRef(false);
+  const lastFetchAt = useRef(0);
+  const viewBoundsRef = useRef(viewBounds);
+  const viewStateRef = useRef(viewState);
+  // Region the next fetch result is for; results that arrive after a switch are dropped
+  const regionRef = useRef(region.id);
+  // Live updates keep being fetched and stored while replaying, but not displayed
+  const replayTimeRef = useRef<number | null>(null);
+  // Per-aircraft position history for trails
+  const trackHistory = useRef<TrackHistory>(createTrackHistory());
+  // Estimated city pair per aircraft, accumulated across snapshots
+  const cityPairLog = useRef<CityPairLog>(createCityPairLog());
+  // Which aircraft are inside which geofence zone, between live snapshots
+  const zoneTracker = useRef<ZoneTracker>(createZoneTracker());
+  // Active emergency/anomaly conditions and recent altitudes, between live snapshots
+  const anomalyTracker = useRef<AnomalyTracker>(createAnomalyTracker());
+  // Which aircraft matched each watchlist entry in the last live snapshot
+  const watchTracker = useRef<WatchTracker>(createWatchTracker());
 
-  // On mount: check if we have cached data, show modal if no creds configured
+  // The region decides where data is stored, the page language and the ?region= parameter;
+  // declared first so the effects below read and write the region's own data
   useEffect(() => {
-    (async () => {
-      // Load airports & airlines (cached with 7-day TTL)
-      fetchAirports().then(setAirports);
-      fetchAirlines().then(setAirlines);
+    regionRef.current = region.id;
+    setStorageRegion(region.id);
+    saveRegionId(region.id);
+    document.documentElement.lang = region.language;
+    const search = serializeRegion(region.id, window.location.search);
+    if (search !== window.location.search) {
+      window.history.replaceState(null, '', `${window.location.pathname}${search}${window.location.hash}`);
+    }
+  }, [region]);
 
+  // Airports & airlines of the region, from the bundled reference dataset; drawn regions take the
+  // airlines of the countries their airports are in
+  useEffect(() => {
+    let cancelled = false;
+    fetchReferenceData(region).then(reference => {
+      if (cancelled) return;
+      setAirports(reference.airports);
+      setAirlines(reference.airlines);
+    });
+    return () => { cancelled = true; };
+  }, [region]);
+
+  useEffect(() => {
+    loadZones().then(setZones);
+  }, []);
+
+  // On mount and region change: show the cached snapshot straight away (no network needed), then
+  // seed trails from the stored history; show the modal if no creds configured and nothing is cached
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
       // Check if server has creds configured (env vars)
       // If not, and no cached data, show the API key modal
       const cached = await loadFlightData();
+      if (cancelled) return;
       if (cached && cached.states && cached.states.length > 0) {
         // We have cached data, show it immediately
         processFlightData(cached);
@@ -161,15 +395,25 @@ function App() {
         setInitialized(true);
         setIsLoading(false);
       } else {
-        // No cached data — show API key prompt
-        setShowApiKeyModal(true);
+        // No cached data — show API key prompt (on first load; a region switched to waits for its first poll)
+        if (!initialized) setShowApiKeyModal(true);
         setIsLoading(false);
       }
+
+      // Merge in the shared history from the server poller, then seed trails from the stored snapshots
+      await importServerHistory(TRACK_MAX_AGE);
+      if (cancelled) return;
+      listSnapshotTimes().then(setSnapshotTimes);
+      const now = Math.floor(Date.now() / 1000);
+      const recent = await loadSnapshotRange(now - TRACK_MAX_AGE, now);
+      if (cancelled) return;
+      recent.forEach(snapshot => recordSnapshot(trackHistory.current, snapshot));
     })();
-  }, []);
+    return () => { cancelled = true; };
+  }, [region.id]);
 
-  const handleApiKeySubmit = useCallback((username: string, password: string) => {
-    setCredentials({ username, password });
+  const handleApiKeySubmit = useCallback((creds: OpenSkyCredentials) => {
+    setCredentials(creds);
     setShowApiKeyModal(false);
     setInitialized(true);
   }, []);
@@ -189,35 +433,26 @@ function App() {
     }
   }, []);
 
-  // Process flight data into deck.gl format
-  const processFlightData = useCallback((data: { time: number; states: any[][] }) => {
+  // Process flight data into deck.gl format (filtering and attribute building run in the pipeline worker).
+  // The aircraft list is normalised here as well, the same way, so the worker's `visible` indexes it.
+  const processFlightData = useCallback(async (data: { time: number; states: any[][] }, fromReplay = false) => {
     if (!data || !data.states || !Array.isArray(data.states)) return;
+    if (!fromReplay && replayTimeRef.current !== null) return;
 
-    const aircraft: AircraftData[] = [];
-    data.states.forEach((state, index) => {
-      if (!state || !Array.isArray(state)) return;
-
-      const lon = state[DATA_INDEX.LONGITUDE];
-      const lat = state[DATA_INDEX.LATITUDE];
-      const baroAltitude = state[DATA_INDEX.BARO_ALTITUDE];
-      const trueTrack = state[DATA_INDEX.TRUE_TRACK];
-      const icao24 = state[DATA_INDEX.ICAO24];
-      const callsign = state[DATA_INDEX.CALLSIGN];
-      const velocity = state[DATA_INDEX.VELOCITY];
-
-      if (lon === null || lat === null || baroAltitude === null) return;
-
-      aircraft.push({
-        position: [lon, lat, baroAltitude / 100],
-        heading: trueTrack !== null ? trueTrack : 0,
-        icao24: icao24 || `unknown-${index}`,
-        callsign: callsign ? callsign.trim() : null,
-        altitude: baroAltitude,
-        velocity: velocity || null
-      });
-    });
+    recordSnapshot(trackHistory.current, data);
 
+    const aircraft = normaliseAircraft(data);
+    let result: PipelineResult | null = null;
+    try {
+      result = await ingestSnapshot(data, !fromReplay);
+    } catch (err: any) {
+      // Lists, alerts and the detail panel still work; only the aircraft layers are missing
+      console.error('Pipeline worker could not process the snapshot:', err);
+      setError(`Could not draw the aircraft: ${err.message}`);
+    }
+    setPipeline(result);
     setAircraftData(aircraft);
+    setDataTime(data.time);
     console.log(`Processed ${aircraft.length} aircraft`);
   }, []);
 
@@ -226,14 +461,18 @@ function App() {
     // Fix #9: prevent concurrent fetches
     if (fetchInProgress.current) return;
     fetchInProgress.current = true;
+    lastFetchAt.current = Date.now();
+    let openskyFailureRecorded = false;
 
     try {
       setIsLoading(true);
       setError(null);
 
       // Fix #1: skip API call if currently rate-limited
+      // (other enabled sources are still polled, only OpenSky is skipped)
       const rateLimited = await isRateLimited();
-      if (rateLimited) {
+      const otherSources = sourceConfig.enabled.some(id => id !== 'opensky');
+      if (rateLimited && !otherSources) {
         console.log('Rate-limited: using cached data');
         const cached = await loadFlightData();
         if (cached && cached.states && cached.states.length > 0) {
@@ -253,15 +492,25 @@ function App() {
       }
 
       // Fetch fresh data — credentials go through the server-side proxy
-      const authHeader = getAuthHeader();
-      const data = await fetchBrazilFlights(authHeader);
+      const skip: SourceId[] = rateLimited ? ['opensky'] : [];
+      const data = await fetchFromSources(sourceConfig, region, getAuthHeaders(), {
+        skip,
+        view: viewBoundsRef.current,
+        onSourceError: (id, sourceError) => {
+          if (id !== 'opensky') return;
+          openskyFailureRecorded = true;
+          recordApiFailure(sourceError.message?.includes('429') ? 429 : undefined);
+        }
+      });
 
+      if (regionRef.current !== region.id) return;
       if (data.states.length === 0) {
         console.warn('No aircraft found in response');
         return;
       }
 
       await saveFlightData(data);
+      setSnapshotTimes(await listSnapshotTimes());
       setCacheStatus(`Live: ${data.states.length} aircraft`);
       processFlightData(data);
     } catch (err: any) {
@@ -270,7 +519,7 @@ function App() {
 
       // Fix #1: record failure with status code
       const statusCode = err.message?.includes('429') ? 429 : undefined;
-      await recordApiFailure(statusCode);
+      if (!openskyFailureRecorded) await recordApiFailure(statusCode);
 
       // Fallback chain
       let fallback = await loadFlightData();
@@ -285,12 +534,14 @@ function App() {
       } else {
         setCacheStatus('No cached data available');
         setAircraftData([]);
+        setPipeline(null);
       }
     } finally {
       setIsLoading(false);
+      setQuota(loadQuota());
       fetchInProgress.current = false;
     }
-  }, [processFlightData]);
+  }, [processFlightData, sourceConfig, region]);
 
   // Start fetching once initialized
   useEffect(() => {
@@ -298,70 +549,962 @@ function App() {
     fetchData();
   }, [initialized, fetchData]);
 
-  // Periodic updates
+  // Push updates: when the server poller is the only source, stream its snapshots as diffs
+  // instead of polling; the polling loop below takes over whenever the stream is down or stale.
+  // The poller only covers the default region.
+  const streamOnly = sourceConfig.enabled.length === 1 && sourceConfig.enabled[0] === 'server' &&
+    region.id === DEFAULT_REGION_ID;
   useEffect(() => {
-    if (!initialized) return;
-    const interval = setInterval(fetchData, UPDATE_INTERVAL_MS);
-    return () => clearInterval(interval);
+    if (!initialized || !streamOnly) return;
+    const closeStream = openFlightStream({
+      onSnapshot: async data => {
+        setIsStreaming(true);
+        if (!data.states.length) return;
+        await saveFlightData(data);
+        setSnapshotTimes(await listSnapshotTimes());
+        setCacheStatus(`Live (stream): ${data.states.length} aircraft`);
+        processFlightData(data);
+      },
+      onUnavailable: reason => {
+        console.warn(`${reason} — polling instead`);
+        setIsStreaming(false);
+      }
+    });
+    return () => {
+      closeStream();
+      setIsStreaming(false);
+    };
+  }, [initialized, streamOnly, processFlightData]);
+
+  useEffect(() => {
+    const onVisibilityChange = () => setTabHidden(document.hidden);
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', onVisibilityChange);
+  }, []);
+
+  // Offline: the service worker keeps the map and the last snapshot available; poll again on reconnect
+  useEffect(() => {
+    const onOnline = () => setOnline(true);
+    const onOffline = () => setOnline(false);
+    window.addEventListener('online', onOnline);
+    window.addEventListener('offline', onOffline);
+    return () => {
+      window.removeEventListener('online', onOnline);
+      window.removeEventListener('offline', onOffline);
+    };
+  }, []);
+
+  // The current fetchData and initialized state, read through a ref so only a change of `online` refetches
+  const fetchOnReconnect = useRef(() => {});
+  useEffect(() => {
+    fetchOnReconnect.current = () => {
+      if (initialized) fetchData();
+    };
   }, [initialized, fetchData]);
 
+  useEffect(() => {
+    if (online) fetchOnReconnect.current();
+  }, [online]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setClock(Date.now()), CLOCK_TICK_MS);
+    return () => clearInterval(timer);
+  }, []);
+  const dataAge = dataTime ? Math.max(0, clock - dataTime * 1000) : null;
+
+  // Periodic updates, rescheduled after every fetch (new quota) and when the tab is hidden or shown;
+  // a tab that comes back after longer than the interval polls straight away
+  // Outside the default region the server source falls back to OpenSky on every poll
+  const usesOpenSky = sourceConfig.enabled.includes('opensky') ||
+    (sourceConfig.enabled.includes('server') && region.id !== DEFAULT_REGION_ID);
+  useEffect(() => {
+    if (!initialized || isStreaming) {
+      setNextPoll(null);
+      return;
+    }
+    const creditsPerPoll = nextOpenSkyQuery(region, viewBoundsRef.current).credits;
+    const plan = planNextPoll(quota, { usesOpenSky, creditsPerPoll, hidden: tabHidden, utcOffset: region.utcOffset });
+    const at = lastFetchAt.current + plan.delay;
+    setNextPoll({ at, reasons: plan.reasons });
+    const timeout = setTimeout(fetchData, Math.max(0, at - Date.now()));
+    return () => clearTimeout(timeout);
+  }, [initialized, isStreaming, fetchData, quota, usesOpenSky, tabHidden, viewTiles, region]);
+
+  useEffect(() => { viewBoundsRef.current = viewBounds; }, [viewBounds]);
+  useEffect(() => { viewStateRef.current = viewState; }, [viewState]);
+
+  // Tiles that come into view without recent data are fetched on demand instead of at the next poll
+  useEffect(() => {
+    if (!initialized || !usesOpenSky || replayTime !== null || quota.retryAt !== null) return;
+    if (!missingOpenSkyTiles(region, viewBoundsRef.current).length) return;
+    const timeout = setTimeout(fetchData, TILE_FETCH_DELAY_MS);
+    return () => clearTimeout(timeout);
+  }, [initialized, usesOpenSky, replayTime, quota.retryAt, viewTiles, region, fetchData]);
+
+  // Snapshots on the timeline: the imported archive if there is one, otherwise the stored history
+  const timelineTimes = useMemo(
+    () => archive ? archive.snapshots.map(s => s.time) : snapshotTimes,
+    [archive, snapshotTimes]
+  );
+
+  const snapshotRange = useCallback(async (from: number, to: number): Promise<FlightData[]> => {
+    if (!archive) return loadSnapshotRange(from, to);
+    return archive.snapshots.filter(s => s.time >= from && s.time <= to);
+  }, [archive]);
+
+  // Timeline replay: show the latest snapshot at or before the replay time
+  const replaySnapshotTime = useMemo(() => {
+    if (replayTime === null) return null;
+    let found: number | null = null;
+    for (const t of timelineTimes) {
+      if (t > replayTime) break;
+      found = t;
+    }
+    return found;
+  }, [replayTime, timelineTimes]);
+
+  useEffect(() => {
+    if (replaySnapshotTime === null) return;
+    let cancelled = false;
+    (async () => {
+      // Load the preceding snapshots too, so trails are available while replaying
+      const preceding = await snapshotRange(replaySnapshotTime - TRACK_MAX_AGE, replaySnapshotTime - 1);
+      const snapshot = archive
+        ? archive.snapshots.find(s => s.time === replaySnapshotTime) || null
+        : await loadSnapshotAt(replaySnapshotTime);
+      if (cancelled || !snapshot) return;
+      preceding.forEach(s => recordSnapshot(trackHistory.current, s));
+      processFlightData(snapshot, true);
+    })();
+    return () => { cancelled = true; };
+  }, [replaySnapshotTime, archive, snapshotRange, processFlightData]);
+
+  const seekReplay = useCallback((time: number) => {
+    replayTimeRef.current = time;
+    setReplayTime(time);
+  }, []);
+
+  const goLive = useCallback(async () => {
+    replayTimeRef.current = null;
+    setReplayTime(null);
+    setIsPlaying(false);
+    setArchive(null);
+    const latest = await loadFlightDataEmergency();
+    if (latest) processFlightData(latest);
+  }, [processFlightData]);
+
+  // Switching region starts over: replay, trails, trackers and the selection belong to the old one
+  const selectRegion = useCallback((next: RegionProfile) => {
+    replayTimeRef.current = null;
+    setReplayTime(null);
+    setIsPlaying(false);
+    setArchive(null);
+    trackHistory.current = createTrackHistory();
+    cityPairLog.current = createCityPairLog();
+    zoneTracker.current = createZoneTracker();
+    anomalyTracker.current = createAnomalyTracker();
+    watchTracker.current = createWatchTracker();
+    setAircraftData([]);
+    setPipeline(null);
+    setCityPairs([]);
+    setAnomalies({});
+    setSelectedIcao24(null);
+    setFollowing(false);
+    setSelectedAirport(null);
+    setAirlineFilter([]);
+    setCacheStatus('');
+    setRegionId(next.id);
+    setViewState({
+      ...regionViewState(next),
+      transitionDuration: 1500,
+      transitionInterpolator: new FlyToInterpolator()
+    });
+  }, []);
+
+  const togglePlay = useCallback(() => {
+    if (isPlaying) {
+      setIsPlaying(false);
+      return;
+    }
+    if (!timelineTimes.length) return;
+    // Start from the beginning when playing from live or from the end
+    const last = timelineTimes[timelineTimes.length - 1];
+    if (replayTime === null || replayTime >= last) seekReplay(timelineTimes[0]);
+    setIsPlaying(true);
+  }, [isPlaying, replayTime, timelineTimes, seekReplay]);
+
+  useEffect(() => {
+    if (!isPlaying || replayTime === null) return;
+    const last = timelineTimes[timelineTimes.length - 1];
+    if (replayTime >= last) {
+      setIsPlaying(false);
+      return;
+    }
+    const timer = setTimeout(() => {
+      seekReplay(Math.min(last, replayTime + playbackSpeed * PLAYBACK_TICK_MS / 1000));
+    }, PLAYBACK_TICK_MS);
+    return () => clearTimeout(timer);
+  }, [isPlaying, replayTime, playbackSpeed, timelineTimes, seekReplay]);
+
+  // Animation loop for dead-reckoning (live view only): the worker extrapolates, we just redraw.
+  // The next frame is requested once the previous positions arrive, so requests never pile up;
+  // frames in between updates are skipped (see positionUpdateInterval).
+  const pipelineVersion = pipeline?.version;
+  useEffect(() => {
+    if (replayTime !== null || pipelineVersion === undefined) return;
+    let cancelled = false;
+    let frame = 0;
+    let lastUpdate = -Infinity;
+    const tick = async (timestamp: number) => {
+      const { zoom, latitude } = viewStateRef.current;
+      if (timestamp - lastUpdate >= positionUpdateInterval(zoom, latitude)) {
+        lastUpdate = timestamp;
+        try {
+          const next = await pipelinePositions(Date.now() / 1000);
+          if (cancelled) return;
+          setLivePositions(next);
+        } catch (err) {
+          // Aircraft stay at their snapshot positions; the next snapshot restarts the loop
+          console.error('Pipeline worker could not extrapolate positions:', err);
+          return;
+        }
+      }
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => {
+      cancelled = true;
+      cancelAnimationFrame(frame);
+    };
+  }, [replayTime, pipelineVersion]);
+
+  // Operator resolution from callsign prefixes
+  const airlineIndex = useMemo(() => buildAirlineIndex(airlines), [airlines]);
+
+  // Keep the filter state in the URL so the view can be shared as a link
+  useEffect(() => {
+    const search = serializeFilters(filters, window.location.search);
+    if (search !== window.location.search) {
+      window.history.replaceState(null, '', `${window.location.pathname}${search}${window.location.hash}`);
+    }
+  }, [filters]);
+
+  // Filtering and attribute building happen in the pipeline worker; hand it whatever they depend on
+  const applyPipelineOptions = useCallback(async (options: Parameters<typeof configurePipeline>[0]) => {
+    try {
+      const result = await configurePipeline(options);
+      if (result) setPipeline(result);
+    } catch (err: any) {
+      // The options are kept for a replacement worker
+      console.error('Pipeline worker could not apply the options:', err);
+      setError(`Could not draw the aircraft: ${err.message}`);
+    }
+  }, []);
+
+  useEffect(() => { applyPipelineOptions({ filters }); }, [filters, applyPipelineOptions]);
+  useEffect(() => { applyPipelineOptions({ airlineFilter }); }, [airlineFilter, applyPipelineOptions]);
+  useEffect(() => { applyPipelineOptions({ airlines }); }, [airlines, applyPipelineOptions]);
+  useEffect(() => {
+    applyPipelineOptions({ exaggeration: show3d ? altitudeExaggeration : 0 });
+  }, [show3d, altitudeExaggeration, applyPipelineOptions]);
+
+  const originCountries = useMemo(() => {
+    const counts: Record<string, number> = {};
+    filters.countries.forEach(c => { counts[c] = 0; });
+    aircraftData.forEach(d => {
+      const country = d.state[DATA_INDEX.ORIGIN_COUNTRY] || 'Unknown';
+      counts[country] = (counts[country] || 0) + 1;
+    });
+    return Object.entries(counts)
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  }, [aircraftData, filters.countries]);
+
+  const airlineCounts = useMemo(() => pipeline?.airlineCounts ?? {}, [pipeline]);
+
+  // Same order as the attribute buffers, so layer picks map back by index
+  const visibleAircraft = useMemo(
+    () => pipeline ? Array.from(pipeline.visible, i => aircraftData[i]) : [],
+    [pipeline, aircraftData]
+  );
+
+  // Export data for a scope: the live or replayed snapshot (optionally cut to the viewport), or a stored range
+  const collectExport = useCallback(async (
+    scope: ExportScope,
+    range: { from: number; to: number },
+    applyFilters: boolean
+  ): Promise<ExportData> => {
+    if (scope === 'range') {
+      let snapshots = await snapshotRange(range.from, range.to);
+      if (applyFilters) {
+        snapshots = snapshots.map(s => ({
+          time: s.time,
+          states: s.states.filter(state => matchesFilters(state, filters) &&
+            (!airlineFilter.length || airlineFilter.includes(airlineKey(state[DATA_INDEX.CALLSIGN]?.trim() || null, airlineIndex))))
+        }));
+      }
+      return {
+        description: `Snapshots ${new Date(range.from * 1000).toLocaleString(region.language)} – ${new Date(range.to * 1000).toLocaleString(region.language)}`,
+        snapshots,
+        tracks: tracksFromSnapshots(snapshots)
+      };
+    }
+
+    let aircraft = visibleAircraft;
+    if (scope === 'view') {
+      aircraft = aircraft.filter(d => d.position[0] >= viewBounds.lomin && d.position[0] <= viewBounds.lomax &&
+        d.position[1] >= viewBounds.lamin && d.position[1] <= viewBounds.lamax);
+    }
+    return {
+      description: `${scope === 'view' ? 'Current view' : 'Filtered aircraft'} at ${new Date(dataTime * 1000).toLocaleString(region.language)}`,
+      snapshots: [{ time: dataTime, states: aircraft.map(d => d.state) }],
+      tracks: aircraft.map(d => ({
+        icao24: d.icao24,
+        callsign: d.callsign,
+        points: getTrail(trackHistory.current, d.icao24, dataTime, TRACK_MAX_AGE)
+      }))
+    };
+  }, [snapshotRange, filters, airlineFilter, airlineIndex, visibleAircraft, viewBounds, dataTime, region.language]);
+
+  const importArchive = useCallback((snapshots: FlightData[], name: string) => {
+    if (!snapshots.length) return;
+    const sorted = [...snapshots].sort((a, b) => a.time - b.time);
+    setIsPlaying(false);
+    setArchive({ name, snapshots: sorted });
+    seekReplay(sorted[0].time);
+  }, [seekReplay]);
+
+  const toggleAirlineFilter = useCallback((key: string) => {
+    setAirlineFilter(f => f.includes(key) ? f.filter(k => k !== key) : [...f, key]);
+  }, []);
+
+  // Legend entries with aircraft currently airborne come first
+  const sortedAirlines = useMemo(() => [...airlines].sort((a, b) =>
+    (airlineCounts[b.icao.toUpperCase()] || 0) - (airlineCounts[a.icao.toUpperCase()] || 0) ||
+    a.name.localeCompare(b.name)
+  ), [airlines, airlineCounts]);
+
+  // Search
+  const search = useCallback(
+    (query: string) => searchAll(query, aircraftData, airports),
+    [aircraftData, airports]
+  );
+
+  const flyTo = useCallback((longitude: number, latitude: number) => {
+    setViewState(v => ({
+      ...v,
+      longitude,
+      latitude,
+      zoom: Math.max(v.zoom, SEARCH_RESULT_ZOOM),
+      transitionDuration: 1500,
+      transitionInterpolator: new FlyToInterpolator()
+    }));
+  }, []);
+
+  const handleSearchPick = useCallback((result: SearchResult) => {
+    setFollowing(false);
+    if (result.kind === 'aircraft') {
+      setSelectedIcao24(result.id);
+      setSelectedAirport(null);
+    } else {
+      setSelectedAirport(airports.find(a => airportKey(a) === result.id) || null);
+    }
+    flyTo(result.longitude, result.latitude);
+  }, [airports, flyTo]);
+
+  const updatePendingSearches = useCallback((pending: PendingSearch[]) => {
+    setPendingSearches(pending);
+    savePendingSearches(pending);
+  }, []);
+
+  const handleUnmatchedSearch = useCallback((query: string) => {
+    if (pendingSearches.some(p => p.query.toLowerCase() === query.toLowerCase())) return;
+    updatePendingSearches([...pendingSearches, { query, createdAt: Date.now() }]);
+  }, [pendingSearches, updatePendingSearches]);
+
+  // Report remembered searches once the flight shows up in a live poll
+  useEffect(() => {
+    if (replayTime !== null || !pendingSearches.length || !aircraftData.length) return;
+    const matches = findPendingMatches(pendingSearches, aircraftData);
+    if (!matches.length) return;
+    setSearchNotices(n => [...n, ...matches.map(m => ({ query: m.search.query, icao24: m.aircraft.icao24 }))]);
+    updatePendingSearches(pendingSearches.filter(p => !matches.some(m => m.search === p)));
+  }, [aircraftData, replayTime, pendingSearches, updatePendingSearches]);
+
+  // Geofence alerts are raised from live snapshots only; replaying history doesn't re-alert
+  useEffect(() => {
+    if (replayTime !== null || !dataTime || !zones.length) return;
+    const alerts = evaluateZones(zones, aircraftData, dataTime, zoneTracker.current);
+    if (!alerts.length) return;
+    setGeofenceAlerts(a => [...alerts.reverse(), ...a].slice(0, MAX_ALERTS));
+    if (!showZones) setUnreadAlerts(n => n + alerts.length);
+    if (zoneNotifications) {
+      alerts.slice(0, MAX_ZONE_NOTIFICATIONS).forEach(alert => notify(alert.zoneName, alert.message, alert.id));
+    }
+  }, [aircraftData, dataTime, replayTime, zones, showZones, zoneNotifications]);
+
+  // Emergency squawks and anomalies, also from live snapshots only
+  useEffect(() => {
+    if (replayTime !== null || !dataTime) return;
+    const events = detectAnomalies(aircraftData, dataTime, anomalyTracker.current);
+    setAnomalies(flaggedAircraft(anomalyTracker.current));
+    if (events.length) setAnomalyEvents(e => [...events.reverse(), ...e].slice(0, MAX_ANOMALY_EVENTS));
+  }, [aircraftData, dataTime, replayTime]);
+
+  // Watchlist appear/disappear events, from live snapshots
+  useEffect(() => {
+    if (replayTime !== null || !dataTime || !watchlist.length || dataTime <= watchTracker.current.time) return;
+    const sightings = { ...watchSightings };
+    const events = evaluateWatchlist(watchlist, aircraftData, dataTime, watchTracker.current, sightings);
+    setWatchSightings(sightings);
+    saveSightings(sightings);
+    if (!events.length) return;
+    setWatchEvents(e => [...events.reverse(), ...e].slice(0, MAX_WATCH_EVENTS));
+    setWatchNotices(n => [...events, ...n].slice(0, MAX_WATCH_NOTICES));
+    if (watchNotifications) {
+      events.slice(0, MAX_WATCH_NOTICES).forEach(event => notify('Watchlist', event.message, event.id));
+    }
+  }, [aircraftData, dataTime, replayTime, watchlist, watchSightings, watchNotifications]);
+
+  const watchMatches = useMemo(() => matchWatchlist(watchlist, aircraftData), [watchlist, aircraftData]);
+
+  const updateWatchlist = useCallback((entries: WatchEntry[]) => {
+    setWatchlist(entries);
+    saveWatchlist(entries);
+  }, []);
+
+  const flaggedList = useMemo(
+    () => aircraftData
+      .filter(d => anomalies[d.icao24])
+      .map(aircraft => ({ aircraft, kind: anomalies[aircraft.icao24] })),
+    [aircraftData, anomalies]
+  );
+
+  const updateZone = useCallback((zone: Zone) => {
+    setZones(z => z.map(x => x.id === zone.id ? zone : x));
+    saveZone(zone).catch(err => console.warn('Failed to save zone:', err));
+  }, []);
+
+  const removeZone = useCallback((id: string) => {
+    setZones(z => z.filter(x => x.id !== id));
+    deleteZone(id).catch(err => console.warn('Failed to delete zone:', err));
+  }, []);
+
+  const finishZone = useCallback((shape: ZoneShape) => {
+    const zone: Zone = {
+      id: `zone-${Date.now()}`,
+      name: `Zone ${zones.length + 1}`,
+      shape,
+      rules: DEFAULT_ZONE_RULES,
+      createdAt: Date.now()
+    };
+    setZones(z => [...z, zone]);
+    setZoneDrawing(null);
+    saveZone(zone).catch(err => console.warn('Failed to save zone:', err));
+  }, [zones.length]);
+
+  // Map clicks while drawing add a polygon corner, or the centre and then the edge of a circle
+  const addZonePoint = useCallback((point: [number, number]) => {
+    if (!zoneDrawing) return;
+    if (zoneDrawing.type === 'circle' && zoneDrawing.points.length) {
+      const [center] = zoneDrawing.points;
+      const radiusKm = distanceKm(center[0], center[1], point[0], point[1]);
+      if (radiusKm > 0) finishZone({ type: 'circle', center, radiusKm });
+      return;
+    }
+    setZoneDrawing({ ...zoneDrawing, points: [...zoneDrawing.points, point] });
+  }, [zoneDrawing, finishZone]);
+
+  // Map clicks while drawing a region: the first corner, then the opposite one, which creates the
+  // region with the view fitted to it and switches to it
+  const addRegionCorner = useCallback((corner: [number, number]) => {
+    if (!regionDrawing) return;
+    const [first] = regionDrawing.corners;
+    if (!first) {
+      setRegionDrawing({ ...regionDrawing, corners: [corner] });
+      return;
+    }
+    if (first[0] === corner[0] || first[1] === corner[1]) return;
+    const southWest: [number, number] = [Math.min(first[0], corner[0]), Math.min(first[1], corner[1])];
+    const northEast: [number, number] = [Math.max(first[0], corner[0]), Math.max(first[1], corner[1])];
+    const viewport = new WebMercatorViewport({ width: window.innerWidth, height: window.innerHeight });
+    const { longitude, latitude, zoom } = viewport.fitBounds([southWest, northEast], { padding: REGION_FIT_PADDING });
+    const created = createCustomRegion(regionDrawing.name, [southWest, northEast], { longitude, latitude, zoom });
+    const updated = [...customRegions, created];
+    setCustomRegions(updated);
+    saveCustomRegions(updated);
+    setRegionDrawing(null);
+    selectRegion(created);
+  }, [regionDrawing, customRegions, selectRegion]);
+
+  const removeRegion = useCallback((id: string) => {
+    const updated = customRegions.filter(r => r.id !== id);
+    setCustomRegions(updated);
+    saveCustomRegions(updated);
+    if (id === region.id) selectRegion(PRESET_REGIONS[0]);
+    deleteRegionData(id).catch(err => console.warn('Failed to delete region data:', err));
+  }, [customRegions, region.id, selectRegion]);
+
+  // Where the visible aircraft are drawn right now: extrapolated when live, as recorded when replaying
+  const positions = livePositions && pipeline && livePositions.version === pipeline.version && replayTime === null
+    ? livePositions.positions
+    : pipeline?.positions;
+
+  const visibleIndex = useMemo(() => {
+    const index: Record<string, number> = {};
+    visibleAircraft.forEach((d, i) => { index[d.icao24] = i; });
+    return index;
+  }, [visibleAircraft]);
+
+  // Drawn position of one aircraft; filtered-out aircraft fall back to their reported position
+  const positionOf = useCallback((d: AircraftData): [number, number, number] => {
+    const i = visibleIndex[d.icao24];
+    if (i === undefined || !positions) return [d.position[0], d.position[1], 0];
+    return [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]];
+  }, [visibleIndex, positions]);
+
+  // Binary layer data: the worker's buffers, as-is
+  const aircraftAttributes = useMemo(() => {
+    if (!pipeline || !positions || !visibleAircraft.length) return null;
+    return {
+      length: visibleAircraft.length,
+      attributes: {
+        getPosition: { value: positions, size: 3 },
+        getColor: { value: pipeline.colors, size: 4, normalized: true },
+        getAngle: { value: pipeline.angles, size: 1 }
+      }
+    };
+  }, [pipeline, positions, visibleAircraft]);
+
+  // Selected flight
+  const selectedAircraft = useMemo(
+    () => aircraftData.find(d => d.icao24 === selectedIcao24) || null,
+    [aircraftData, selectedIcao24]
+  );
+
+  const selectedTrack = useMemo(
+    () => selectedIcao24 ? getTrail(trackHistory.current, selectedIcao24, dataTime, TRACK_MAX_AGE) : [],
+    [selectedIcao24, aircraftData, dataTime]
+  );
+
+  // Follow mode keeps the map centred on the selected aircraft
+  useEffect(() => {
+    if (!following || !selectedAircraft) return;
+    const [longitude, latitude] = positionOf(selectedAircraft);
+    setViewState(v => ({ ...v, longitude, latitude }));
+  }, [following, selectedAircraft, positionOf]);
+
+  const selectionLayer = useMemo(() => {
+    if (!selectedAircraft) return null;
+    return new ScatterplotLayer({
+      id: 'selected-aircraft-layer',
+      data: [selectedAircraft],
+      getPosition: (d: AircraftData) => {
+        const [lon, lat] = positionOf(d);
+        return [lon, lat];
+      },
+      getRadius: 14,
+      radiusUnits: 'pixels',
+      stroked: true,
+      filled: false,
+      getLineColor: [76, 175, 80],
+      lineWidthMinPixels: 2,
+      updateTriggers: {
+        getPosition: [positionOf]
+      }
+    });
+  }, [selectedAircraft, positionOf]);
+
+  // Flagged aircraft: a ring in the colour of their most severe condition, with a label.
+  // Drawn even when filtered out, at the reported position.
+  const anomalyLayers = useMemo(() => {
+    if (!flaggedList.length || replayTime !== null) return [];
+    const positionOfFlagged = (d: { aircraft: AircraftData }): [number, number] => {
+      const [lon, lat] = positionOf(d.aircraft);
+      return [lon, lat];
+    };
+    return [
+      new ScatterplotLayer({
+        id: 'anomaly-ring-layer',
+        data: flaggedList,
+        getPosition: positionOfFlagged,
+        getRadius: 18,
+        radiusUnits: 'pixels',
+        stroked: true,
+        filled: false,
+        getLineColor: (d: { kind: AnomalyKind }) => [...ANOMALY_COLORS[d.kind], 255] as [number, number, number, number],
+        lineWidthMinPixels: 3,
+        updateTriggers: {
+          getPosition: [positionOf]
+        }
+      }),
+      new TextLayer({
+        id: 'anomaly-label-layer',
+        data: flaggedList,
+        getPosition: positionOfFlagged,
+        getText: (d: { kind: AnomalyKind }) => ANOMALY_LABELS[d.kind],
+        getSize: 11,
+        getColor: [255, 255, 255],
+        getPixelOffset: [0, -28],
+        background: true,
+        getBackgroundColor: (d: { kind: AnomalyKind }) => [...ANOMALY_COLORS[d.kind], 220] as [number, number, number, number],
+        backgroundPadding: [3, 1],
+        fontFamily: 'monospace',
+        fontWeight: 'bold',
+        updateTriggers: {
+          getPosition: [positionOf]
+        }
+      })
+    ];
+  }, [flaggedList, positionOf, replayTime]);
+
+  const selectedAirportLayer = useMemo(() => {
+    if (!selectedAirport) return null;
+    return new ScatterplotLayer({
+      id: 'selected-airport-layer',
+      data: [selectedAirport],
+      getPosition: (d: Airport) => [d.longitude, d.latitude],
+      getRadius: 22,
+      radiusUnits: 'pixels',
+      stroked: true,
+      filled: false,
+      getLineColor: [255, 193, 7],
+      lineWidthMinPixels: 2
+    });
+  }, [selectedAirport]);
+
+  // Zoomed far out, individual icons turn into clutter: fall back to the heatmap
+  const effectiveRenderMode: RenderMode =
+    renderMode === 'icons' && autoAggregate && viewState.zoom < AUTO_AGGREGATE_ZOOM ? 'heatmap' : renderMode;
+
+  // Positions from the stored snapshot history, for the history heatmap
+  useEffect(() => {
+    if (effectiveRenderMode !== 'history') return;
+    let cancelled = false;
+    (async () => {
+      const until = replayTime ?? Math.floor(Date.now() / 1000);
+      const snapshots = await snapshotRange(until - HISTORY_AGGREGATE_WINDOW, until);
+      if (cancelled) return;
+      const positions: [number, number][] = [];
+      snapshots.forEach(snapshot => snapshot.states.forEach(state => {
+        if (isValidState(state)) positions.push([state[DATA_INDEX.LONGITUDE], state[DATA_INDEX.LATITUDE]]);
+      }));
+      setHistoryPositions(positions);
+    })();
+    return () => { cancelled = true; };
+  }, [effectiveRenderMode, replayTime, snapshotTimes, snapshotRange]);
+
+  const aggregateLayer = useMemo(() => {
+    if (effectiveRenderMode === 'heatmap' && aircraftAttributes) {
+      return new HeatmapLayer({
+        id: 'aircraft-heatmap-layer',
+        data: {
+          length: aircraftAttributes.length,
+          attributes: { getPosition: { value: aircraftAttributes.attributes.getPosition.value, size: 3 } }
+        },
+        getWeight: 1,
+        radiusPixels: 40,
+        intensity: 1.5,
+        threshold: 0.05
+      });
+    }
+    if (effectiveRenderMode === 'hexagon' && visibleAircraft.length) {
+      return new HexagonLayer({
+        id: 'aircraft-hexagon-layer',
+        data: visibleAircraft,
+        getPosition: (d: AircraftData) => [d.position[0], d.position[1]],
+        radius: 25000,
+        extruded: true,
+        coverage: 0.9,
+        opacity: 0.8,
+        // Height is either the number of aircraft or their mean altitude per cell
+        elevationAggregation: hexMetric === 'count' ? 'SUM' : 'MEAN',
+        getElevationWeight: (d: AircraftData) => (hexMetric === 'count' ? 1 : d.altitude),
+        elevationScale: hexMetric === 'count' ? 4000 : 8,
+        colorAggregation: hexMetric === 'count' ? 'SUM' : 'MEAN',
+        getColorWeight: (d: AircraftData) => (hexMetric === 'count' ? 1 : d.altitude),
+        pickable: true,
+        updateTriggers: {
+          getElevationWeight: [hexMetric],
+          getColorWeight: [hexMetric]
+        }
+      });
+    }
+    if (effectiveRenderMode === 'history' && historyPositions.length) {
+      return new HeatmapLayer({
+        id: 'history-heatmap-layer',
+        data: historyPositions,
+        getPosition: (d: [number, number]) => d,
+        getWeight: 1,
+        radiusPixels: 30,
+        intensity: 1,
+        threshold: 0.03
+      });
+    }
+    return null;
+  }, [effectiveRenderMode, visibleAircraft, aircraftAttributes, hexMetric, historyPositions]);
+
+  // Trails: position history of the aircraft on screen, coloured by altitude
+  const trailsLayer = useMemo(() => {
+    if (!showTrails || !visibleAircraft.length || !dataTime || effectiveRenderMode !== 'icons') return null;
+
+    // Timestamps are relative to the trail start to stay within float32 precision
+    const start = dataTime - trailLength;
+    const trails = visibleAircraft
+      .map(d => getTrail(trackHistory.current, d.icao24, dataTime, trailLength))
+      .filter(points => points.length > 1);
+
+    return new TripsLayer({
+      id: 'aircraft-trails-layer',
+      data: trails,
+      getPath: (points: TrackPoint[]) => points.map(p => [p.longitude, p.latitude] as [number, number]),
+      getTimestamps: (points: TrackPoint[]) => points.map(p => p.time - start),
+      getColor: (points: TrackPoint[]) => points.map(p => altitudeColor(p.altitude)),
+      currentTime: trailLength,
+      trailLength,
+      fadeTrail: true,
+      widthMinPixels: 2,
+      opacity: 0.8,
+      capRounded: true,
+      jointRounded: true
+    });
+  }, [visibleAircraft, dataTime, showTrails, trailLength, effectiveRenderMode]);
+
+  // 3D aircraft meshes at their real altitude, heading from TRUE_TRACK and pitch from vertical rate
+  const aircraftMesh = useMemo(() => createAircraftMesh(), []);
+
+  const meshLayer = useMemo(() => {
+    if (!aircraftAttributes || !pipeline || effectiveRenderMode !== 'icons' || !show3d) return null;
+
+    // Keep the model a constant on-screen size regardless of zoom
+    const metresPerPixel = 40075016.686 * Math.cos(viewState.latitude * Math.PI / 180) / (512 * 2 ** viewState.zoom);
+    const { orientations } = pipeline;
+
+    return new SimpleMeshLayer({
+      id: 'aircraft-mesh-layer',
+      data: aircraftAttributes,
+      mesh: aircraftMesh,
+      // Orientation feeds a composite model-matrix attribute, so it's read from the buffer by index
+      getOrientation: (_: unknown, { index }: { index: number }) =>
+        [orientations[index * 3], orientations[index * 3 + 1], orientations[index * 3 + 2]],
+      sizeScale: MESH_SIZE_PIXELS * metresPerPixel,
+      pickable: true,
+      updateTriggers: {
+        getOrientation: [orientations]
+      }
+    });
+  }, [aircraftAttributes, pipeline, effectiveRenderMode, show3d, aircraftMesh, viewState.latitude, viewState.zoom]);
+
+  const dropLinesLayer = useMemo(() => {
+    if (!aircraftAttributes || !pipeline || effectiveRenderMode !== 'icons' || !show3d || !showDropLines) return null;
+    const positions = aircraftAttributes.attributes.getPosition.value;
+    return new LineLayer({
+      id: 'aircraft-droplines-layer',
+      data: {
+        length: aircraftAttributes.length,
+        attributes: {
+          getSourcePosition: { value: positions, size: 3 },
+          // Same buffer without z: straight down to the ground
+          getTargetPosition: { value: positions, size: 2, stride: 12 },
+          getColor: { value: pipeline.altitudeColors, size: 4, normalized: true }
+        }
+      },
+      getWidth: 1
+    });
+  }, [aircraftAttributes, pipeline, effectiveRenderMode, show3d, showDropLines]);
+
   // Icon layer for aircraft
   const iconLayer = useMemo(() => {
-    if (!aircraftData.length) return null;
+    if (!aircraftAttributes || effectiveRenderMode !== 'icons' || show3d) return null;
     return new IconLayer({
       id: 'aircraft-icon-layer',
-      data: aircraftData,
-      getPosition: (d: AircraftData) => [d.position[0], d.position[1]],
+      data: aircraftAttributes,
       getIcon: () => ({
         url: '/airplane.svg',
         width: 16,
         height: 16,
-        anchorY: 8
+        anchorY: 8,
+        mask: true
       }),
-      getAngle: (d: AircraftData) => -d.heading,
       sizeScale: 8,
       sizeMinPixels: 16,
       sizeMaxPixels: 64,
       pickable: true
     });
-  }, [aircraftData]);
+  }, [aircraftAttributes, effectiveRenderMode, show3d]);
+
+  // Airports layer: large airports stand out, small aerodromes only show up close in
+  const showSmallAirports = viewState.zoom >= SMALL_AIRPORT_MIN_ZOOM;
+  const shownAirports = useMemo(
+    () => showSmallAirports ? airports : airports.filter(a => a.size !== 'small'),
+    [airports, showSmallAirports]
+  );
 
-  // Airports layer
   const airportsLayer = useMemo(() => {
-    if (!airports.length) return null;
-
-    const isInternational = (airport: Airport): boolean => {
-      const nameLower = airport.name.toLowerCase();
-      const typeLower = airport.type.toLowerCase();
-      return nameLower.includes('international') ||
-             nameLower.includes('internacional') ||
-             typeLower.includes('international');
-    };
+    if (!shownAirports.length) return null;
 
     return new IconLayer({
       id: 'airports-layer',
-      data: airports,
+      data: shownAirports,
       getPosition: (d: Airport) => [d.longitude, d.latitude],
       getIcon: (d: Airport) => ({
-        url: isInternational(d) ? '/airport-yellow.svg' : '/airport.svg',
+        url: d.size === 'large' ? '/airport-yellow.svg' : '/airport.svg',
         width: 32,
         height: 32,
         anchorY: 16,
         mask: false
       }),
-      getSize: (d: Airport) => isInternational(d) ? 2 : 1,
+      getSize: (d: Airport) => d.size === 'large' ? 2 : d.size === 'medium' ? 1 : 0.7,
       sizeScale: 2,
       sizeMinPixels: 16,
       sizeMaxPixels: 64,
       pickable: true
     });
-  }, [airports]);
+  }, [shownAirports]);
+
+  // Traffic is attributed to large and medium airports only, so an airstrip next to a major airport
+  // doesn't take its arrivals and departures
+  const trafficAirports = useMemo(() => airports.filter(a => a.size !== 'small'), [airports]);
+
+  // Inferred arrivals/departures per airport, with a badge for airports that have traffic
+  const airportActivity = useMemo(
+    () => inferAirportActivity(aircraftData, trafficAirports),
+    [aircraftData, trafficAirports]
+  );
+
+  const activityBadgeLayer = useMemo(() => {
+    const busy = trafficAirports.filter(a => airportActivity.has(airportKey(a)));
+    if (!busy.length) return null;
+
+    const countFor = (a: Airport) => {
+      const entry = airportActivity.get(airportKey(a));
+      return entry ? entry.arrivals.length + entry.departures.length : 0;
+    };
+
+    return new TextLayer({
+      id: 'airport-activity-layer',
+      data: busy,
+      getPosition: (d: Airport) => [d.longitude, d.latitude],
+      getText: (d: Airport) => String(countFor(d)),
+      getSize: 11,
+      getColor: [0, 0, 0],
+      getPixelOffset: [14, -14],
+      background: true,
+      getBackgroundColor: [255, 193, 7],
+      backgroundPadding: [3, 1],
+      fontFamily: 'monospace',
+      fontWeight: 'bold'
+    });
+  }, [trafficAirports, airportActivity]);
+
+  // Origin–destination estimates and the session's busiest city pairs
+  const routes = useMemo(
+    () => estimateRoutes(aircraftData, icao24 => getTrail(trackHistory.current, icao24, dataTime, TRACK_MAX_AGE), trafficAirports),
+    [aircraftData, trafficAirports, dataTime]
+  );
+
+  useEffect(() => {
+    recordRoutes(cityPairLog.current, routes);
+    setCityPairs(busiestCityPairs(cityPairLog.current));
+  }, [routes]);
+
+  const routesLayer = useMemo(() => {
+    if (!showRoutes) return null;
+    const visible = new Set(visibleAircraft.map(d => d.icao24));
+    const data = routes.filter(r => r.origin && r.destination && visible.has(r.icao24));
+    if (!data.length) return null;
+
+    return new ArcLayer({
+      id: 'routes-arc-layer',
+      data,
+      getSourcePosition: (d: RouteEstimate) => [d.origin!.longitude, d.origin!.latitude],
+      getTargetPosition: (d: RouteEstimate) => [d.destination!.longitude, d.destination!.latitude],
+      getSourceColor: [255, 193, 7, 180],
+      getTargetColor: [79, 195, 247, 180],
+      getWidth: 2,
+      greatCircle: true
+    });
+  }, [showRoutes, routes, visibleAircraft]);
+
+  // Geofence zones, and the one being drawn
+  const zonesLayer = useMemo(() => {
+    if (!zones.length) return null;
+    return new PolygonLayer({
+      id: 'zones-layer',
+      data: zones,
+      getPolygon: (d: Zone) => zonePolygon(d),
+      getFillColor: [79, 195, 247, 30],
+      getLineColor: [79, 195, 247, 200],
+      getLineWidth: 2,
+      lineWidthUnits: 'pixels',
+      stroked: true,
+      filled: true
+    });
+  }, [zones]);
+
+  const zoneDrawingLayers = useMemo(() => {
+    if (!zoneDrawing || !zoneDrawing.points.length) return [];
+    const { points } = zoneDrawing;
+    return [
+      new PathLayer({
+        id: 'zone-drawing-path-layer',
+        data: [points],
+        getPath: (d: [number, number][]) => d,
+        getColor: [255, 193, 7, 220],
+        getWidth: 2,
+        widthUnits: 'pixels'
+      }),
+      new ScatterplotLayer({
+        id: 'zone-drawing-points-layer',
+        data: points,
+        getPosition: (d: [number, number]) => d,
+        getRadius: 4,
+        radiusUnits: 'pixels',
+        getFillColor: [255, 193, 7, 255]
+      })
+    ];
+  }, [zoneDrawing]);
+
+  // The region's box while the region panel is open, and the first corner of one being drawn
+  const regionLayers = useMemo(() => {
+    if (regionDrawing) {
+      return regionDrawing.corners.length ? [
+        new ScatterplotLayer({
+          id: 'region-drawing-corner-layer',
+          data: regionDrawing.corners,
+          getPosition: (d: [number, number]) => d,
+          getRadius: 4,
+          radiusUnits: 'pixels',
+          getFillColor: [255, 193, 7, 255]
+        })
+      ] : [];
+    }
+    if (!showRegions) return [];
+    const { lamin, lomin, lamax, lomax } = region.bounds;
+    return [
+      new PathLayer({
+        id: 'region-bounds-layer',
+        data: [[[lomin, lamin], [lomax, lamin], [lomax, lamax], [lomin, lamax], [lomin, lamin]]],
+        getPath: (d: [number, number][]) => d,
+        getColor: [255, 193, 7, 160],
+        getWidth: 2,
+        widthUnits: 'pixels'
+      })
+    ];
+  }, [regionDrawing, showRegions, region.bounds]);
 
   // Tooltip
+  // Aircraft layers draw from binary buffers, so picks carry an index rather than an object
+  const pickedAircraft = useCallback((info: any): AircraftData | null => {
+    if (!info.layer || !AIRCRAFT_LAYERS.includes(info.layer.id) || info.index < 0) return null;
+    return visibleAircraft[info.index] || null;
+  }, [visibleAircraft]);
+
   const getTooltip = useCallback((info: any) => {
-    if (!info.object) return null;
+    const picked = pickedAircraft(info);
+    if (!info.object && !picked) return null;
 
-    if ('name' in info.object && 'city' in info.object) {
+    if (!picked && 'name' in info.object && 'city' in info.object) {
       const airport = info.object as Airport;
       return {
         html: `
@@ -371,17 +1514,21 @@ function App() {
             ${airport.iata ? `<div>IATA: ${airport.iata}</div>` : ''}
             ${airport.icao ? `<div>ICAO: ${airport.icao}</div>` : ''}
             <div>Altitude: ${Math.round(airport.altitude)} ft</div>
+            <div>${AIRPORT_SIZE_LABELS[airport.size]}</div>
+            ${airport.runways.length ? `<div>Runways: ${airport.runways.map(describeRunway).join(', ')}</div>` : ''}
           </div>
         `,
         style: { backgroundColor: 'rgba(0, 0, 0, 0.8)', color: 'white', borderRadius: '4px' }
       };
     }
 
-    const aircraft = info.object as AircraftData;
+    const aircraft = picked || info.object as AircraftData;
+    const airline = resolveAirline(aircraft.callsign, airlineIndex);
     return {
       html: `
         <div style="padding: 8px; font-family: monospace; font-size: 12px;">
           <div><strong>Callsign:</strong> ${aircraft.callsign || 'Unknown'}</div>
+          ${airline ? `<div><strong>Airline:</strong> ${airline.name}</div>` : ''}
           <div><strong>ICAO24:</strong> ${aircraft.icao24}</div>
           <div><strong>Altitude:</strong> ${Math.round(aircraft.altitude)} m</div>
           <div><strong>Speed:</strong> ${aircraft.velocity ? Math.round(aircraft.velocity * 3.6) : 'N/A'} km/h</div>
@@ -389,7 +1536,7 @@ function App() {
       `,
       style: { backgroundColor: 'rgba(0, 0, 0, 0.8)', color: 'white', borderRadius: '4px' }
     };
-  }, []);
+  }, [airlineIndex, pickedAircraft]);
 
   return (
     <div style={{ width: '100%', height: '100%', position: 'relative' }}>
@@ -400,13 +1547,46 @@ function App() {
       <DeckGL
         initialViewState={INITIAL_VIEW_STATE}
         viewState={viewState}
-        onViewStateChange={({ viewState: newViewState }) => {
-          if (newViewState) setViewState(newViewState as typeof INITIAL_VIEW_STATE);
+        onViewStateChange={({ viewState: newViewState, interactionState }) => {
+          // Dragging the map takes over from follow mode
+          if (interactionState?.isDragging) setFollowing(false);
+          if (newViewState) setViewState(newViewState as ViewState);
+        }}
+        onClick={info => {
+          if (regionDrawing) {
+            if (info.coordinate) addRegionCorner([info.coordinate[0], info.coordinate[1]]);
+            return;
+          }
+          if (zoneDrawing) {
+            if (info.coordinate) addZonePoint([info.coordinate[0], info.coordinate[1]]);
+            return;
+          }
+          const aircraft = pickedAircraft(info);
+          if (aircraft) {
+            setSelectedIcao24(aircraft.icao24);
+          } else if (info.layer?.id === 'airports-layer' && info.object) {
+            setSelectedAirport(info.object as Airport);
+          }
         }}
         controller={true}
+        getCursor={({ isDragging, isHovering }) =>
+          zoneDrawing || regionDrawing ? 'crosshair' : isDragging ? 'grabbing' : isHovering ? 'pointer' : 'grab'
+        }
         layers={[
+          ...(zonesLayer ? [zonesLayer] : []),
+          ...zoneDrawingLayers,
+          ...regionLayers,
           ...(airportsLayer ? [airportsLayer] : []),
-          ...(iconLayer ? [iconLayer] : [])
+          ...(selectedAirportLayer ? [selectedAirportLayer] : []),
+          ...(activityBadgeLayer ? [activityBadgeLayer] : []),
+          ...(trailsLayer ? [trailsLayer] : []),
+          ...(aggregateLayer ? [aggregateLayer] : []),
+          ...(routesLayer ? [routesLayer] : []),
+          ...(iconLayer ? [iconLayer] : []),
+          ...(dropLinesLayer ? [dropLinesLayer] : []),
+          ...(meshLayer ? [meshLayer] : []),
+          ...(selectionLayer ? [selectionLayer] : []),
+          ...anomalyLayers
         ]}
         getTooltip={getTooltip}
       >
@@ -450,10 +1630,185 @@ function App() {
         backgroundColor: 'rgba(0, 0, 0, 0.8)', color: 'white',
         borderRadius: 4, fontFamily: 'monospace', fontSize: 12, zIndex: 1000
       }}>
-        <div>Aircraft: {aircraftData.length}</div>
+        {replayTime === null && (!online || (dataAge !== null && dataAge > STALE_DATA_MS)) && (
+          <div style={{
+            marginBottom: 6, padding: '2px 6px', borderRadius: 4, display: 'inline-block',
+            backgroundColor: online ? 'rgba(255, 193, 7, 0.25)' : 'rgba(244, 67, 54, 0.35)',
+            color: online ? '#FFC107' : '#fff'
+          }}>
+            {!online ? `Offline — ${dataTime ? `showing data from ${new Date(dataTime * 1000).toLocaleTimeString(region.language, { hour: '2-digit', minute: '2-digit' })}` : 'no cached data'}`
+              : `Stale — data is ${Math.round(dataAge! / 60000)} min old`}
+          </div>
+        )}
+        <div>Aircraft: {visibleAircraft.length !== aircraftData.length ? `${visibleAircraft.length} / ${aircraftData.length}` : aircraftData.length}</div>
         <div>Airports: {airports.length}</div>
-        <div>Updates every 5 min</div>
+        <div>
+          {replayTime !== null ? (archive ? `Replaying ${archive.name}` : 'Replaying history')
+            : isStreaming ? 'Live stream'
+            : nextPoll ? `Next update ${new Date(nextPoll.at).toLocaleTimeString(region.language, { hour: '2-digit', minute: '2-digit' })}${nextPoll.reasons.length ? ` (${nextPoll.reasons.join(', ')})` : ''}`
+            : 'Updates every 5 min'}
+        </div>
+        {usesOpenSky && (quota.remaining !== null || quota.retryAt !== null) && (
+          <div style={{ fontSize: 11, opacity: 0.8, color: quota.retryAt ? '#FFC107' : undefined }}>
+            OpenSky credits: {quota.remaining ?? '?'} left
+            {quota.retryAt && ` — rate-limited until ${new Date(quota.retryAt).toLocaleTimeString(region.language, { hour: '2-digit', minute: '2-digit' })}`}
+          </div>
+        )}
         {cacheStatus && <div style={{ marginTop: 4, fontSize: 11, opacity: 0.8 }}>{cacheStatus}</div>}
+        <button
+          onClick={() => setShowRegions(v => !v)}
+          style={{
+            marginTop: 8, marginRight: 8, padding: '4px 8px', borderRadius: 4,
+            border: '1px solid #555', background: 'transparent',
+            color: '#aaa', cursor: 'pointer', fontFamily: 'monospace', fontSize: 11
+          }}
+        >
+          Region: {region.name}
+        </button>
+        <button
+          onClick={() => setShowSources(v => !v)}
+          style={{
+            marginTop: 8, marginRight: 8, padding: '4px 8px', borderRadius: 4,
+            border: '1px solid #555', background: 'transparent',
+            color: '#aaa', cursor: 'pointer', fontFamily: 'monospace', fontSize: 11
+          }}
+        >
+          Sources ({sourceConfig.enabled.length})
+        </button>
+        <button
+          onClick={() => setShowFilters(f => !f)}
+          style={{
+            marginTop: 8, padding: '4px 8px', borderRadius: 4,
+            border: '1px solid #555', background: 'transparent',
+            color: activeFilterCount(filters) ? '#4CAF50' : '#aaa',
+            cursor: 'pointer', fontFamily: 'monospace', fontSize: 11
+          }}
+        >
+          Filters{activeFilterCount(filters) ? ` (${activeFilterCount(filters)})` : ''}
+        </button>
+        <button
+          onClick={() => { setShowZones(v => !v); setUnreadAlerts(0); }}
+          style={{
+            marginTop: 8, marginLeft: 8, padding: '4px 8px', borderRadius: 4,
+            border: '1px solid #555', background: 'transparent',
+            color: unreadAlerts ? '#FFC107' : '#aaa',
+            cursor: 'pointer', fontFamily: 'monospace', fontSize: 11
+          }}
+        >
+          Zones{unreadAlerts ? ` (${unreadAlerts} new)` : zones.length ? ` (${zones.length})` : ''}
+        </button>
+        <button
+          onClick={() => setShowAnomalies(v => !v)}
+          style={{
+            marginTop: 8, marginLeft: 8, padding: '4px 8px', borderRadius: 4,
+            border: `1px solid ${flaggedList.length ? '#F44336' : '#555'}`,
+            background: flaggedList.length ? 'rgba(244, 67, 54, 0.25)' : 'transparent',
+            color: flaggedList.length ? '#fff' : '#aaa',
+            cursor: 'pointer', fontFamily: 'monospace', fontSize: 11
+          }}
+        >
+          Alerts{flaggedList.length ? ` (${flaggedList.length})` : ''}
+        </button>
+        <button
+          onClick={() => setShowWatchlist(v => !v)}
+          style={{
+            marginTop: 8, marginLeft: 8, padding: '4px 8px', borderRadius: 4,
+            border: '1px solid #555', background: 'transparent',
+            color: '#aaa', cursor: 'pointer', fontFamily: 'monospace', fontSize: 11
+          }}
+        >
+          Watchlist{watchlist.length ? ` (${watchlist.filter(e => watchMatches[e.id]?.length).length}/${watchlist.length})` : ''}
+        </button>
+        <button
+          onClick={() => setShowExport(v => !v)}
+          style={{
+            marginTop: 8, marginLeft: 8, padding: '4px 8px', borderRadius: 4,
+            border: '1px solid #555', background: 'transparent',
+            color: archive ? '#FFC107' : '#aaa', cursor: 'pointer', fontFamily: 'monospace', fontSize: 11
+          }}
+        >
+          Export
+        </button>
+        <div style={{ marginTop: 8, display: 'flex', gap: 8, alignItems: 'center' }}>
+          <select
+            value={renderMode}
+            onChange={e => setRenderMode(e.target.value as RenderMode)}
+            style={{
+              padding: '2px 4px', borderRadius: 4, border: '1px solid #555',
+              background: '#0d0d1a', color: '#aaa', fontFamily: 'monospace', fontSize: 11
+            }}
+          >
+            {RENDER_MODES.map(mode => (
+              <option key={mode.value} value={mode.value}>{mode.label}</option>
+            ))}
+          </select>
+          {renderMode === 'hexagon' && (
+            <select
+              value={hexMetric}
+              onChange={e => setHexMetric(e.target.value as HexMetric)}
+              style={{
+                padding: '2px 4px', borderRadius: 4, border: '1px solid #555',
+                background: '#0d0d1a', color: '#aaa', fontFamily: 'monospace', fontSize: 11
+              }}
+            >
+              <option value="count">by count</option>
+              <option value="altitude">by mean altitude</option>
+            </select>
+          )}
+          {renderMode === 'icons' && (
+            <label style={{ cursor: 'pointer' }} title="Switch to the heatmap when zoomed out">
+              <input type="checkbox" checked={autoAggregate} onChange={e => setAutoAggregate(e.target.checked)} /> Auto
+            </label>
+          )}
+        </div>
+        {renderMode === 'icons' && (
+          <div style={{ marginTop: 8, display: 'flex', gap: 8, alignItems: 'center' }}>
+            <label style={{ cursor: 'pointer' }}>
+              <input type="checkbox" checked={show3d} onChange={e => setShow3d(e.target.checked)} /> 3D
+            </label>
+            {show3d && (
+              <>
+                <select
+                  value={altitudeExaggeration}
+                  onChange={e => setAltitudeExaggeration(parseInt(e.target.value, 10))}
+                  title="Altitude exaggeration"
+                  style={{
+                    padding: '2px 4px', borderRadius: 4, border: '1px solid #555',
+                    background: '#0d0d1a', color: '#aaa', fontFamily: 'monospace', fontSize: 11
+                  }}
+                >
+                  {ALTITUDE_EXAGGERATIONS.map(x => (
+                    <option key={x} value={x}>{x}× alt</option>
+                  ))}
+                </select>
+                <label style={{ cursor: 'pointer' }}>
+                  <input type="checkbox" checked={showDropLines} onChange={e => setShowDropLines(e.target.checked)} /> Drop-lines
+                </label>
+              </>
+            )}
+          </div>
+        )}
+        <div style={{ marginTop: 8, display: 'flex', gap: 8, alignItems: 'center' }}>
+          <label style={{ cursor: 'pointer' }}>
+            <input type="checkbox" checked={showTrails} onChange={e => setShowTrails(e.target.checked)} /> Trails
+          </label>
+          <select
+            value={trailLength}
+            disabled={!showTrails}
+            onChange={e => setTrailLength(parseInt(e.target.value, 10))}
+            style={{
+              padding: '2px 4px', borderRadius: 4, border: '1px solid #555',
+              background: '#0d0d1a', color: '#aaa', fontFamily: 'monospace', fontSize: 11
+            }}
+          >
+            {TRAIL_LENGTHS.map(len => (
+              <option key={len} value={len}>{len / 60} min</option>
+            ))}
+          </select>
+          <label style={{ cursor: 'pointer' }}>
+            <input type="checkbox" checked={showRoutes} onChange={e => setShowRoutes(e.target.checked)} /> Routes
+          </label>
+        </div>
         <button
           onClick={() => {
             clearCredentials();
@@ -469,6 +1824,219 @@ function App() {
         </button>
       </div>
 
+      <SearchBox search={search} onPick={handleSearchPick} onUnmatched={handleUnmatchedSearch} />
+
+      {(searchNotices.length > 0 || pendingSearches.length > 0 || watchNotices.length > 0) && (
+        <div style={{
+          position: 'absolute', top: 50, left: '50%', transform: 'translateX(-50%)',
+          width: 360, zIndex: 1000, fontFamily: 'monospace', fontSize: 11
+        }}>
+          {searchNotices.map(notice => (
+            <div key={notice.icao24} style={{
+              display: 'flex', alignItems: 'center', gap: 8, marginBottom: 4, padding: '6px 10px',
+              backgroundColor: 'rgba(76, 175, 80, 0.9)', color: 'white', borderRadius: 4
+            }}>
+              <span style={{ flex: 1 }}>"{notice.query}" is now in range</span>
+              <button
+                onClick={() => {
+                  const aircraft = aircraftData.find(d => d.icao24 === notice.icao24);
+                  if (aircraft) handleSearchPick({
+                    kind: 'aircraft', id: aircraft.icao24, label: notice.query, detail: '',
+                    longitude: aircraft.position[0], latitude: aircraft.position[1], score: 0
+                  });
+                  setSearchNotices(n => n.filter(x => x !== notice));
+                }}
+                style={{ background: 'transparent', border: '1px solid #fff', color: '#fff', borderRadius: 4, cursor: 'pointer', fontFamily: 'monospace', fontSize: 11 }}
+              >
+                Show
+              </button>
+              <button
+                onClick={() => setSearchNotices(n => n.filter(x => x !== notice))}
+                style={{ background: 'transparent', border: 'none', color: '#fff', cursor: 'pointer', fontFamily: 'monospace', fontSize: 11 }}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+          {watchNotices.map(notice => (
+            <div key={notice.id} style={{
+              display: 'flex', alignItems: 'center', gap: 8, marginBottom: 4, padding: '6px 10px',
+              backgroundColor: notice.kind === 'appeared' ? 'rgba(33, 150, 243, 0.9)' : 'rgba(96, 125, 139, 0.9)',
+              color: 'white', borderRadius: 4
+            }}>
+              <span style={{ flex: 1 }}>{notice.message}</span>
+              {notice.kind === 'appeared' && (
+                <button
+                  onClick={() => {
+                    const aircraft = aircraftData.find(d => d.icao24 === notice.icao24);
+                    setSelectedIcao24(notice.icao24);
+                    if (aircraft) flyTo(aircraft.position[0], aircraft.position[1]);
+                    setWatchNotices(n => n.filter(x => x !== notice));
+                  }}
+                  style={{ background: 'transparent', border: '1px solid #fff', color: '#fff', borderRadius: 4, cursor: 'pointer', fontFamily: 'monospace', fontSize: 11 }}
+                >
+                  Show
+                </button>
+              )}
+              <button
+                onClick={() => setWatchNotices(n => n.filter(x => x !== notice))}
+                style={{ background: 'transparent', border: 'none', color: '#fff', cursor: 'pointer', fontFamily: 'monospace', fontSize: 11 }}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+          {pendingSearches.length > 0 && (
+            <div style={{
+              padding: '4px 10px', backgroundColor: 'rgba(0, 0, 0, 0.7)', color: '#aaa', borderRadius: 4
+            }}>
+              Waiting for: {pendingSearches.map(p => p.query).join(', ')}
+              <button
+                onClick={() => updatePendingSearches([])}
+                style={{ marginLeft: 8, background: 'transparent', border: 'none', color: '#aaa', cursor: 'pointer', fontFamily: 'monospace', fontSize: 11 }}
+              >
+                clear
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {showSources && (
+        <SourcesPanel
+          config={sourceConfig}
+          onChange={config => {
+            setSourceConfig(config);
+            saveSourceConfig(config);
+            setShowSources(false);
+          }}
+          onClose={() => setShowSources(false)}
+        />
+      )}
+
+      {showZones && (
+        <GeofencePanel
+          zones={zones}
+          alerts={geofenceAlerts}
+          drawing={zoneDrawing}
+          notificationsEnabled={zoneNotifications}
+          onToggleNotifications={enabled => setNotificationPref(ZONE_NOTIFICATIONS_KEY, enabled).then(setZoneNotifications)}
+          onStartDrawing={type => setZoneDrawing({ type, points: [] })}
+          onFinishDrawing={() => {
+            if (zoneDrawing && zoneDrawing.points.length >= 3) finishZone({ type: 'polygon', points: zoneDrawing.points });
+          }}
+          onCancelDrawing={() => setZoneDrawing(null)}
+          onUpdateZone={updateZone}
+          onDeleteZone={removeZone}
+          onSelectAlert={alert => {
+            const aircraft = aircraftData.find(d => d.icao24 === alert.icao24);
+            setSelectedIcao24(alert.icao24);
+            if (aircraft) flyTo(aircraft.position[0], aircraft.position[1]);
+          }}
+          onClearAlerts={() => setGeofenceAlerts([])}
+          onClose={() => { setShowZones(false); setZoneDrawing(null); }}
+        />
+      )}
+
+      {showAnomalies && (
+        <AnomalyLog
+          events={anomalyEvents}
+          flagged={flaggedList}
+          onSelectAircraft={icao24 => {
+            const aircraft = aircraftData.find(d => d.icao24 === icao24);
+            setSelectedIcao24(icao24);
+            if (aircraft) flyTo(aircraft.position[0], aircraft.position[1]);
+          }}
+          onClear={() => setAnomalyEvents([])}
+          onClose={() => setShowAnomalies(false)}
+        />
+      )}
+
+      {showWatchlist && (
+        <WatchlistPanel
+          entries={watchlist}
+          sightings={watchSightings}
+          matches={watchMatches}
+          events={watchEvents}
+          notificationsEnabled={watchNotifications}
+          onToggleNotifications={enabled => setNotificationPref(WATCH_NOTIFICATIONS_KEY, enabled).then(setWatchNotifications)}
+          onChange={updateWatchlist}
+          onSelectAircraft={icao24 => {
+            const aircraft = aircraftData.find(d => d.icao24 === icao24);
+            setSelectedIcao24(icao24);
+            if (aircraft) flyTo(aircraft.position[0], aircraft.position[1]);
+          }}
+          onClearEvents={() => setWatchEvents([])}
+          onClose={() => setShowWatchlist(false)}
+        />
+      )}
+
+      {showRegions && (
+        <RegionPanel
+          region={region}
+          customRegions={customRegions}
+          drawing={regionDrawing}
+          onSelect={id => {
+            const next = findRegion(id, customRegions);
+            if (next && next.id !== region.id) selectRegion(next);
+          }}
+          onStartDrawing={name => setRegionDrawing({ name, corners: [] })}
+          onCancelDrawing={() => setRegionDrawing(null)}
+          onDelete={removeRegion}
+          onClose={() => { setShowRegions(false); setRegionDrawing(null); }}
+        />
+      )}
+
+      {showExport && (
+        <ExportPanel
+          collect={collectExport}
+          onImportArchive={importArchive}
+          onClose={() => setShowExport(false)}
+        />
+      )}
+
+      {showFilters && (
+        <FilterPanel
+          filters={filters}
+          countries={originCountries}
+          onChange={setFilters}
+          onClose={() => setShowFilters(false)}
+        />
+      )}
+
+      {selectedAirport && (
+        <AirportBoard
+          airport={selectedAirport}
+          activity={airportActivity.get(airportKey(selectedAirport))}
+          onSelectAircraft={setSelectedIcao24}
+          onClose={() => setSelectedAirport(null)}
+        />
+      )}
+
+      {selectedIcao24 && (
+        <FlightDetailPanel
+          icao24={selectedIcao24}
+          state={selectedAircraft ? selectedAircraft.state : null}
+          track={selectedTrack}
+          following={following}
+          onToggleFollow={() => setFollowing(f => !f)}
+          onClose={() => { setSelectedIcao24(null); setFollowing(false); }}
+        />
+      )}
+
+      {showRoutes && <CityPairsPanel pairs={cityPairs} />}
+
+      <Timeline
+        times={timelineTimes}
+        replayTime={replayTime}
+        isPlaying={isPlaying}
+        speed={playbackSpeed}
+        onSeek={time => { setIsPlaying(false); seekReplay(time); }}
+        onTogglePlay={togglePlay}
+        onSpeedChange={setPlaybackSpeed}
+        onLive={goLive}
+      />
+
       {/* Airlines Legend */}
       {airlines.length > 0 && (
         <div style={{
@@ -479,34 +2047,70 @@ function App() {
         }}>
           <div style={{
             fontWeight: 'bold', marginBottom: 8, fontSize: 12,
-            borderBottom: '1px solid rgba(255,255,255,0.3)', paddingBottom: 4
+            borderBottom: '1px solid rgba(255,255,255,0.3)', paddingBottom: 4,
+            display: 'flex', justifyContent: 'space-between', alignItems: 'center'
           }}>
-            Brazil Airlines ({airlines.length})
+            <span>{region.name} Airlines ({airlines.length})</span>
+            {airlineFilter.length > 0 && (
+              <button
+                onClick={() => setAirlineFilter([])}
+                style={{
+                  padding: '2px 6px', borderRadius: 4, border: '1px solid #555',
+                  background: 'transparent', color: '#aaa', cursor: 'pointer',
+                  fontFamily: 'monospace', fontSize: 10
+                }}
+              >
+                Show all
+              </button>
+            )}
           </div>
-          {airlines.map((airline, index) => (
-            <div
-              key={airline.id || index}
-              style={{
-                padding: '4px 0',
-                borderBottom: index < airlines.length - 1 ? '1px solid rgba(255,255,255,0.1)' : 'none'
-              }}
-            >
-              <div style={{ fontWeight: 'bold' }}>{airline.name}</div>
-              {(airline.iata || airline.icao) && (
-                <div style={{ fontSize: 10, opacity: 0.8, marginTop: 2 }}>
-                  {airline.iata && `IATA: ${airline.iata}`}
-                  {airline.iata && airline.icao && ' | '}
-                  {airline.icao && `ICAO: ${airline.icao}`}
+          {[...sortedAirlines, null].map((airline, index) => {
+            // The trailing null entry groups aircraft with no resolvable operator
+            const key = airline ? airline.icao.toUpperCase() : OTHER_AIRLINE;
+            const count = (key && airlineCounts[key]) || 0;
+            const clickable = !!key;
+            const active = clickable && airlineFilter.includes(key);
+            const color = airline ? airlineColor(key) : UNKNOWN_AIRLINE_COLOR;
+            return (
+              <div
+                key={airline ? airline.id || index : OTHER_AIRLINE}
+                onClick={() => { if (clickable) toggleAirlineFilter(key); }}
+                style={{
+                  padding: '4px 4px',
+                  borderBottom: index < sortedAirlines.length ? '1px solid rgba(255,255,255,0.1)' : 'none',
+                  cursor: clickable ? 'pointer' : 'default',
+                  background: active ? 'rgba(255,255,255,0.15)' : 'transparent',
+                  opacity: airlineFilter.length && !active ? 0.5 : 1
+                }}
+              >
+                <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                  {clickable && (
+                    <span style={{
+                      width: 8, height: 8, borderRadius: '50%', flexShrink: 0,
+                      backgroundColor: `rgb(${color.join(',')})`
+                    }} />
+                  )}
+                  <span style={{ fontWeight: 'bold', flex: 1 }}>{airline ? airline.name : 'Other / unresolved'}</span>
+                  {clickable && <span>{count}</span>}
                 </div>
-              )}
-            </div>
-          ))}
+                {airline && (airline.iata || airline.icao) && (
+                  <div style={{ fontSize: 10, opacity: 0.8, marginTop: 2 }}>
+                    {airline.iata && `IATA: ${airline.iata}`}
+                    {airline.iata && airline.icao && ' | '}
+                    {airline.icao && `ICAO: ${airline.icao}`}
+                  </div>
+                )}
+              </div>
+            );
+          })}
         </div>
       )}
     </div>
   );
 }
 
+registerServiceWorker();
+
 const container = document.getElementById('root');
 if (container) {
   const root = createRoot(container);
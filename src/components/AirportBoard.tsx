@@ -0,0 +1,78 @@
+// Board of likely arrivals and departures for the selected airport (inferred, not scheduled)
+
+import type { Airport } from '../utils/airports';
+import { ACTIVITY_MAX_HEIGHT_M, ACTIVITY_RADIUS_KM, AirportActivity, AirportMovement } from '../utils/airportActivity';
+
+interface AirportBoardProps {
+  airport: Airport;
+  activity: AirportActivity | undefined;
+  onSelectAircraft: (icao24: string) => void;
+  onClose: () => void;
+}
+
+const buttonStyle = {
+  padding: '4px 8px', borderRadius: 4,
+  border: '1px solid #555', background: 'transparent',
+  color: '#aaa', cursor: 'pointer', fontFamily: 'monospace', fontSize: 11
+};
+
+function MovementList({ title, movements, color, onSelect }: {
+  title: string;
+  movements: AirportMovement[];
+  color: string;
+  onSelect: (icao24: string) => void;
+}) {
+  return (
+    <div style={{ marginBottom: 10 }}>
+      <div style={{ fontWeight: 'bold', color, marginBottom: 4 }}>{title} ({movements.length})</div>
+      {movements.length === 0 && <div style={{ opacity: 0.6 }}>None</div>}
+      {movements.map(m => (
+        <div
+          key={m.icao24}
+          onClick={() => onSelect(m.icao24)}
+          style={{
+            display: 'flex', gap: 8, padding: '3px 0', cursor: 'pointer',
+            borderBottom: '1px solid rgba(255,255,255,0.1)'
+          }}
+        >
+          <span style={{ flex: 1, fontWeight: 'bold' }}>{m.callsign || m.icao24}</span>
+          <span>{Math.round(m.distanceKm)} km</span>
+          <span>{Math.round(m.heightAboveAirport)} m</span>
+          <span style={{ width: 60, textAlign: 'right' }}>
+            {m.verticalRate !== null ? `${m.verticalRate > 0 ? '+' : ''}${Math.round(m.verticalRate)} m/s` : '—'}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export function AirportBoard({ airport, activity, onSelectAircraft, onClose }: AirportBoardProps) {
+  return (
+    <div style={{
+      position: 'absolute', top: 60, right: 320, width: 320, padding: 12,
+      maxHeight: 'calc(100vh - 260px)', overflowY: 'auto',
+      backgroundColor: 'rgba(0, 0, 0, 0.9)', color: 'white',
+      borderRadius: 4, fontFamily: 'monospace', fontSize: 11, zIndex: 1000,
+      boxSizing: 'border-box'
+    }}>
+      <div style={{
+        display: 'flex', justifyContent: 'space-between', alignItems: 'center',
+        borderBottom: '1px solid rgba(255,255,255,0.3)', paddingBottom: 6, marginBottom: 8
+      }}>
+        <div>
+          <strong style={{ fontSize: 13 }}>{airport.iata || airport.icao} — {airport.name}</strong>
+          <div style={{ opacity: 0.7 }}>{airport.city}</div>
+        </div>
+        <button onClick={onClose} style={buttonStyle}>✕</button>
+      </div>
+
+      <MovementList title="Arrivals" movements={activity?.arrivals || []} color="#4FC3F7" onSelect={onSelectAircraft} />
+      <MovementList title="Departures" movements={activity?.departures || []} color="#FFC107" onSelect={onSelectAircraft} />
+
+      <div style={{ fontSize: 10, opacity: 0.5 }}>
+        Inferred from aircraft within {ACTIVITY_RADIUS_KM} km and {ACTIVITY_MAX_HEIGHT_M} m of the airport.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+// Event log for emergency squawks and flight anomalies
+// Lists detector events newest first; currently flagged aircraft are pinned above the log
+
+import { useState } from 'react';
+import { ANOMALY_COLORS, ANOMALY_LABELS, AnomalyEvent, AnomalyKind } from '../utils/anomalies';
+import type { AircraftData } from '../utils/aircraft';
+
+interface AnomalyLogProps {
+  events: AnomalyEvent[];
+  // Flagged aircraft with their most severe active condition
+  flagged: { aircraft: AircraftData; kind: AnomalyKind }[];
+  onSelectAircraft: (icao24: string) => void;
+  onClear: () => void;
+  onClose: () => void;
+}
+
+const buttonStyle = {
+  padding: '4px 8px', borderRadius: 4,
+  border: '1px solid #555', background: 'transparent',
+  color: '#aaa', cursor: 'pointer', fontFamily: 'monospace', fontSize: 11
+};
+
+const labelStyle = { fontWeight: 'bold' as const, marginBottom: 4 };
+
+const cssColor = (kind: AnomalyKind) => `rgb(${ANOMALY_COLORS[kind].join(',')})`;
+
+export function AnomalyLog({ events, flagged, onSelectAircraft, onClear, onClose }: AnomalyLogProps) {
+  const [kinds, setKinds] = useState<AnomalyKind[]>([]);
+  const shown = kinds.length ? events.filter(e => kinds.includes(e.kind)) : events;
+
+  const toggleKind = (kind: AnomalyKind) =>
+    setKinds(k => k.includes(kind) ? k.filter(x => x !== kind) : [...k, kind]);
+
+  return (
+    <div style={{
+      position: 'absolute', top: 60, left: 320, width: 320, padding: 12,
+      maxHeight: 'calc(100vh - 260px)', overflowY: 'auto',
+      backgroundColor: 'rgba(0, 0, 0, 0.9)', color: 'white',
+      borderRadius: 4, fontFamily: 'monospace', fontSize: 11, zIndex: 1001,
+      boxSizing: 'border-box'
+    }}>
+      <div style={{
+        display: 'flex', justifyContent: 'space-between', alignItems: 'center',
+        borderBottom: '1px solid rgba(255,255,255,0.3)', paddingBottom: 6, marginBottom: 8
+      }}>
+        <strong style={{ fontSize: 13 }}>Emergencies &amp; anomalies</strong>
+        <button onClick={onClose} style={buttonStyle}>✕</button>
+      </div>
+
+      <div style={{ marginBottom: 10 }}>
+        <div style={labelStyle}>Flagged now ({flagged.length})</div>
+        {flagged.length === 0 && <div style={{ opacity: 0.6 }}>Nothing flagged</div>}
+        {flagged.map(({ aircraft, kind }) => (
+          <div
+            key={aircraft.icao24}
+            onClick={() => onSelectAircraft(aircraft.icao24)}
+            style={{ display: 'flex', gap: 6, padding: '2px 0', cursor: 'pointer' }}
+          >
+            <span style={{ color: cssColor(kind), fontWeight: 'bold' }}>●</span>
+            <span style={{ flex: 1 }}>{aircraft.callsign || aircraft.icao24}</span>
+            <span style={{ color: cssColor(kind) }}>{ANOMALY_LABELS[kind]}</span>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', ...labelStyle }}>
+        <span>Event log ({shown.length})</span>
+        {events.length > 0 && (
+          <button
+            onClick={onClear}
+            style={{ background: 'transparent', border: 'none', color: '#aaa', cursor: 'pointer', fontFamily: 'monospace', fontSize: 11, fontWeight: 'normal' }}
+          >
+            clear
+          </button>
+        )}
+      </div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4, marginBottom: 6 }}>
+        {(Object.keys(ANOMALY_LABELS) as AnomalyKind[]).map(kind => (
+          <button
+            key={kind}
+            onClick={() => toggleKind(kind)}
+            style={{
+              ...buttonStyle, padding: '1px 6px', fontSize: 10,
+              borderColor: kinds.includes(kind) ? cssColor(kind) : '#555',
+              color: kinds.includes(kind) ? cssColor(kind) : '#aaa'
+            }}
+          >
+            {ANOMALY_LABELS[kind]}
+          </button>
+        ))}
+      </div>
+      {shown.length === 0 && <div style={{ opacity: 0.6 }}>No events yet</div>}
+      {shown.map(event => (
+        <div
+          key={event.id}
+          onClick={() => onSelectAircraft(event.icao24)}
+          style={{ display: 'flex', gap: 6, padding: '2px 0', cursor: 'pointer' }}
+        >
+          <span style={{ opacity: 0.6 }}>{new Date(event.time * 1000).toLocaleTimeString()}</span>
+          <span style={{ color: cssColor(event.kind) }}>{event.message}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
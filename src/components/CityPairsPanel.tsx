@@ -0,0 +1,27 @@
+// Busiest city pairs among the routes estimated this session
+
+import type { CityPair } from '../utils/routes';
+
+export function CityPairsPanel({ pairs }: { pairs: CityPair[] }) {
+  return (
+    <div style={{
+      position: 'absolute', bottom: 10, right: 10, width: 260, padding: 10,
+      backgroundColor: 'rgba(0, 0, 0, 0.8)', color: 'white',
+      borderRadius: 4, fontFamily: 'monospace', fontSize: 11, zIndex: 1000
+    }}>
+      <div style={{
+        fontWeight: 'bold', marginBottom: 6, fontSize: 12,
+        borderBottom: '1px solid rgba(255,255,255,0.3)', paddingBottom: 4
+      }}>
+        Busiest city pairs
+      </div>
+      {pairs.length === 0 && <div style={{ opacity: 0.6 }}>Not enough history yet</div>}
+      {pairs.map(pair => (
+        <div key={`${pair.from}→${pair.to}`} style={{ display: 'flex', gap: 6, padding: '2px 0' }}>
+          <span style={{ flex: 1 }}>{pair.from} → {pair.to}</span>
+          <span>{pair.count}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,157 @@
+// Export menu: current view, filtered aircraft or a stored time range, as CSV, GeoJSON, KML or a replayable archive
+// Archives can be imported back and replayed on the timeline without a connection
+
+import { useState } from 'react';
+import { DATA_INDEX, FlightData } from '../api/opensky';
+import { parseReplayFile } from '../api/sources';
+import { EXPORT_FORMATS, ExportData, ExportFormat, downloadFile, formatExport } from '../utils/exporters';
+
+export type ExportScope = 'view' | 'filtered' | 'range';
+
+interface ExportPanelProps {
+  collect: (scope: ExportScope, range: { from: number; to: number }, applyFilters: boolean) => Promise<ExportData>;
+  onImportArchive: (snapshots: FlightData[], name: string) => void;
+  onClose: () => void;
+}
+
+const inputStyle = {
+  width: '100%', padding: '4px 6px', borderRadius: 4, marginTop: 4,
+  border: '1px solid #444', background: '#0d0d1a', color: '#fff',
+  fontFamily: 'monospace', fontSize: 11, boxSizing: 'border-box' as const
+};
+
+const buttonStyle = {
+  padding: '4px 8px', borderRadius: 4,
+  border: '1px solid #555', background: 'transparent',
+  color: '#aaa', cursor: 'pointer', fontFamily: 'monospace', fontSize: 11
+};
+
+const sectionStyle = { marginBottom: 10 };
+const labelStyle = { fontWeight: 'bold' as const, marginBottom: 4 };
+
+const SCOPES: { value: ExportScope; label: string }[] = [
+  { value: 'view', label: 'Aircraft in the current view' },
+  { value: 'filtered', label: 'All filtered aircraft' },
+  { value: 'range', label: 'Stored snapshots in a time range' }
+];
+
+// datetime-local values are in local time, without seconds
+function toInputValue(seconds: number): string {
+  const date = new Date(seconds * 1000);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().slice(0, 16);
+}
+
+function fromInputValue(value: string): number {
+  return Math.floor(new Date(value).getTime() / 1000);
+}
+
+function timestampForFilename(): string {
+  return new Date().toISOString().slice(0, 16).replace(/[:T]/g, '-');
+}
+
+export function ExportPanel({ collect, onImportArchive, onClose }: ExportPanelProps) {
+  const now = Math.floor(Date.now() / 1000);
+  const [scope, setScope] = useState<ExportScope>('view');
+  const [from, setFrom] = useState(() => toInputValue(now - 60 * 60));
+  const [to, setTo] = useState(() => toInputValue(now));
+  const [applyFilters, setApplyFilters] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState('');
+
+  const exportAs = async (format: ExportFormat) => {
+    const range = { from: fromInputValue(from), to: fromInputValue(to) };
+    if (scope === 'range' && !(range.from < range.to)) {
+      setStatus('The range must end after it starts');
+      return;
+    }
+    setBusy(true);
+    try {
+      const data = await collect(scope, range, applyFilters);
+      const aircraft = new Set(data.snapshots.flatMap(s => s.states.map(state => state[DATA_INDEX.ICAO24]))).size;
+      if (!aircraft) {
+        setStatus('Nothing to export');
+        return;
+      }
+      const { extension, mime } = EXPORT_FORMATS.find(f => f.value === format)!;
+      downloadFile(`flights-${scope}-${timestampForFilename()}.${extension}`, formatExport(format, data), mime);
+      setStatus(`Exported ${aircraft} aircraft from ${data.snapshots.length} snapshot${data.snapshots.length === 1 ? '' : 's'}`);
+    } catch (err: any) {
+      setStatus(`Export failed: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const importArchive = async (file: File | undefined) => {
+    if (!file) return;
+    try {
+      const snapshots = parseReplayFile(await file.text());
+      onImportArchive(snapshots, file.name);
+      setStatus(`Loaded ${snapshots.length} snapshots from ${file.name}`);
+    } catch (err: any) {
+      setStatus(`Could not read archive: ${err.message}`);
+    }
+  };
+
+  return (
+    <div style={{
+      position: 'absolute', top: 60, left: 320, width: 300, padding: 12,
+      backgroundColor: 'rgba(0, 0, 0, 0.9)', color: 'white',
+      borderRadius: 4, fontFamily: 'monospace', fontSize: 11, zIndex: 1001,
+      boxSizing: 'border-box'
+    }}>
+      <div style={{
+        display: 'flex', justifyContent: 'space-between', alignItems: 'center',
+        borderBottom: '1px solid rgba(255,255,255,0.3)', paddingBottom: 6, marginBottom: 8
+      }}>
+        <strong style={{ fontSize: 13 }}>Export</strong>
+        <button onClick={onClose} style={buttonStyle}>✕</button>
+      </div>
+
+      <div style={sectionStyle}>
+        <div style={labelStyle}>What</div>
+        {SCOPES.map(s => (
+          <label key={s.value} style={{ display: 'block', cursor: 'pointer', marginBottom: 2 }}>
+            <input type="radio" checked={scope === s.value} onChange={() => setScope(s.value)} /> {s.label}
+          </label>
+        ))}
+        {scope === 'range' && (
+          <div style={{ marginTop: 6 }}>
+            <input type="datetime-local" value={from} onChange={e => setFrom(e.target.value)} style={inputStyle} />
+            <input type="datetime-local" value={to} onChange={e => setTo(e.target.value)} style={inputStyle} />
+            <label style={{ display: 'block', cursor: 'pointer', marginTop: 6 }}>
+              <input type="checkbox" checked={applyFilters} onChange={e => setApplyFilters(e.target.checked)} /> Apply the current filters
+            </label>
+          </div>
+        )}
+      </div>
+
+      <div style={sectionStyle}>
+        <div style={labelStyle}>Download as</div>
+        <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+          {EXPORT_FORMATS.map(format => (
+            <button key={format.value} onClick={() => exportAs(format.value)} disabled={busy} style={buttonStyle}>
+              {format.label}
+            </button>
+          ))}
+        </div>
+        <div style={{ fontSize: 10, opacity: 0.6, marginTop: 6 }}>
+          CSV has one row per state vector; GeoJSON and KML have the latest positions plus tracks.
+          Archives replay in this app (below, or as a replay source).
+        </div>
+      </div>
+
+      <div style={sectionStyle}>
+        <div style={labelStyle}>Replay an archive</div>
+        <input
+          type="file" accept=".json,application/json"
+          onChange={e => importArchive(e.target.files?.[0])}
+          style={{ ...inputStyle, border: 'none', padding: 0 }}
+        />
+      </div>
+
+      {status && <div style={{ opacity: 0.7 }}>{status}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+// Multi-criteria aircraft filter panel
+// Filter state lives in the URL (see utils/filters.ts), so "Copy link" shares the filtered view
+
+import { useState } from 'react';
+import { POSITION_SOURCES } from '../api/opensky';
+import { AircraftFilters, DEFAULT_FILTERS, VERTICAL_STATES } from '../utils/filters';
+
+interface FilterPanelProps {
+  filters: AircraftFilters;
+  countries: { name: string; count: number }[];
+  onChange: (filters: AircraftFilters) => void;
+  onClose: () => void;
+}
+
+const inputStyle = {
+  width: 80, padding: '2px 6px', borderRadius: 4,
+  border: '1px solid #444', background: '#0d0d1a', color: '#fff',
+  fontFamily: 'monospace', fontSize: 11
+};
+
+const buttonStyle = {
+  padding: '4px 8px', borderRadius: 4,
+  border: '1px solid #555', background: 'transparent',
+  color: '#aaa', cursor: 'pointer', fontFamily: 'monospace', fontSize: 11
+};
+
+const sectionStyle = { marginBottom: 10 };
+const labelStyle = { fontWeight: 'bold' as const, marginBottom: 4 };
+
+function toggle<T>(list: T[], value: T): T[] {
+  return list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+}
+
+function NumberInput({ value, onChange, placeholder }: {
+  value: number | null;
+  onChange: (value: number | null) => void;
+  placeholder: string;
+}) {
+  return (
+    <input
+      type="number" value={value ?? ''} placeholder={placeholder}
+      onChange={e => onChange(e.target.value === '' ? null : Number(e.target.value))}
+      style={inputStyle}
+    />
+  );
+}
+
+export function FilterPanel({ filters, countries, onChange, onClose }: FilterPanelProps) {
+  const [copied, setCopied] = useState(false);
+  const update = (patch: Partial<AircraftFilters>) => onChange({ ...filters, ...patch });
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      // Clipboard unavailable (insecure context) — the URL bar has the same link
+    }
+  };
+
+  return (
+    <div style={{
+      position: 'absolute', top: 60, left: 320, width: 280, padding: 12,
+      maxHeight: 'calc(100vh - 260px)', overflowY: 'auto',
+      backgroundColor: 'rgba(0, 0, 0, 0.9)', color: 'white',
+      borderRadius: 4, fontFamily: 'monospace', fontSize: 11, zIndex: 1000,
+      boxSizing: 'border-box'
+    }}>
+      <div style={{
+        display: 'flex', justifyContent: 'space-between', alignItems: 'center',
+        borderBottom: '1px solid rgba(255,255,255,0.3)', paddingBottom: 6, marginBottom: 8
+      }}>
+        <strong style={{ fontSize: 13 }}>Filters</strong>
+        <button onClick={onClose} style={buttonStyle}>✕</button>
+      </div>
+
+      <div style={sectionStyle}>
+        <div style={labelStyle}>Altitude (m)</div>
+        <NumberInput value={filters.minAltitude} placeholder="min" onChange={v => update({ minAltitude: v })} />
+        {' – '}
+        <NumberInput value={filters.maxAltitude} placeholder="max" onChange={v => update({ maxAltitude: v })} />
+      </div>
+
+      <div style={sectionStyle}>
+        <div style={labelStyle}>Speed (km/h)</div>
+        <NumberInput value={filters.minSpeed} placeholder="min" onChange={v => update({ minSpeed: v })} />
+        {' – '}
+        <NumberInput value={filters.maxSpeed} placeholder="max" onChange={v => update({ maxSpeed: v })} />
+      </div>
+
+      <div style={sectionStyle}>
+        <div style={labelStyle}>Vertical state</div>
+        {VERTICAL_STATES.map(vs => (
+          <label key={vs} style={{ display: 'block', cursor: 'pointer' }}>
+            <input
+              type="checkbox" checked={filters.verticalStates.includes(vs)}
+              onChange={() => update({ verticalStates: toggle(filters.verticalStates, vs) })}
+            /> {vs}
+          </label>
+        ))}
+      </div>
+
+      <div style={sectionStyle}>
+        <div style={labelStyle}>Position source</div>
+        {Object.entries(POSITION_SOURCES).map(([value, name]) => (
+          <label key={value} style={{ display: 'block', cursor: 'pointer' }}>
+            <input
+              type="checkbox" checked={filters.positionSources.includes(Number(value))}
+              onChange={() => update({ positionSources: toggle(filters.positionSources, Number(value)) })}
+            /> {name}
+          </label>
+        ))}
+      </div>
+
+      <div style={sectionStyle}>
+        <label style={{ cursor: 'pointer' }}>
+          <input
+            type="checkbox" checked={filters.includeGround}
+            onChange={e => update({ includeGround: e.target.checked })}
+          /> Include aircraft on the ground
+        </label>
+      </div>
+
+      <div style={sectionStyle}>
+        <div style={labelStyle}>Origin country</div>
+        <div style={{ maxHeight: 140, overflowY: 'auto' }}>
+          {countries.map(({ name, count }) => (
+            <label key={name} style={{ display: 'flex', cursor: 'pointer', gap: 4 }}>
+              <input
+                type="checkbox" checked={filters.countries.includes(name)}
+                onChange={() => update({ countries: toggle(filters.countries, name) })}
+              />
+              <span style={{ flex: 1 }}>{name}</span>
+              <span style={{ opacity: 0.7 }}>{count}</span>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', gap: 8 }}>
+        <button onClick={() => onChange(DEFAULT_FILTERS)} style={buttonStyle}>Reset</button>
+        <button onClick={copyLink} style={{ ...buttonStyle, marginLeft: 'auto' }}>
+          {copied ? 'Link copied' : 'Copy link'}
+        </button>
+      </div>
+    </div>
+  );
+}
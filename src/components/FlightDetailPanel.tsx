@@ -0,0 +1,137 @@
+// Docked detail panel for the selected aircraft
+// Shows every state-vector field plus an altitude/speed profile from the session's track history
+
+import { DATA_INDEX, POSITION_SOURCES } from '../api/opensky';
+import { EMERGENCY_SQUAWKS } from '../utils/anomalies';
+import type { TrackPoint } from '../utils/tracks';
+
+interface FlightDetailPanelProps {
+  icao24: string;
+  state: any[] | null;
+  track: TrackPoint[];
+  following: boolean;
+  onToggleFollow: () => void;
+  onClose: () => void;
+}
+
+const CHART_WIDTH = 268;
+const CHART_HEIGHT = 90;
+
+const buttonStyle = {
+  padding: '4px 8px', borderRadius: 4,
+  border: '1px solid #555', background: 'transparent',
+  color: '#aaa', cursor: 'pointer', fontFamily: 'monospace', fontSize: 11
+};
+
+function formatValue(value: any, unit = ''): string {
+  if (value === null || value === undefined || value === '') return 'N/A';
+  if (typeof value === 'number') return `${Math.round(value * 10) / 10}${unit}`;
+  return `${value}${unit}`;
+}
+
+function formatEpoch(seconds: number | null): string {
+  return seconds ? new Date(seconds * 1000).toLocaleTimeString() : 'N/A';
+}
+
+function describeState(state: any[]): [string, string][] {
+  const squawk = state[DATA_INDEX.SQUAWK];
+  const isEmergency = Boolean(squawk && EMERGENCY_SQUAWKS[squawk]);
+  return [
+    ['ICAO24', formatValue(state[DATA_INDEX.ICAO24])],
+    ['Callsign', formatValue(state[DATA_INDEX.CALLSIGN]?.trim())],
+    ['Origin country', formatValue(state[DATA_INDEX.ORIGIN_COUNTRY])],
+    ['Time position', formatEpoch(state[DATA_INDEX.TIME_POSITION])],
+    ['Last contact', formatEpoch(state[DATA_INDEX.LAST_CONTACT])],
+    ['Longitude', formatValue(state[DATA_INDEX.LONGITUDE]?.toFixed(4))],
+    ['Latitude', formatValue(state[DATA_INDEX.LATITUDE]?.toFixed(4))],
+    ['Baro altitude', formatValue(state[DATA_INDEX.BARO_ALTITUDE], ' m')],
+    ['Geo altitude', formatValue(state[DATA_INDEX.GEO_ALTITUDE], ' m')],
+    ['On ground', state[DATA_INDEX.ON_GROUND] ? 'Yes' : 'No'],
+    ['Velocity', state[DATA_INDEX.VELOCITY] !== null ? `${Math.round(state[DATA_INDEX.VELOCITY] * 3.6)} km/h` : 'N/A'],
+    ['True track', formatValue(state[DATA_INDEX.TRUE_TRACK], '°')],
+    ['Vertical rate', formatValue(state[DATA_INDEX.VERTICAL_RATE], ' m/s')],
+    ['Sensors', state[DATA_INDEX.SENSORS] ? state[DATA_INDEX.SENSORS].join(', ') : 'N/A'],
+    ['Squawk', isEmergency ? `${squawk} (EMERGENCY)` : formatValue(squawk)],
+    ['SPI', state[DATA_INDEX.SPI] ? 'Active' : 'Off'],
+    ['Position source', POSITION_SOURCES[state[DATA_INDEX.POSITION_SOURCE]] || formatValue(state[DATA_INDEX.POSITION_SOURCE])]
+  ];
+}
+
+function ProfileChart({ track }: { track: TrackPoint[] }) {
+  if (track.length < 2) {
+    return <div style={{ opacity: 0.6 }}>Not enough history for a profile yet</div>;
+  }
+
+  const t0 = track[0].time;
+  const span = Math.max(1, track[track.length - 1].time - t0);
+  const maxAltitude = Math.max(1, ...track.map(p => p.altitude));
+  const maxSpeed = Math.max(1, ...track.map(p => p.velocity || 0));
+
+  const toPoints = (value: (p: TrackPoint) => number, max: number) => track
+    .map(p => `${((p.time - t0) / span) * CHART_WIDTH},${CHART_HEIGHT - (value(p) / max) * CHART_HEIGHT}`)
+    .join(' ');
+
+  return (
+    <div>
+      <svg width={CHART_WIDTH} height={CHART_HEIGHT} style={{ background: '#0d0d1a', borderRadius: 4 }}>
+        <polyline points={toPoints(p => p.altitude, maxAltitude)} fill="none" stroke="#4FC3F7" strokeWidth={2} />
+        <polyline points={toPoints(p => p.velocity || 0, maxSpeed)} fill="none" stroke="#FFC107" strokeWidth={1.5} />
+      </svg>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 10, marginTop: 2 }}>
+        <span style={{ color: '#4FC3F7' }}>Alt max {Math.round(maxAltitude)} m</span>
+        <span style={{ color: '#FFC107' }}>Speed max {Math.round(maxSpeed * 3.6)} km/h</span>
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 10, opacity: 0.6 }}>
+        <span>{formatEpoch(t0)}</span>
+        <span>{formatEpoch(track[track.length - 1].time)}</span>
+      </div>
+    </div>
+  );
+}
+
+export function FlightDetailPanel({ icao24, state, track, following, onToggleFollow, onClose }: FlightDetailPanelProps) {
+  return (
+    <div style={{
+      position: 'absolute', top: 60, left: 10, width: 300, padding: 12,
+      maxHeight: 'calc(100vh - 260px)', overflowY: 'auto',
+      backgroundColor: 'rgba(0, 0, 0, 0.9)', color: 'white',
+      borderRadius: 4, fontFamily: 'monospace', fontSize: 11, zIndex: 1000,
+      boxSizing: 'border-box'
+    }}>
+      <div style={{
+        display: 'flex', justifyContent: 'space-between', alignItems: 'center',
+        borderBottom: '1px solid rgba(255,255,255,0.3)', paddingBottom: 6, marginBottom: 8
+      }}>
+        <strong style={{ fontSize: 13 }}>{state?.[DATA_INDEX.CALLSIGN]?.trim() || icao24}</strong>
+        <div style={{ display: 'flex', gap: 6 }}>
+          <button
+            onClick={onToggleFollow}
+            disabled={!state}
+            style={{ ...buttonStyle, color: following ? '#4CAF50' : '#aaa', borderColor: following ? '#4CAF50' : '#555' }}
+          >
+            {following ? 'Following' : 'Follow'}
+          </button>
+          <button onClick={onClose} style={buttonStyle}>✕</button>
+        </div>
+      </div>
+
+      {state ? (
+        <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: 10 }}>
+          <tbody>
+            {describeState(state).map(([label, value]) => (
+              <tr key={label}>
+                <td style={{ opacity: 0.7, padding: '2px 0' }}>{label}</td>
+                <td style={{ textAlign: 'right', padding: '2px 0' }}>{value}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <div style={{ marginBottom: 10, color: '#FFC107' }}>Not in the current snapshot</div>
+      )}
+
+      <div style={{ fontWeight: 'bold', marginBottom: 4 }}>Altitude / speed profile</div>
+      <ProfileChart track={track} />
+    </div>
+  );
+}
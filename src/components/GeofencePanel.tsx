@@ -0,0 +1,211 @@
+// Geofence zones: drawing, per-zone alert rules and the alert feed
+// Zones are drawn by clicking on the map; see evaluateZones in utils/geofence.ts for when alerts fire
+
+import { useState } from 'react';
+import { GeofenceAlert, Zone, ZoneRules, ZoneShape } from '../utils/geofence';
+
+export interface ZoneDrawing {
+  type: ZoneShape['type'];
+  points: [number, number][];
+}
+
+interface GeofencePanelProps {
+  zones: Zone[];
+  alerts: GeofenceAlert[];
+  drawing: ZoneDrawing | null;
+  notificationsEnabled: boolean;
+  onToggleNotifications: (enabled: boolean) => void;
+  onStartDrawing: (type: ZoneShape['type']) => void;
+  onFinishDrawing: () => void;
+  onCancelDrawing: () => void;
+  onUpdateZone: (zone: Zone) => void;
+  onDeleteZone: (id: string) => void;
+  onSelectAlert: (alert: GeofenceAlert) => void;
+  onClearAlerts: () => void;
+  onClose: () => void;
+}
+
+const inputStyle = {
+  width: 70, padding: '2px 6px', borderRadius: 4,
+  border: '1px solid #444', background: '#0d0d1a', color: '#fff',
+  fontFamily: 'monospace', fontSize: 11
+};
+
+const buttonStyle = {
+  padding: '4px 8px', borderRadius: 4,
+  border: '1px solid #555', background: 'transparent',
+  color: '#aaa', cursor: 'pointer', fontFamily: 'monospace', fontSize: 11
+};
+
+const labelStyle = { fontWeight: 'bold' as const, marginBottom: 4 };
+
+const ALERT_COLORS: Record<GeofenceAlert['kind'], string> = {
+  enter: '#4CAF50',
+  exit: '#90A4AE',
+  loiter: '#FFC107',
+  altitude: '#FF7043',
+  speed: '#E91E63'
+};
+
+function NumberInput({ value, onChange, placeholder }: {
+  value: number | null;
+  onChange: (value: number | null) => void;
+  placeholder: string;
+}) {
+  return (
+    <input
+      type="number" value={value ?? ''} placeholder={placeholder}
+      onChange={e => onChange(e.target.value === '' ? null : Number(e.target.value))}
+      style={inputStyle}
+    />
+  );
+}
+
+function drawingHint(drawing: ZoneDrawing): string {
+  if (drawing.type === 'circle') {
+    return drawing.points.length ? 'Click the edge of the circle' : 'Click the centre of the circle';
+  }
+  return drawing.points.length < 3
+    ? `Click the corners of the area (${drawing.points.length} so far)`
+    : `${drawing.points.length} corners — click more or finish`;
+}
+
+function ZoneEditor({ zone, onChange }: { zone: Zone; onChange: (zone: Zone) => void }) {
+  const update = (patch: Partial<ZoneRules>) => onChange({ ...zone, rules: { ...zone.rules, ...patch } });
+  const { rules } = zone;
+
+  return (
+    <div style={{ padding: '6px 0 4px 8px' }}>
+      <input
+        type="text" value={zone.name}
+        onChange={e => onChange({ ...zone, name: e.target.value })}
+        style={{ ...inputStyle, width: '100%', boxSizing: 'border-box', marginBottom: 6 }}
+      />
+      <div style={{ display: 'flex', gap: 12, marginBottom: 6 }}>
+        <label style={{ cursor: 'pointer' }}>
+          <input type="checkbox" checked={rules.enter} onChange={e => update({ enter: e.target.checked })} /> Enter
+        </label>
+        <label style={{ cursor: 'pointer' }}>
+          <input type="checkbox" checked={rules.exit} onChange={e => update({ exit: e.target.checked })} /> Exit
+        </label>
+      </div>
+      <div style={{ marginBottom: 6 }}>
+        Loiter after <NumberInput value={rules.loiterMinutes} placeholder="min" onChange={v => update({ loiterMinutes: v })} /> min
+      </div>
+      <div style={{ marginBottom: 6 }}>
+        Altitude (m){' '}
+        <NumberInput value={rules.minAltitude} placeholder="below" onChange={v => update({ minAltitude: v })} />
+        {' – '}
+        <NumberInput value={rules.maxAltitude} placeholder="above" onChange={v => update({ maxAltitude: v })} />
+      </div>
+      <div>
+        Speed over <NumberInput value={rules.maxSpeed} placeholder="km/h" onChange={v => update({ maxSpeed: v })} /> km/h
+      </div>
+    </div>
+  );
+}
+
+export function GeofencePanel({
+  zones, alerts, drawing, notificationsEnabled, onToggleNotifications,
+  onStartDrawing, onFinishDrawing, onCancelDrawing, onUpdateZone, onDeleteZone,
+  onSelectAlert, onClearAlerts, onClose
+}: GeofencePanelProps) {
+  const [expanded, setExpanded] = useState<string | null>(null);
+  const canFinish = drawing?.type === 'polygon' && drawing.points.length >= 3;
+
+  return (
+    <div style={{
+      position: 'absolute', top: 60, left: 320, width: 300, padding: 12,
+      maxHeight: 'calc(100vh - 260px)', overflowY: 'auto',
+      backgroundColor: 'rgba(0, 0, 0, 0.9)', color: 'white',
+      borderRadius: 4, fontFamily: 'monospace', fontSize: 11, zIndex: 1001,
+      boxSizing: 'border-box'
+    }}>
+      <div style={{
+        display: 'flex', justifyContent: 'space-between', alignItems: 'center',
+        borderBottom: '1px solid rgba(255,255,255,0.3)', paddingBottom: 6, marginBottom: 8
+      }}>
+        <strong style={{ fontSize: 13 }}>Zones</strong>
+        <button onClick={onClose} style={buttonStyle}>✕</button>
+      </div>
+
+      {drawing ? (
+        <div style={{ marginBottom: 10 }}>
+          <div style={{ marginBottom: 6, color: '#4FC3F7' }}>{drawingHint(drawing)}</div>
+          <div style={{ display: 'flex', gap: 8 }}>
+            {drawing.type === 'polygon' && (
+              <button
+                onClick={onFinishDrawing} disabled={!canFinish}
+                style={{ ...buttonStyle, color: canFinish ? '#4CAF50' : '#555' }}
+              >
+                Finish
+              </button>
+            )}
+            <button onClick={onCancelDrawing} style={buttonStyle}>Cancel</button>
+          </div>
+        </div>
+      ) : (
+        <div style={{ display: 'flex', gap: 8, marginBottom: 10 }}>
+          <button onClick={() => onStartDrawing('polygon')} style={buttonStyle}>Draw polygon</button>
+          <button onClick={() => onStartDrawing('circle')} style={buttonStyle}>Draw circle</button>
+        </div>
+      )}
+
+      <div style={{ marginBottom: 10 }}>
+        {zones.length === 0 && <div style={{ opacity: 0.6 }}>No zones yet</div>}
+        {zones.map(zone => (
+          <div key={zone.id} style={{ borderBottom: '1px solid rgba(255,255,255,0.1)', padding: '4px 0' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+              <span
+                onClick={() => setExpanded(e => e === zone.id ? null : zone.id)}
+                style={{ flex: 1, cursor: 'pointer' }}
+              >
+                {expanded === zone.id ? '▾' : '▸'} {zone.name || 'Unnamed zone'}
+                <span style={{ opacity: 0.6 }}>
+                  {zone.shape.type === 'circle' ? ` · ${Math.round(zone.shape.radiusKm)} km` : ` · ${zone.shape.points.length} pts`}
+                </span>
+              </span>
+              <button
+                onClick={() => onDeleteZone(zone.id)}
+                title="Delete zone"
+                style={{ background: 'transparent', border: 'none', color: '#aaa', cursor: 'pointer', fontFamily: 'monospace', fontSize: 11 }}
+              >
+                ✕
+              </button>
+            </div>
+            {expanded === zone.id && <ZoneEditor zone={zone} onChange={onUpdateZone} />}
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', ...labelStyle }}>
+        <span>Alerts ({alerts.length})</span>
+        {alerts.length > 0 && (
+          <button
+            onClick={onClearAlerts}
+            style={{ background: 'transparent', border: 'none', color: '#aaa', cursor: 'pointer', fontFamily: 'monospace', fontSize: 11, fontWeight: 'normal' }}
+          >
+            clear
+          </button>
+        )}
+      </div>
+      <label style={{ display: 'block', cursor: 'pointer', marginBottom: 6 }}>
+        <input
+          type="checkbox" checked={notificationsEnabled}
+          onChange={e => onToggleNotifications(e.target.checked)}
+        /> Browser notifications
+      </label>
+      {alerts.length === 0 && <div style={{ opacity: 0.6 }}>No alerts yet</div>}
+      {alerts.map(alert => (
+        <div
+          key={alert.id}
+          onClick={() => onSelectAlert(alert)}
+          style={{ display: 'flex', gap: 6, padding: '2px 0', cursor: 'pointer' }}
+        >
+          <span style={{ opacity: 0.6 }}>{new Date(alert.time * 1000).toLocaleTimeString()}</span>
+          <span style={{ color: ALERT_COLORS[alert.kind] }}>{alert.message}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,134 @@
+// Region selection: preset profiles and custom regions drawn as a box on the map
+// The region can also be set with ?region=<id>; see utils/regions.ts for what a profile holds
+
+import { useState } from 'react';
+import { PRESET_REGIONS, RegionProfile } from '../utils/regions';
+
+export interface RegionDrawing {
+  name: string;
+  corners: [number, number][];
+}
+
+interface RegionPanelProps {
+  region: RegionProfile;
+  customRegions: RegionProfile[];
+  drawing: RegionDrawing | null;
+  onSelect: (id: string) => void;
+  onStartDrawing: (name: string) => void;
+  onCancelDrawing: () => void;
+  onDelete: (id: string) => void;
+  onClose: () => void;
+}
+
+const inputStyle = {
+  padding: '4px 6px', borderRadius: 4,
+  border: '1px solid #444', background: '#0d0d1a', color: '#fff',
+  fontFamily: 'monospace', fontSize: 11, boxSizing: 'border-box' as const
+};
+
+const buttonStyle = {
+  padding: '4px 8px', borderRadius: 4,
+  border: '1px solid #555', background: 'transparent',
+  color: '#aaa', cursor: 'pointer', fontFamily: 'monospace', fontSize: 11
+};
+
+const linkButtonStyle = {
+  background: 'transparent', border: 'none', color: '#aaa',
+  cursor: 'pointer', fontFamily: 'monospace', fontSize: 11
+};
+
+const labelStyle = { fontWeight: 'bold' as const, marginBottom: 4 };
+
+function describe(region: RegionProfile): string {
+  const { bounds } = region;
+  const box = `${bounds.lamin.toFixed(1)}…${bounds.lamax.toFixed(1)}°, ${bounds.lomin.toFixed(1)}…${bounds.lomax.toFixed(1)}°`;
+  return region.countries.length ? `${region.countries.length} countries · ${box}` : box;
+}
+
+function RegionOption({ region, active, onSelect, onDelete }: {
+  region: RegionProfile;
+  active: boolean;
+  onSelect: () => void;
+  onDelete?: () => void;
+}) {
+  return (
+    <div style={{ display: 'flex', alignItems: 'flex-start', gap: 6, padding: '3px 0' }}>
+      <label style={{ flex: 1, cursor: 'pointer' }}>
+        <input type="radio" checked={active} onChange={onSelect} /> {region.name}
+        <div style={{ opacity: 0.6, marginLeft: 20 }}>{describe(region)}</div>
+      </label>
+      {onDelete && (
+        <button onClick={onDelete} title="Delete region" style={linkButtonStyle}>✕</button>
+      )}
+    </div>
+  );
+}
+
+export function RegionPanel({
+  region, customRegions, drawing, onSelect, onStartDrawing, onCancelDrawing, onDelete, onClose
+}: RegionPanelProps) {
+  const [name, setName] = useState('');
+
+  const startDrawing = () => {
+    onStartDrawing(name.trim() || `Region ${customRegions.length + 1}`);
+    setName('');
+  };
+
+  return (
+    <div style={{
+      position: 'absolute', top: 60, left: 320, width: 300, padding: 12,
+      maxHeight: 'calc(100vh - 260px)', overflowY: 'auto',
+      backgroundColor: 'rgba(0, 0, 0, 0.9)', color: 'white',
+      borderRadius: 4, fontFamily: 'monospace', fontSize: 11, zIndex: 1001,
+      boxSizing: 'border-box'
+    }}>
+      <div style={{
+        display: 'flex', justifyContent: 'space-between', alignItems: 'center',
+        borderBottom: '1px solid rgba(255,255,255,0.3)', paddingBottom: 6, marginBottom: 8
+      }}>
+        <strong style={{ fontSize: 13 }}>Region</strong>
+        <button onClick={onClose} style={buttonStyle}>✕</button>
+      </div>
+
+      <div style={{ marginBottom: 10 }}>
+        {PRESET_REGIONS.map(r => (
+          <RegionOption key={r.id} region={r} active={r.id === region.id} onSelect={() => onSelect(r.id)} />
+        ))}
+      </div>
+
+      <div style={labelStyle}>Custom regions</div>
+      {customRegions.length === 0 && <div style={{ opacity: 0.6, marginBottom: 6 }}>None yet</div>}
+      {customRegions.map(r => (
+        <RegionOption
+          key={r.id} region={r} active={r.id === region.id}
+          onSelect={() => onSelect(r.id)}
+          onDelete={() => onDelete(r.id)}
+        />
+      ))}
+
+      {drawing ? (
+        <div style={{ marginTop: 8 }}>
+          <div style={{ color: '#FFC107', marginBottom: 6 }}>
+            {drawing.corners.length ? 'Click the opposite corner' : `Click a corner of "${drawing.name}" on the map`}
+          </div>
+          <button onClick={onCancelDrawing} style={buttonStyle}>Cancel</button>
+        </div>
+      ) : (
+        <div style={{ display: 'flex', gap: 6, marginTop: 8 }}>
+          <input
+            type="text" value={name} placeholder="Name (optional)"
+            onChange={e => setName(e.target.value)}
+            onKeyDown={e => { if (e.key === 'Enter') startDrawing(); }}
+            style={{ ...inputStyle, flex: 1 }}
+          />
+          <button onClick={startDrawing} style={buttonStyle}>Draw box</button>
+        </div>
+      )}
+
+      <div style={{ fontSize: 10, opacity: 0.6, marginTop: 8 }}>
+        Each region keeps its own cache and history. The shared server poller only covers Brazil;
+        other regions poll OpenSky directly.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+// Keyboard-driven search box: "/" focuses, arrows move, Enter picks, Escape clears
+
+import { useState, useEffect, useRef } from 'react';
+import type { SearchResult } from '../utils/search';
+
+interface SearchBoxProps {
+  search: (query: string) => SearchResult[];
+  onPick: (result: SearchResult) => void;
+  // Remember a query with no aircraft match, to report when it shows up
+  onUnmatched: (query: string) => void;
+}
+
+export function SearchBox({ search, onPick, onUnmatched }: SearchBoxProps) {
+  const [query, setQuery] = useState('');
+  const [highlighted, setHighlighted] = useState(0);
+  const inputRef = useRef<HTMLInputElement>(null);
+
+  const results = query.trim() ? search(query) : [];
+
+  useEffect(() => {
+    const onKeyDown = (e: KeyboardEvent) => {
+      const target = e.target as HTMLElement;
+      if (e.key === '/' && target.tagName !== 'INPUT' && target.tagName !== 'TEXTAREA') {
+        e.preventDefault();
+        inputRef.current?.focus();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  const pick = (result: SearchResult) => {
+    onPick(result);
+    setQuery('');
+    inputRef.current?.blur();
+  };
+
+  const remember = () => {
+    onUnmatched(query.trim());
+    setQuery('');
+    inputRef.current?.blur();
+  };
+
+  const onKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted(h => Math.min(h + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(h => Math.max(h - 1, 0));
+    } else if (e.key === 'Enter') {
+      if (results[highlighted]) {
+        pick(results[highlighted]);
+      } else if (query.trim()) {
+        remember();
+      }
+    } else if (e.key === 'Escape') {
+      setQuery('');
+      inputRef.current?.blur();
+    }
+  };
+
+  return (
+    <div style={{
+      position: 'absolute', top: 10, left: '50%', transform: 'translateX(-50%)',
+      width: 360, zIndex: 1001, fontFamily: 'monospace', fontSize: 12
+    }}>
+      <input
+        ref={inputRef}
+        type="text" value={query}
+        onChange={e => { setQuery(e.target.value); setHighlighted(0); }}
+        onKeyDown={onKeyDown}
+        placeholder="Search callsign, ICAO24, airport, city  ( / )"
+        style={{
+          width: '100%', padding: '8px 12px', borderRadius: 4,
+          border: '1px solid #444', background: 'rgba(13, 13, 26, 0.9)', color: '#fff',
+          fontFamily: 'monospace', fontSize: 12, boxSizing: 'border-box'
+        }}
+      />
+      {query.trim() && (
+        <div style={{
+          marginTop: 2, backgroundColor: 'rgba(0, 0, 0, 0.9)', color: 'white',
+          borderRadius: 4, maxHeight: 320, overflowY: 'auto'
+        }}>
+          {results.map((result, index) => (
+            <div
+              key={`${result.kind}-${result.id}`}
+              onMouseDown={() => pick(result)}
+              onMouseEnter={() => setHighlighted(index)}
+              style={{
+                padding: '6px 10px', cursor: 'pointer',
+                background: index === highlighted ? 'rgba(255,255,255,0.15)' : 'transparent'
+              }}
+            >
+              <div style={{ fontWeight: 'bold' }}>
+                {result.kind === 'aircraft' ? '✈ ' : '⌂ '}{result.label}
+              </div>
+              <div style={{ fontSize: 10, opacity: 0.7 }}>{result.detail}</div>
+            </div>
+          ))}
+          {!results.some(r => r.kind === 'aircraft') && (
+            <div
+              onMouseDown={remember}
+              style={{ padding: '6px 10px', fontSize: 10, opacity: 0.7, cursor: 'pointer' }}
+            >
+              No aircraft match — notify me when "{query.trim()}" appears
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+// Data source selection: OpenSky, local dump1090/readsb receivers, ADSBExchange-format APIs
+// and recorded file replay. Several sources can be enabled at once and are merged by icao24.
+
+import { useState } from 'react';
+import { SOURCE_LABELS, SourceConfig, SourceId, parseReplayFile, setReplaySnapshots, getReplaySnapshotCount } from '../api/sources';
+
+interface SourcesPanelProps {
+  config: SourceConfig;
+  onChange: (config: SourceConfig) => void;
+  onClose: () => void;
+}
+
+const inputStyle = {
+  width: '100%', padding: '4px 6px', borderRadius: 4, marginTop: 4,
+  border: '1px solid #444', background: '#0d0d1a', color: '#fff',
+  fontFamily: 'monospace', fontSize: 11, boxSizing: 'border-box' as const
+};
+
+const buttonStyle = {
+  padding: '4px 8px', borderRadius: 4,
+  border: '1px solid #555', background: 'transparent',
+  color: '#aaa', cursor: 'pointer', fontFamily: 'monospace', fontSize: 11
+};
+
+export function SourcesPanel({ config, onChange, onClose }: SourcesPanelProps) {
+  const [draft, setDraft] = useState(config);
+  const [replayStatus, setReplayStatus] = useState(
+    getReplaySnapshotCount() ? `${getReplaySnapshotCount()} snapshots loaded` : ''
+  );
+
+  const toggle = (id: SourceId) => setDraft(d => ({
+    ...d,
+    enabled: d.enabled.includes(id) ? d.enabled.filter(x => x !== id) : [...d.enabled, id]
+  }));
+
+  const loadReplayFile = async (file: File | undefined) => {
+    if (!file) return;
+    try {
+      const snapshots = parseReplayFile(await file.text());
+      setReplaySnapshots(snapshots);
+      setReplayStatus(`${snapshots.length} snapshots loaded`);
+    } catch (err: any) {
+      setReplayStatus(`Could not read file: ${err.message}`);
+    }
+  };
+
+  return (
+    <div style={{
+      position: 'absolute', top: 60, left: 320, width: 300, padding: 12,
+      backgroundColor: 'rgba(0, 0, 0, 0.9)', color: 'white',
+      borderRadius: 4, fontFamily: 'monospace', fontSize: 11, zIndex: 1001,
+      boxSizing: 'border-box'
+    }}>
+      <div style={{
+        display: 'flex', justifyContent: 'space-between', alignItems: 'center',
+        borderBottom: '1px solid rgba(255,255,255,0.3)', paddingBottom: 6, marginBottom: 8
+      }}>
+        <strong style={{ fontSize: 13 }}>Data sources</strong>
+        <button onClick={onClose} style={buttonStyle}>✕</button>
+      </div>
+
+      {(Object.keys(SOURCE_LABELS) as SourceId[]).map(id => (
+        <div key={id} style={{ marginBottom: 10 }}>
+          <label style={{ cursor: 'pointer' }}>
+            <input type="checkbox" checked={draft.enabled.includes(id)} onChange={() => toggle(id)} /> {SOURCE_LABELS[id]}
+          </label>
+          {id === 'server' && draft.enabled.includes(id) && (
+            <div style={{ marginTop: 4, opacity: 0.7 }}>Falls back to OpenSky when the poller has no recent data</div>
+          )}
+          {id === 'dump1090' && draft.enabled.includes(id) && (
+            <input
+              type="text" value={draft.dump1090Url} placeholder="http://receiver:8080/data/aircraft.json"
+              onChange={e => setDraft({ ...draft, dump1090Url: e.target.value })}
+              style={inputStyle}
+            />
+          )}
+          {id === 'adsbx' && draft.enabled.includes(id) && (
+            <>
+              <input
+                type="text" value={draft.adsbxUrl} placeholder="https://…/v2/lat/-23.5/lon/-46.6/dist/250/"
+                onChange={e => setDraft({ ...draft, adsbxUrl: e.target.value })}
+                style={inputStyle}
+              />
+              <input
+                type="password" value={draft.adsbxApiKey} placeholder="API key (optional)"
+                onChange={e => setDraft({ ...draft, adsbxApiKey: e.target.value })}
+                style={inputStyle}
+              />
+            </>
+          )}
+          {id === 'replay' && draft.enabled.includes(id) && (
+            <>
+              <input
+                type="file" accept=".json,application/json"
+                onChange={e => loadReplayFile(e.target.files?.[0])}
+                style={{ ...inputStyle, border: 'none', padding: 0 }}
+              />
+              {replayStatus && <div style={{ marginTop: 4, opacity: 0.7 }}>{replayStatus}</div>}
+            </>
+          )}
+        </div>
+      ))}
+
+      <div style={{ fontSize: 10, opacity: 0.6, marginBottom: 8 }}>
+        Enabled sources are merged; when an aircraft is in several feeds the freshest contact wins.
+      </div>
+      <button
+        onClick={() => onChange(draft)}
+        style={{ ...buttonStyle, color: '#fff', background: '#4CAF50', border: 'none', width: '100%' }}
+      >
+        Apply
+      </button>
+    </div>
+  );
+}
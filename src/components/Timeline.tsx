@@ -0,0 +1,78 @@
+// Timeline scrubber for replaying stored flight snapshots
+// Snapshot times are OpenSky epoch seconds, as stored by saveFlightData
+
+export const PLAYBACK_SPEEDS = [30, 60, 300, 900, 3600];
+
+interface TimelineProps {
+  times: number[];
+  replayTime: number | null;
+  isPlaying: boolean;
+  speed: number;
+  onSeek: (time: number) => void;
+  onTogglePlay: () => void;
+  onSpeedChange: (speed: number) => void;
+  onLive: () => void;
+}
+
+const buttonStyle = {
+  padding: '4px 8px', borderRadius: 4,
+  border: '1px solid #555', background: 'transparent',
+  color: '#aaa', cursor: 'pointer', fontFamily: 'monospace', fontSize: 11
+};
+
+function formatTime(time: number): string {
+  return new Date(time * 1000).toLocaleString();
+}
+
+function formatSpeed(speed: number): string {
+  return speed >= 3600 ? `${speed / 3600}h/s` : speed >= 60 ? `${speed / 60}m/s` : `${speed}s/s`;
+}
+
+export function Timeline({ times, replayTime, isPlaying, speed, onSeek, onTogglePlay, onSpeedChange, onLive }: TimelineProps) {
+  if (times.length < 2) return null;
+
+  const first = times[0];
+  const last = times[times.length - 1];
+  const isLive = replayTime === null;
+
+  return (
+    <div style={{
+      position: 'absolute', bottom: 10, left: '50%', transform: 'translateX(-50%)',
+      width: '50%', minWidth: 360, padding: 10,
+      backgroundColor: 'rgba(0, 0, 0, 0.8)', color: 'white',
+      borderRadius: 4, fontFamily: 'monospace', fontSize: 11, zIndex: 1000
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 6 }}>
+        <span>{formatTime(first)}</span>
+        <strong style={{ color: isLive ? '#4CAF50' : '#FFC107' }}>
+          {isLive ? 'LIVE' : `Replay: ${formatTime(replayTime)}`}
+        </strong>
+        <span>{formatTime(last)}</span>
+      </div>
+      <input
+        type="range" min={first} max={last} step={1}
+        value={isLive ? last : replayTime}
+        onChange={e => onSeek(parseInt(e.target.value, 10))}
+        style={{ width: '100%' }}
+      />
+      <div style={{ display: 'flex', gap: 8, marginTop: 6, alignItems: 'center' }}>
+        <button onClick={onTogglePlay} style={buttonStyle}>
+          {isPlaying ? 'Pause' : 'Play'}
+        </button>
+        <select
+          value={speed}
+          onChange={e => onSpeedChange(parseInt(e.target.value, 10))}
+          style={{ ...buttonStyle, background: '#0d0d1a' }}
+        >
+          {PLAYBACK_SPEEDS.map(s => (
+            <option key={s} value={s}>{formatSpeed(s)}</option>
+          ))}
+        </select>
+        <span style={{ opacity: 0.7 }}>{times.length} snapshots</span>
+        <button onClick={onLive} disabled={isLive} style={{ ...buttonStyle, marginLeft: 'auto', opacity: isLive ? 0.5 : 1 }}>
+          Back to live
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,197 @@
+// Watchlist: tracked icao24s and callsign patterns, their status and appear/disappear events
+// Entries survive reloads (localStorage) and can be exported/imported as JSON
+
+import { useRef, useState } from 'react';
+import { DATA_INDEX } from '../api/opensky';
+import type { AircraftData } from '../utils/aircraft';
+import { downloadFile } from '../utils/exporters';
+import { createWatchEntry, exportWatchlist, mergeWatchlists, parseWatchlistImport, Sighting, WatchEntry, WatchEvent } from '../utils/watchlist';
+
+interface WatchlistPanelProps {
+  entries: WatchEntry[];
+  sightings: Record<string, Sighting>;
+  // Aircraft in the current feed matching each entry
+  matches: Record<string, AircraftData[]>;
+  events: WatchEvent[];
+  notificationsEnabled: boolean;
+  onToggleNotifications: (enabled: boolean) => void;
+  onChange: (entries: WatchEntry[]) => void;
+  onSelectAircraft: (icao24: string) => void;
+  onClearEvents: () => void;
+  onClose: () => void;
+}
+
+const inputStyle = {
+  padding: '4px 6px', borderRadius: 4,
+  border: '1px solid #444', background: '#0d0d1a', color: '#fff',
+  fontFamily: 'monospace', fontSize: 11, boxSizing: 'border-box' as const
+};
+
+const buttonStyle = {
+  padding: '4px 8px', borderRadius: 4,
+  border: '1px solid #555', background: 'transparent',
+  color: '#aaa', cursor: 'pointer', fontFamily: 'monospace', fontSize: 11
+};
+
+const linkButtonStyle = {
+  background: 'transparent', border: 'none', color: '#aaa',
+  cursor: 'pointer', fontFamily: 'monospace', fontSize: 11
+};
+
+const labelStyle = { fontWeight: 'bold' as const, marginBottom: 4 };
+
+function formatSeen(seconds: number): string {
+  const date = new Date(seconds * 1000);
+  return date.toDateString() === new Date().toDateString() ? date.toLocaleTimeString() : date.toLocaleString();
+}
+
+function EntryStatus({ matches, sighting, onSelectAircraft }: {
+  matches: AircraftData[];
+  sighting: Sighting | undefined;
+  onSelectAircraft: (icao24: string) => void;
+}) {
+  if (matches.length) {
+    return (
+      <div style={{ marginTop: 2 }}>
+        {matches.map(d => (
+          <div
+            key={d.icao24}
+            onClick={() => onSelectAircraft(d.icao24)}
+            style={{ cursor: 'pointer', color: '#4CAF50' }}
+          >
+            ● {d.callsign || d.icao24} — {d.state[DATA_INDEX.ON_GROUND] === true ? 'on ground' : 'airborne'}, {Math.round(d.altitude)} m,
+            {' '}{d.position[1].toFixed(2)}, {d.position[0].toFixed(2)}
+          </div>
+        ))}
+      </div>
+    );
+  }
+  if (!sighting) return <div style={{ marginTop: 2, opacity: 0.6 }}>○ not seen yet</div>;
+  return (
+    <div style={{ marginTop: 2, opacity: 0.7 }}>
+      ○ not in feed — last {sighting.callsign || sighting.icao24} at {formatSeen(sighting.time)},
+      {' '}{Math.round(sighting.altitude)} m, {sighting.latitude.toFixed(2)}, {sighting.longitude.toFixed(2)}
+    </div>
+  );
+}
+
+export function WatchlistPanel({
+  entries, sightings, matches, events, notificationsEnabled, onToggleNotifications,
+  onChange, onSelectAircraft, onClearEvents, onClose
+}: WatchlistPanelProps) {
+  const [pattern, setPattern] = useState('');
+  const [note, setNote] = useState('');
+  const [importStatus, setImportStatus] = useState('');
+  const fileInput = useRef<HTMLInputElement>(null);
+
+  const add = () => {
+    if (!pattern.trim()) return;
+    onChange(mergeWatchlists(entries, [createWatchEntry(pattern, note.trim())]));
+    setPattern('');
+    setNote('');
+  };
+
+  const importFile = async (file: File | undefined) => {
+    if (!file) return;
+    try {
+      const imported = parseWatchlistImport(await file.text());
+      const merged = mergeWatchlists(entries, imported);
+      onChange(merged);
+      setImportStatus(`Imported ${merged.length - entries.length} of ${imported.length} entries`);
+    } catch (err: any) {
+      setImportStatus(`Could not read file: ${err.message}`);
+    }
+    if (fileInput.current) fileInput.current.value = '';
+  };
+
+  return (
+    <div style={{
+      position: 'absolute', top: 60, left: 320, width: 320, padding: 12,
+      maxHeight: 'calc(100vh - 260px)', overflowY: 'auto',
+      backgroundColor: 'rgba(0, 0, 0, 0.9)', color: 'white',
+      borderRadius: 4, fontFamily: 'monospace', fontSize: 11, zIndex: 1001,
+      boxSizing: 'border-box'
+    }}>
+      <div style={{
+        display: 'flex', justifyContent: 'space-between', alignItems: 'center',
+        borderBottom: '1px solid rgba(255,255,255,0.3)', paddingBottom: 6, marginBottom: 8
+      }}>
+        <strong style={{ fontSize: 13 }}>Watchlist</strong>
+        <button onClick={onClose} style={buttonStyle}>✕</button>
+      </div>
+
+      <div style={{ display: 'flex', gap: 6, marginBottom: 4 }}>
+        <input
+          type="text" value={pattern} placeholder="icao24 or callsign, e.g. GLO1*"
+          onChange={e => setPattern(e.target.value)}
+          onKeyDown={e => { if (e.key === 'Enter') add(); }}
+          style={{ ...inputStyle, flex: 1 }}
+        />
+        <button onClick={add} style={buttonStyle}>Add</button>
+      </div>
+      <input
+        type="text" value={note} placeholder="Note (optional)"
+        onChange={e => setNote(e.target.value)}
+        onKeyDown={e => { if (e.key === 'Enter') add(); }}
+        style={{ ...inputStyle, width: '100%', marginBottom: 10 }}
+      />
+
+      <div style={{ marginBottom: 10 }}>
+        {entries.length === 0 && <div style={{ opacity: 0.6 }}>Nothing watched yet. * matches any run of characters, ? a single one.</div>}
+        {entries.map(entry => (
+          <div key={entry.id} style={{ borderBottom: '1px solid rgba(255,255,255,0.1)', padding: '4px 0' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+              <strong style={{ flex: 1 }}>
+                {entry.pattern}
+                {entry.note && <span style={{ fontWeight: 'normal', opacity: 0.6 }}> · {entry.note}</span>}
+              </strong>
+              <button
+                onClick={() => onChange(entries.filter(e => e.id !== entry.id))}
+                title="Remove from watchlist"
+                style={linkButtonStyle}
+              >
+                ✕
+              </button>
+            </div>
+            <EntryStatus matches={matches[entry.id] || []} sighting={sightings[entry.id]} onSelectAircraft={onSelectAircraft} />
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', gap: 8, marginBottom: 4 }}>
+        <button onClick={() => downloadFile('watchlist.json', exportWatchlist(entries), 'application/json')} disabled={!entries.length} style={buttonStyle}>Export JSON</button>
+        <button onClick={() => fileInput.current?.click()} style={buttonStyle}>Import JSON</button>
+        <input
+          ref={fileInput} type="file" accept=".json,application/json"
+          onChange={e => importFile(e.target.files?.[0])}
+          style={{ display: 'none' }}
+        />
+      </div>
+      {importStatus && <div style={{ opacity: 0.7, marginBottom: 4 }}>{importStatus}</div>}
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: 10, ...labelStyle }}>
+        <span>Events ({events.length})</span>
+        {events.length > 0 && (
+          <button onClick={onClearEvents} style={{ ...linkButtonStyle, fontWeight: 'normal' }}>clear</button>
+        )}
+      </div>
+      <label style={{ display: 'block', cursor: 'pointer', marginBottom: 6 }}>
+        <input
+          type="checkbox" checked={notificationsEnabled}
+          onChange={e => onToggleNotifications(e.target.checked)}
+        /> Browser notifications
+      </label>
+      {events.length === 0 && <div style={{ opacity: 0.6 }}>No events yet</div>}
+      {events.map(event => (
+        <div
+          key={event.id}
+          onClick={() => onSelectAircraft(event.icao24)}
+          style={{ display: 'flex', gap: 6, padding: '2px 0', cursor: 'pointer' }}
+        >
+          <span style={{ opacity: 0.6 }}>{new Date(event.time * 1000).toLocaleTimeString()}</span>
+          <span style={{ color: event.kind === 'appeared' ? '#4CAF50' : '#90A4AE' }}>{event.message}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
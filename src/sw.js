@@ -0,0 +1,148 @@
+// Service worker: precaches the app shell (with the airport and airline reference data), keeps visited basemap tiles within a size budget, and
+// answers with the last snapshot from the server poller when the network is slow or gone.
+// Plain JS (service workers can't share the DOM typings); the service-worker plugin in vite.config.js
+// fills in the precache list and the cache version at build time.
+
+const PRECACHE_FILES = self.__PRECACHE_FILES;
+const SHELL_CACHE = `shell-${self.__CACHE_VERSION}`;
+const BASEMAP_CACHE = 'basemap';
+const DATA_CACHE = 'data';
+const CURRENT_CACHES = [SHELL_CACHE, BASEMAP_CACHE, DATA_CACHE];
+
+// CartoDB style, tiles, sprites and glyphs
+const BASEMAP_HOST = /(^|\.)basemaps\.cartocdn\.com$/;
+const BASEMAP_BUDGET_BYTES = 50 * 1024 * 1024;
+// Trimming goes a little below the budget so it doesn't run on every new tile
+const BASEMAP_TRIM_TO = 0.9;
+// Cached entries carry their body size, so the budget can be kept without reading bodies back
+const SIZE_HEADER = 'X-Cached-Size';
+
+const LATEST_SNAPSHOT_PATH = '/api/flight-data/latest';
+// The latest snapshot comes from the network when it answers this fast, from the cache otherwise
+const SNAPSHOT_TIMEOUT_MS = 3000;
+
+const precachePaths = new Set(PRECACHE_FILES);
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(PRECACHE_FILES)));
+});
+
+// Drop the shells of older builds; take over open tabs so their tiles are cached from the first visit
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(key => !CURRENT_CACHES.includes(key)).map(key => caches.delete(key)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(fetch(request).catch(() => cached(SHELL_CACHE, '/index.html')));
+  } else if (url.origin === self.location.origin) {
+    // Deltas (?base=) only make sense against the page's own last snapshot, so they aren't cached
+    if (url.pathname === LATEST_SNAPSHOT_PATH && !url.searchParams.has('base')) {
+      event.respondWith(latestSnapshot(request));
+    } else if (precachePaths.has(url.pathname)) {
+      event.respondWith(cached(SHELL_CACHE, request).then(response => response || fetch(request)));
+    }
+  } else if (BASEMAP_HOST.test(url.hostname)) {
+    // The style can change between visits; tiles, sprites and glyphs for a URL don't
+    event.respondWith(url.pathname.endsWith('.json') ? basemapNetworkFirst(request) : basemapCacheFirst(request));
+  }
+});
+
+async function cached(cacheName, request) {
+  const cache = await caches.open(cacheName);
+  return cache.match(request);
+}
+
+async function networkFirst(request, cacheName) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(cacheName);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const response = await cached(cacheName, request);
+    if (response) return response;
+    throw error;
+  }
+}
+
+// The cached snapshot keeps its timestamp, so the app still rejects it when it's too old
+async function latestSnapshot(request) {
+  const network = networkFirst(request, DATA_CACHE);
+  const fallback = await cached(DATA_CACHE, request);
+  if (!fallback) return network;
+  const timeout = new Promise(resolve => setTimeout(() => resolve(fallback), SNAPSHOT_TIMEOUT_MS));
+  return Promise.race([network.catch(() => fallback), timeout]);
+}
+
+// --- Basemap cache with a size budget ---
+
+// Bytes in the basemap cache; counted on first use after the worker starts
+let basemapBytes = null;
+// Writes are queued so the running total stays right when many tiles arrive at once
+let basemapWrites = Promise.resolve();
+
+function entrySize(response) {
+  return Number(response?.headers.get(SIZE_HEADER)) || 0;
+}
+
+async function basemapCacheFirst(request) {
+  const hit = await cached(BASEMAP_CACHE, request);
+  if (hit) return hit;
+  const response = await fetch(request);
+  if (response.ok) storeBasemap(request, response.clone());
+  return response;
+}
+
+async function basemapNetworkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) storeBasemap(request, response.clone());
+    return response;
+  } catch (error) {
+    const hit = await cached(BASEMAP_CACHE, request);
+    if (hit) return hit;
+    throw error;
+  }
+}
+
+function storeBasemap(request, response) {
+  basemapWrites = basemapWrites
+    .then(() => putWithinBudget(request, response))
+    .catch(err => console.warn('Basemap cache write failed:', err));
+}
+
+async function putWithinBudget(request, response) {
+  const cache = await caches.open(BASEMAP_CACHE);
+  const keys = await cache.keys();
+  if (basemapBytes === null) {
+    basemapBytes = 0;
+    for (const key of keys) basemapBytes += entrySize(await cache.match(key));
+  }
+
+  const body = await response.blob();
+  const headers = new Headers(response.headers);
+  headers.set(SIZE_HEADER, String(body.size));
+  basemapBytes -= entrySize(await cache.match(request));
+  await cache.put(request, new Response(body, { status: response.status, statusText: response.statusText, headers }));
+  basemapBytes += body.size;
+  if (basemapBytes <= BASEMAP_BUDGET_BYTES) return;
+
+  // Keys come back in insertion order, so the entries cached longest ago go first
+  for (const key of keys) {
+    if (basemapBytes <= BASEMAP_BUDGET_BYTES * BASEMAP_TRIM_TO) break;
+    if (key.url === request.url) continue;
+    basemapBytes -= entrySize(await cache.match(key));
+    await cache.delete(key);
+  }
+}
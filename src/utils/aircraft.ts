@@ -0,0 +1,55 @@
+// Aircraft as the UI works with them, normalised from OpenSky state vectors
+// Runs in the pipeline worker (src/workers/flightPipeline.worker.ts) and on the UI thread; both must
+// produce the same list, since the worker's `visible` indices point into it
+
+import { DATA_INDEX, FlightData, isValidState, stateTime } from '../api/opensky';
+
+export interface AircraftData {
+  position: [number, number, number];
+  heading: number;
+  icao24: string;
+  callsign: string | null;
+  altitude: number;
+  velocity: number | null;
+  verticalRate: number | null;
+  timePosition: number;
+  // Snapshot time of the state (older than the snapshot's for OpenSky tiles out of view)
+  observedAt: number;
+  state: any[];
+}
+
+export function normaliseAircraft(data: FlightData): AircraftData[] {
+  const aircraft: AircraftData[] = [];
+  data.states.forEach((state, index) => {
+    if (!Array.isArray(state) || !isValidState(state)) return;
+
+    const lon = state[DATA_INDEX.LONGITUDE];
+    const lat = state[DATA_INDEX.LATITUDE];
+    const onGround = state[DATA_INDEX.ON_GROUND] === true;
+    // Aircraft on the ground often report no barometric altitude
+    const baroAltitude = state[DATA_INDEX.BARO_ALTITUDE] ?? (onGround ? 0 : null);
+    const trueTrack = state[DATA_INDEX.TRUE_TRACK];
+    const icao24 = state[DATA_INDEX.ICAO24];
+    const callsign = state[DATA_INDEX.CALLSIGN];
+    const velocity = state[DATA_INDEX.VELOCITY];
+    const verticalRate = state[DATA_INDEX.VERTICAL_RATE];
+    const timePosition = state[DATA_INDEX.TIME_POSITION];
+    const observedAt = stateTime(data, state);
+
+    if (lon === null || lat === null || baroAltitude === null) return;
+
+    aircraft.push({
+      position: [lon, lat, baroAltitude / 100],
+      heading: trueTrack !== null ? trueTrack : 0,
+      icao24: icao24 || `unknown-${index}`,
+      callsign: callsign ? callsign.trim() : null,
+      altitude: baroAltitude,
+      velocity: velocity || null,
+      verticalRate: verticalRate ?? null,
+      timePosition: timePosition ?? observedAt,
+      observedAt,
+      state
+    });
+  });
+  return aircraft;
+}
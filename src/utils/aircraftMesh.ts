@@ -0,0 +1,78 @@
+// Procedural low-poly airframe for the 3D aircraft view
+// Built in code so no glTF asset has to be fetched. Units: wingspan ≈ 1, nose along +Y, up along +Z.
+
+type Vec3 = [number, number, number];
+
+const FUSELAGE_W = 0.05;
+const FUSELAGE_H = 0.06;
+
+function fuselage(): Vec3[][] {
+  const nose: Vec3 = [0, 0.55, 0];
+  const tail: Vec3 = [0, -0.5, 0.02];
+  const ring = (y: number): Vec3[] => [
+    [FUSELAGE_W, y, 0], [0, y, FUSELAGE_H], [-FUSELAGE_W, y, 0], [0, y, -FUSELAGE_H]
+  ];
+  const front = ring(0.35);
+  const back = ring(-0.3);
+  const triangles: Vec3[][] = [];
+  for (let i = 0; i < 4; i++) {
+    const j = (i + 1) % 4;
+    triangles.push([nose, front[j], front[i]]);
+    triangles.push([front[i], front[j], back[j]]);
+    triangles.push([front[i], back[j], back[i]]);
+    triangles.push([back[i], back[j], tail]);
+  }
+  return triangles;
+}
+
+// A flat swept surface mirrored on both sides of the fuselage
+function surface(rootLead: number, rootTrail: number, tipLead: number, tipTrail: number, span: number, z: number): Vec3[][] {
+  const triangles: Vec3[][] = [];
+  for (const side of [1, -1]) {
+    const a: Vec3 = [side * FUSELAGE_W, rootLead, z];
+    const b: Vec3 = [side * span, tipLead, z];
+    const c: Vec3 = [side * span, tipTrail, z];
+    const d: Vec3 = [side * FUSELAGE_W, rootTrail, z];
+    triangles.push(side > 0 ? [a, d, c] : [a, c, d]);
+    triangles.push(side > 0 ? [a, c, b] : [a, b, c]);
+  }
+  return triangles;
+}
+
+function fin(): Vec3[][] {
+  return [[[0, -0.28, FUSELAGE_H], [0, -0.5, FUSELAGE_H], [0, -0.52, 0.22]]];
+}
+
+function normal([a, b, c]: Vec3[]): Vec3 {
+  const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+  const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+  const n: Vec3 = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+  const len = Math.hypot(...n) || 1;
+  return [n[0] / len, n[1] / len, n[2] / len];
+}
+
+export function createAircraftMesh() {
+  const triangles = [
+    ...fuselage(),
+    ...surface(0.12, -0.12, -0.12, -0.22, 0.5, 0), // wings
+    ...surface(-0.36, -0.48, -0.46, -0.52, 0.18, 0.02), // horizontal stabiliser
+    ...fin()
+  ];
+
+  const positions = new Float32Array(triangles.length * 9);
+  const normals = new Float32Array(triangles.length * 9);
+  triangles.forEach((triangle, t) => {
+    const n = normal(triangle);
+    triangle.forEach((vertex, v) => {
+      positions.set(vertex, t * 9 + v * 3);
+      normals.set(n, t * 9 + v * 3);
+    });
+  });
+
+  return {
+    attributes: {
+      POSITION: { value: positions, size: 3 },
+      NORMAL: { value: normals, size: 3 }
+    }
+  };
+}
@@ -1,6 +1,6 @@
 // Airline data utilities
-// Data source: https://raw.githubusercontent.com/jpatokal/openflights/master/data/airlines.dat
-// Cached in localStorage to avoid re-fetching stale data on every page load
+// Airlines come from the bundled reference dataset (see utils/reference.ts): the active OpenFlights
+// airlines with an ICAO designator, which is what callsigns are resolved by
 
 export interface Airline {
   id: number;
@@ -10,98 +10,55 @@ export interface Airline {
   icao: string;
   callsign: string;
   country: string;
-  active: string;
 }
 
-const CACHE_KEY = 'openflights_airlines';
-const CACHE_TS_KEY = 'openflights_airlines_ts';
-const CACHE_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days
+export type AirlineIndex = Map<string, Airline>;
 
-export async function fetchAirlines(): Promise<Airline[]> {
-  // Try cache first
-  try {
-    const ts = localStorage.getItem(CACHE_TS_KEY);
-    if (ts && Date.now() - parseInt(ts, 10) < CACHE_DURATION) {
-      const cached = localStorage.getItem(CACHE_KEY);
-      if (cached) {
-        const airlines = JSON.parse(cached) as Airline[];
-        console.log(`Loaded ${airlines.length} Brazil airlines from cache`);
-        return airlines;
-      }
-    }
-  } catch {
-    // Cache miss, fetch fresh
-  }
-
-  try {
-    const response = await fetch('https://raw.githubusercontent.com/jpatokal/openflights/master/data/airlines.dat');
-    const text = await response.text();
-
-    const airlines: Airline[] = [];
-    const lines = text.split('\n');
-
-    for (const line of lines) {
-      if (!line.trim()) continue;
-
-      const fields = parseCSVLine(line);
-      if (fields.length < 8) continue;
+// Icon colour for aircraft whose operator can't be resolved
+export const UNKNOWN_AIRLINE_COLOR: [number, number, number] = [0, 191, 255];
 
-      const airline: Airline = {
-        id: parseInt(fields[0]) || 0,
-        name: fields[1] || '',
-        alias: fields[2] === '\\N' ? '' : fields[2] || '',
-        iata: fields[3] === '\\N' ? '' : fields[3] || '',
-        icao: fields[4] === '\\N' ? '' : fields[4] || '',
-        callsign: fields[5] === '\\N' ? '' : fields[5] || '',
-        country: fields[6] || '',
-        active: fields[7] === '\\N' ? 'Y' : fields[7] || 'N'
-      };
+// Legend/filter key for aircraft whose callsign doesn't resolve to a known airline
+export const OTHER_AIRLINE = 'OTHER';
 
-      if (airline.country === 'Brazil' && airline.active === 'Y') {
-        airlines.push(airline);
-      }
-    }
+const AIRLINE_PALETTE: [number, number, number][] = [
+  [255, 112, 67],
+  [255, 202, 40],
+  [102, 187, 106],
+  [171, 71, 188],
+  [239, 83, 80],
+  [38, 198, 218],
+  [255, 167, 38],
+  [156, 204, 101],
+  [236, 64, 122],
+  [126, 87, 194],
+  [141, 110, 99],
+  [212, 225, 87]
+];
 
-    airlines.sort((a, b) => a.name.localeCompare(b.name));
-
-    // Cache the result
-    try {
-      localStorage.setItem(CACHE_KEY, JSON.stringify(airlines));
-      localStorage.setItem(CACHE_TS_KEY, Date.now().toString());
-    } catch {
-      // Storage full — non-critical
-    }
+export function buildAirlineIndex(airlines: Airline[]): AirlineIndex {
+  const index: AirlineIndex = new Map();
+  airlines.forEach(airline => {
+    if (airline.icao) index.set(airline.icao.toUpperCase(), airline);
+  });
+  return index;
+}
 
-    console.log(`Fetched ${airlines.length} Brazil airlines`);
-    return airlines;
-  } catch (error) {
-    console.error('Error fetching airlines:', error);
-    // Try stale cache as fallback
-    try {
-      const cached = localStorage.getItem(CACHE_KEY);
-      if (cached) return JSON.parse(cached) as Airline[];
-    } catch {}
-    return [];
-  }
+// Airline callsigns are the 3-letter ICAO designator plus a flight number (e.g. GLO1234)
+export function resolveAirline(callsign: string | null, index: AirlineIndex): Airline | null {
+  if (!callsign) return null;
+  const match = callsign.trim().toUpperCase().match(/^([A-Z]{3})\d/);
+  return match ? index.get(match[1]) || null : null;
 }
 
-function parseCSVLine(line: string): string[] {
-  const fields: string[] = [];
-  let current = '';
-  let inQuotes = false;
+// Legend/filter key: the operator's ICAO code, or OTHER_AIRLINE
+export function airlineKey(callsign: string | null, index: AirlineIndex): string {
+  return resolveAirline(callsign, index)?.icao.toUpperCase() || OTHER_AIRLINE;
+}
 
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    if (char === '"') {
-      inQuotes = !inQuotes;
-    } else if (char === ',' && !inQuotes) {
-      fields.push(current);
-      current = '';
-    } else {
-      current += char;
-    }
+export function airlineColor(icao: string): [number, number, number] {
+  let hash = 0;
+  for (let i = 0; i < icao.length; i++) {
+    hash = (hash * 31 + icao.charCodeAt(i)) >>> 0;
   }
-
-  fields.push(current);
-  return fields;
+  return AIRLINE_PALETTE[hash % AIRLINE_PALETTE.length];
 }
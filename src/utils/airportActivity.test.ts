@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import { DATA_INDEX } from '../api/opensky';
+import type { Airport } from './airports';
+import { ActivityAircraft, inferAirportActivity } from './airportActivity';
+import { bearingDeg } from './geo';
+
+function airport(icao: string, longitude: number, latitude: number, altitude: number): Airport {
+  return { id: 0, name: icao, city: icao, country: 'Brazil', iata: '', icao, latitude, longitude, altitude, size: 'large', runways: [] };
+}
+
+// Guarulhos and Congonhas, ~25 km apart
+const GRU = airport('SBGR', -46.4678, -23.4319, 2461);
+const CGH = airport('SBSP', -46.6553, -23.6261, 2631);
+const GRU_ELEVATION_M = 2461 * 0.3048;
+
+function aircraft(
+  icao24: string,
+  lon: number,
+  lat: number,
+  heightAboveGru: number,
+  verticalRate: number | null,
+  heading = 0,
+  onGround = false
+): ActivityAircraft {
+  const altitude = GRU_ELEVATION_M + heightAboveGru;
+  const state: any[] = new Array(17).fill(null);
+  state[DATA_INDEX.ON_GROUND] = onGround;
+  return { icao24, callsign: null, position: [lon, lat, altitude], altitude, heading, verticalRate, velocity: 100, state };
+}
+
+const towardsGru = (lon: number, lat: number) => bearingDeg(lon, lat, GRU.longitude, GRU.latitude);
+const ids = (movements: { icao24: string }[]) => movements.map(m => m.icao24);
+
+describe('inferAirportActivity', () => {
+  it('counts descending traffic as arrivals and climbing traffic as departures', () => {
+    const activity = inferAirportActivity([
+      aircraft('descending', -46.3, -23.4, 800, -4),
+      aircraft('climbing', -46.35, -23.4, 600, 6)
+    ], [GRU]);
+
+    expect(ids(activity.get('SBGR')!.arrivals)).toEqual(['descending']);
+    expect(ids(activity.get('SBGR')!.departures)).toEqual(['climbing']);
+  });
+
+  it('classifies level traffic by whether it points at the airport', () => {
+    const activity = inferAirportActivity([
+      aircraft('inbound', -46.3, -23.3, 900, 0, towardsGru(-46.3, -23.3)),
+      aircraft('outbound', -46.3, -23.5, 900, 0, towardsGru(-46.3, -23.5) + 180)
+    ], [GRU]);
+
+    expect(ids(activity.get('SBGR')!.arrivals)).toEqual(['inbound']);
+    expect(ids(activity.get('SBGR')!.departures)).toEqual(['outbound']);
+  });
+
+  it('leaves out aircraft on the ground, too high or too far', () => {
+    const activity = inferAirportActivity([
+      aircraft('ground', -46.47, -23.43, 0, null, 0, true),
+      aircraft('high', -46.3, -23.4, 5000, -4),
+      aircraft('far', -45.9, -23.4, 800, -4)
+    ], [GRU]);
+    expect(activity.size).toBe(0);
+  });
+
+  it('attributes traffic to the nearest airport, closest first', () => {
+    const activity = inferAirportActivity([
+      aircraft('far-gru', -46.3, -23.35, 900, -4),
+      aircraft('near-gru', -46.42, -23.42, 300, -4),
+      aircraft('near-cgh', -46.66, -23.6, 300, -4)
+    ], [GRU, CGH]);
+
+    expect(ids(activity.get('SBGR')!.arrivals)).toEqual(['near-gru', 'far-gru']);
+    expect(ids(activity.get('SBSP')!.arrivals)).toEqual(['near-cgh']);
+  });
+
+  it('returns nothing without airports', () => {
+    expect(inferAirportActivity([aircraft('descending', -46.3, -23.4, 800, -4)], []).size).toBe(0);
+  });
+});
@@ -0,0 +1,90 @@
+// Infers likely arrivals and departures per airport from state vectors alone
+// An aircraft low and close to an aerodrome that is climbing is departing it; descending, arriving.
+// Level aircraft in the envelope are classified by whether they point towards the airport.
+
+import { DATA_INDEX } from '../api/opensky';
+import { airportKey, Airport } from './airports';
+import { bearingDeg, distanceKm, headingDiff } from './geo';
+import { verticalState } from './filters';
+
+export interface ActivityAircraft {
+  icao24: string;
+  callsign: string | null;
+  position: [number, number, number];
+  altitude: number;
+  heading: number;
+  verticalRate: number | null;
+  velocity: number | null;
+  state: any[];
+}
+
+export interface AirportMovement {
+  icao24: string;
+  callsign: string | null;
+  distanceKm: number;
+  heightAboveAirport: number; // metres
+  verticalRate: number | null;
+  velocity: number | null;
+}
+
+export interface AirportActivity {
+  arrivals: AirportMovement[];
+  departures: AirportMovement[];
+}
+
+export type AirportActivityMap = Map<string, AirportActivity>;
+
+// Envelope around each aerodrome in which traffic is attributed to it
+export const ACTIVITY_RADIUS_KM = 40;
+export const ACTIVITY_MAX_HEIGHT_M = 3000;
+
+const FEET_TO_METRES = 0.3048;
+// Level traffic must point within this angle of the airport to count as arriving
+const INBOUND_TOLERANCE_DEG = 45;
+
+export function inferAirportActivity(aircraft: ActivityAircraft[], airports: Airport[]): AirportActivityMap {
+  const activity: AirportActivityMap = new Map();
+  if (!airports.length) return activity;
+
+  for (const a of aircraft) {
+    if (a.state[DATA_INDEX.ON_GROUND] === true) continue;
+    const [lon, lat] = a.position;
+
+    // Nearest airport within the radius and height envelope
+    let best: { airport: Airport; distance: number; height: number } | null = null;
+    for (const airport of airports) {
+      // Cheap bounding check before the haversine (~0.5° ≈ 55 km)
+      if (Math.abs(airport.latitude - lat) > 0.5 || Math.abs(airport.longitude - lon) > 0.5) continue;
+      const distance = distanceKm(lon, lat, airport.longitude, airport.latitude);
+      if (distance > ACTIVITY_RADIUS_KM) continue;
+      const height = a.altitude - airport.altitude * FEET_TO_METRES;
+      if (height > ACTIVITY_MAX_HEIGHT_M) continue;
+      if (!best || distance < best.distance) best = { airport, distance, height };
+    }
+    if (!best) continue;
+
+    const movement: AirportMovement = {
+      icao24: a.icao24,
+      callsign: a.callsign,
+      distanceKm: best.distance,
+      heightAboveAirport: best.height,
+      verticalRate: a.verticalRate,
+      velocity: a.velocity
+    };
+
+    const key = airportKey(best.airport);
+    const entry = activity.get(key) || { arrivals: [], departures: [] };
+    const vs = verticalState(a.verticalRate);
+    const inbound = headingDiff(a.heading, bearingDeg(lon, lat, best.airport.longitude, best.airport.latitude)) < INBOUND_TOLERANCE_DEG;
+
+    if (vs === 'descending' || (vs === 'cruising' && inbound)) entry.arrivals.push(movement);
+    else entry.departures.push(movement);
+    activity.set(key, entry);
+  }
+
+  activity.forEach(entry => {
+    entry.arrivals.sort((x, y) => x.distanceKm - y.distanceKm);
+    entry.departures.sort((x, y) => x.distanceKm - y.distanceKm);
+  });
+  return activity;
+}
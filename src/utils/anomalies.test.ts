@@ -0,0 +1,102 @@
+import { describe, expect, it } from 'vitest';
+import { DATA_INDEX } from '../api/opensky';
+import type { AircraftData } from './aircraft';
+import { createAnomalyTracker, detectAnomalies, flaggedAircraft } from './anomalies';
+
+const T0 = 1_700_000_000;
+
+interface Options {
+  time?: number;
+  altitude?: number;
+  verticalRate?: number | null;
+  squawk?: string | null;
+  spi?: boolean;
+  onGround?: boolean;
+  lastContact?: number;
+}
+
+function aircraft(icao24: string, options: Options = {}): AircraftData {
+  const { time = T0, altitude = 10000, verticalRate = 0, squawk = '2000', spi = false, onGround = false } = options;
+  const state: any[] = new Array(17).fill(null);
+  state[DATA_INDEX.ICAO24] = icao24;
+  state[DATA_INDEX.SQUAWK] = squawk;
+  state[DATA_INDEX.SPI] = spi;
+  state[DATA_INDEX.ON_GROUND] = onGround;
+  state[DATA_INDEX.LAST_CONTACT] = options.lastContact ?? time - 5;
+  return {
+    position: [-46.6, -23.5, altitude / 100], heading: 0, icao24, callsign: icao24.toUpperCase(), altitude,
+    velocity: 230, verticalRate, timePosition: time, observedAt: time, state
+  };
+}
+
+const kinds = (events: { icao24: string; kind: string }[]) => events.map(e => `${e.icao24}:${e.kind}`);
+
+describe('detectAnomalies', () => {
+  it('flags emergency squawks', () => {
+    const events = detectAnomalies([
+      aircraft('aaaaaa', { squawk: '7500' }),
+      aircraft('bbbbbb', { squawk: '7600' }),
+      aircraft('cccccc', { squawk: '7700' }),
+      aircraft('dddddd', { squawk: '7000' })
+    ], T0, createAnomalyTracker());
+
+    expect(kinds(events)).toEqual(['aaaaaa:hijack', 'bbbbbb:radio', 'cccccc:emergency']);
+    expect(events[2].message).toBe('CCCCCC squawking 7700');
+  });
+
+  it('flags SPI, also on the ground', () => {
+    const events = detectAnomalies([aircraft('aaaaaa', { spi: true, onGround: true })], T0, createAnomalyTracker());
+    expect(kinds(events)).toEqual(['aaaaaa:spi']);
+  });
+
+  it('flags an abnormal descent rate above the check altitude only', () => {
+    const events = detectAnomalies([
+      aircraft('aaaaaa', { verticalRate: -30 }),
+      aircraft('bbbbbb', { verticalRate: -20 }),
+      aircraft('cccccc', { verticalRate: -30, altitude: 600 })
+    ], T0, createAnomalyTracker());
+    expect(kinds(events)).toEqual(['aaaaaa:descent-rate']);
+    expect(events[0].message).toBe('AAAAAA descending at 5906 ft/min');
+  });
+
+  it('flags a sudden altitude loss between snapshots', () => {
+    const tracker = createAnomalyTracker();
+    detectAnomalies([aircraft('aaaaaa')], T0, tracker);
+    const events = detectAnomalies([aircraft('aaaaaa', { time: T0 + 60, altitude: 8000 })], T0 + 60, tracker);
+    expect(kinds(events)).toEqual(['aaaaaa:altitude-loss']);
+    expect(events[0].message).toBe('AAAAAA lost 2000 m in 1 min');
+  });
+
+  it('does not flag the same loss spread over a normal descent', () => {
+    const tracker = createAnomalyTracker();
+    detectAnomalies([aircraft('aaaaaa')], T0, tracker);
+    expect(detectAnomalies([aircraft('aaaaaa', { time: T0 + 600, altitude: 8000 })], T0 + 600, tracker)).toEqual([]);
+  });
+
+  it('flags stale contact while airborne, not on the ground', () => {
+    const events = detectAnomalies([
+      aircraft('aaaaaa', { lastContact: T0 - 90 }),
+      aircraft('bbbbbb', { lastContact: T0 - 90, onGround: true }),
+      aircraft('cccccc', { lastContact: T0 - 30 })
+    ], T0, createAnomalyTracker());
+    expect(kinds(events)).toEqual(['aaaaaa:stale']);
+  });
+
+  it('logs a condition once while it lasts, and again after it clears', () => {
+    const tracker = createAnomalyTracker();
+    const squawking = aircraft('aaaaaa', { squawk: '7700' });
+    expect(kinds(detectAnomalies([squawking], T0, tracker))).toEqual(['aaaaaa:emergency']);
+    expect(detectAnomalies([squawking], T0 + 300, tracker)).toEqual([]);
+    expect(detectAnomalies([aircraft('aaaaaa')], T0 + 600, tracker)).toEqual([]);
+    expect(kinds(detectAnomalies([squawking], T0 + 900, tracker))).toEqual(['aaaaaa:emergency']);
+  });
+
+  it('keeps the most severe condition of each flagged aircraft', () => {
+    const tracker = createAnomalyTracker();
+    detectAnomalies([
+      aircraft('aaaaaa', { squawk: '7600', spi: true, verticalRate: -30 }),
+      aircraft('bbbbbb')
+    ], T0, tracker);
+    expect(flaggedAircraft(tracker)).toEqual({ aaaaaa: 'radio' });
+  });
+});
@@ -0,0 +1,154 @@
+// Emergency squawk and anomaly detection
+// Run once per live snapshot. An event is logged when a condition starts; the aircraft stays
+// flagged (and highlighted on the map) until the condition clears.
+
+import { DATA_INDEX } from '../api/opensky';
+import type { AircraftData } from './aircraft';
+
+export type AnomalyKind = 'hijack' | 'radio' | 'emergency' | 'spi' | 'altitude-loss' | 'descent-rate' | 'stale';
+
+export interface AnomalyEvent {
+  id: string;
+  kind: AnomalyKind;
+  icao24: string;
+  callsign: string | null;
+  time: number;
+  message: string;
+}
+
+export interface AnomalyTracker {
+  time: number;
+  // icao24 -> active conditions, with the time each was first seen
+  active: Record<string, Partial<Record<AnomalyKind, number>>>;
+  // icao24 -> recent airborne altitude samples, oldest first
+  altitudes: Record<string, { time: number; altitude: number }[]>;
+}
+
+export const EMERGENCY_SQUAWKS: Record<string, AnomalyKind> = {
+  '7500': 'hijack',
+  '7600': 'radio',
+  '7700': 'emergency'
+};
+
+export const ANOMALY_LABELS: Record<AnomalyKind, string> = {
+  hijack: '7500 hijack',
+  radio: '7600 radio failure',
+  emergency: '7700 emergency',
+  spi: 'SPI (ident)',
+  'altitude-loss': 'Sudden altitude loss',
+  'descent-rate': 'Abnormal descent rate',
+  stale: 'Contact lost in flight'
+};
+
+export const ANOMALY_COLORS: Record<AnomalyKind, [number, number, number]> = {
+  hijack: [213, 0, 0],
+  emergency: [244, 67, 54],
+  radio: [255, 152, 0],
+  'altitude-loss': [255, 87, 34],
+  'descent-rate': [255, 193, 7],
+  stale: [158, 158, 158],
+  spi: [79, 195, 247]
+};
+
+// Squawked emergencies first; used to pick the colour of an aircraft with several conditions
+export const ANOMALY_SEVERITY: AnomalyKind[] = ['hijack', 'emergency', 'radio', 'altitude-loss', 'descent-rate', 'stale', 'spi'];
+
+// Events kept in the log
+export const MAX_ANOMALY_EVENTS = 500;
+
+// Altitude loss: at least this many metres, averaging at least this rate (m/s, ~4000 ft/min),
+// against any sample in the window. The window spans a couple of 5-minute polls.
+const ALTITUDE_LOSS_M = 1500;
+const ALTITUDE_LOSS_RATE_MS = 20;
+const ALTITUDE_WINDOW_S = 12 * 60;
+// Descent rate: faster than this (m/s, ~5000 ft/min)
+const ABNORMAL_DESCENT_MS = -25;
+// Altitude and descent checks ignore aircraft below this (final approach, circuits)
+const MIN_CHECK_ALTITUDE_M = 1000;
+// Stale contact: no message for this long while airborne
+const STALE_CONTACT_S = 60;
+
+export function createAnomalyTracker(): AnomalyTracker {
+  return { time: 0, active: {}, altitudes: {} };
+}
+
+function conditionsOf(d: AircraftData, tracker: AnomalyTracker): Partial<Record<AnomalyKind, string>> {
+  const conditions: Partial<Record<AnomalyKind, string>> = {};
+  const squawk = d.state[DATA_INDEX.SQUAWK];
+  const onGround = d.state[DATA_INDEX.ON_GROUND] === true;
+  const lastContact = d.state[DATA_INDEX.LAST_CONTACT];
+
+  if (squawk && EMERGENCY_SQUAWKS[squawk]) conditions[EMERGENCY_SQUAWKS[squawk]] = `squawking ${squawk}`;
+  if (d.state[DATA_INDEX.SPI] === true) conditions.spi = 'SPI activated';
+  if (onGround) return conditions;
+
+  if (d.altitude >= MIN_CHECK_ALTITUDE_M && d.verticalRate !== null && d.verticalRate <= ABNORMAL_DESCENT_MS) {
+    conditions['descent-rate'] = `descending at ${Math.round(-d.verticalRate * 196.85)} ft/min`;
+  }
+
+  const drop = (tracker.altitudes[d.icao24] || []).find(s => {
+    const loss = s.altitude - d.altitude;
+    return d.observedAt > s.time && loss >= ALTITUDE_LOSS_M && loss / (d.observedAt - s.time) >= ALTITUDE_LOSS_RATE_MS;
+  });
+  if (drop) {
+    conditions['altitude-loss'] = `lost ${Math.round(drop.altitude - d.altitude)} m in ${Math.max(1, Math.round((d.observedAt - drop.time) / 60))} min`;
+  }
+
+  // Measured against the state's own snapshot, so aircraft from older OpenSky tiles aren't flagged for it
+  if (typeof lastContact === 'number' && d.observedAt - lastContact >= STALE_CONTACT_S) {
+    conditions.stale = `no contact for ${Math.round(d.observedAt - lastContact)} s while airborne`;
+  }
+  return conditions;
+}
+
+// Returns the events raised by this snapshot; `tracker.active` then holds who is flagged
+export function detectAnomalies(aircraft: AircraftData[], time: number, tracker: AnomalyTracker): AnomalyEvent[] {
+  if (time <= tracker.time) return [];
+  tracker.time = time;
+
+  const events: AnomalyEvent[] = [];
+  const active: AnomalyTracker['active'] = {};
+  const altitudes: AnomalyTracker['altitudes'] = {};
+
+  aircraft.forEach(d => {
+    const conditions = conditionsOf(d, tracker);
+    const previous = tracker.active[d.icao24] || {};
+    const current: Partial<Record<AnomalyKind, number>> = {};
+
+    (Object.keys(conditions) as AnomalyKind[]).forEach(kind => {
+      current[kind] = previous[kind] ?? time;
+      if (previous[kind] !== undefined) return;
+      events.push({
+        id: `${d.icao24}-${kind}-${time}`,
+        kind,
+        icao24: d.icao24,
+        callsign: d.callsign,
+        time,
+        message: `${d.callsign || d.icao24} ${conditions[kind]}`
+      });
+    });
+    if (Object.keys(current).length) active[d.icao24] = current;
+
+    if (d.state[DATA_INDEX.ON_GROUND] !== true) {
+      const samples = (tracker.altitudes[d.icao24] || []).filter(s => time - s.time <= ALTITUDE_WINDOW_S);
+      // A state carried over unchanged from an older OpenSky tile is sampled once, at its own time
+      if (!samples.some(s => s.time >= d.observedAt)) samples.push({ time: d.observedAt, altitude: d.altitude });
+      altitudes[d.icao24] = samples;
+    }
+  });
+
+  // Aircraft missing from this snapshot are dropped, so they are re-flagged if they come back
+  tracker.active = active;
+  tracker.altitudes = altitudes;
+  return events;
+}
+
+// The most severe active condition of each flagged aircraft
+export function flaggedAircraft(tracker: AnomalyTracker): Record<string, AnomalyKind> {
+  const flagged: Record<string, AnomalyKind> = {};
+  Object.entries(tracker.active).forEach(([icao24, conditions]) => {
+    const kind = ANOMALY_SEVERITY.find(k => conditions[k] !== undefined);
+    if (kind) flagged[icao24] = kind;
+  });
+  return flagged;
+}
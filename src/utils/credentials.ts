@@ -1,12 +1,18 @@
 export interface OpenSkyCredentials {
   username?: string;
   password?: string;
+  // OAuth2 client credentials (newer OpenSky API clients)
+  clientId?: string;
+  clientSecret?: string;
 }
 
 // Credentials are now ONLY handled server-side via the proxy.
 // The client can optionally provide credentials for the proxy to forward,
 // but they are sent to OUR proxy (not directly to OpenSky).
-// For production, set OPENSKY_USERNAME/OPENSKY_PASSWORD env vars on Vercel.
+// For production, set OPENSKY_CLIENT_ID/OPENSKY_CLIENT_SECRET (or OPENSKY_USERNAME/OPENSKY_PASSWORD) env vars on Vercel.
+
+// Header the proxy reads client credentials from (see api/_lib/opensky.ts); it exchanges them for a token
+const CLIENT_CREDENTIALS_HEADER = 'X-OpenSky-Client-Credentials';
 
 let storedCredentials: OpenSkyCredentials = {};
 
@@ -18,16 +24,24 @@ export function getCredentials(): OpenSkyCredentials {
   return storedCredentials;
 }
 
+function hasClientCredentials(): boolean {
+  return !!(storedCredentials.clientId && storedCredentials.clientSecret);
+}
+
 export function hasCredentials(): boolean {
-  return !!(storedCredentials.username && storedCredentials.password);
+  return hasClientCredentials() || !!(storedCredentials.username && storedCredentials.password);
 }
 
-export function getAuthHeader(): string | null {
+// Headers for requests to the OpenSky proxy; empty when anonymous
+export function getAuthHeaders(): Record<string, string> {
+  if (hasClientCredentials()) {
+    return { [CLIENT_CREDENTIALS_HEADER]: btoa(`${storedCredentials.clientId}:${storedCredentials.clientSecret}`) };
+  }
   if (storedCredentials.username && storedCredentials.password) {
     const auth = btoa(`${storedCredentials.username}:${storedCredentials.password}`);
-    return `Basic ${auth}`;
+    return { Authorization: `Basic ${auth}` };
   }
-  return null;
+  return {};
 }
 
 export function clearCredentials(): void {
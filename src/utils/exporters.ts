@@ -0,0 +1,199 @@
+// Flight data exports: CSV of state vectors, GeoJSON and KML (points and tracks), and a replayable archive
+// The archive is the replay-file format (see parseReplayFile in api/sources.ts) plus a header,
+// so it can be re-imported here or loaded as a replay source.
+
+import { DATA_INDEX, FlightData, isValidState, stateTime } from '../api/opensky';
+import type { TrackPoint } from './tracks';
+
+export type ExportFormat = 'csv' | 'geojson' | 'kml' | 'archive';
+
+export interface ExportTrack {
+  icao24: string;
+  callsign: string | null;
+  points: TrackPoint[];
+}
+
+export interface ExportData {
+  // What was exported, e.g. "Current view"; goes into file headers
+  description: string;
+  snapshots: FlightData[];
+  tracks: ExportTrack[];
+}
+
+export const ARCHIVE_FORMAT = 'flightradar-archive';
+const ARCHIVE_VERSION = 1;
+// How long the object URL of a download outlives the click
+const DOWNLOAD_REVOKE_DELAY_MS = 10000;
+
+export const EXPORT_FORMATS: { value: ExportFormat; label: string; extension: string; mime: string }[] = [
+  { value: 'csv', label: 'CSV', extension: 'csv', mime: 'text/csv' },
+  { value: 'geojson', label: 'GeoJSON', extension: 'geojson', mime: 'application/geo+json' },
+  { value: 'kml', label: 'KML', extension: 'kml', mime: 'application/vnd.google-earth.kml+xml' },
+  { value: 'archive', label: 'Archive', extension: 'json', mime: 'application/json' }
+];
+
+const STATE_FIELDS = Object.entries(DATA_INDEX).sort((a, b) => a[1] - b[1]).map(([name]) => name.toLowerCase());
+
+// Tracks of every aircraft over a set of snapshots (the whole range; the live trail history keeps 2h)
+export function tracksFromSnapshots(snapshots: FlightData[]): ExportTrack[] {
+  const tracks: Record<string, ExportTrack> = {};
+  [...snapshots].sort((a, b) => a.time - b.time).forEach(snapshot => snapshot.states.forEach(state => {
+    if (!isValidState(state)) return;
+    const icao24 = state[DATA_INDEX.ICAO24];
+    const time = state[DATA_INDEX.TIME_POSITION] ?? stateTime(snapshot, state);
+    const track = tracks[icao24] || (tracks[icao24] = { icao24, callsign: null, points: [] });
+    track.callsign = state[DATA_INDEX.CALLSIGN]?.trim() || track.callsign;
+    // The same position can be in several snapshots
+    if (track.points.length && track.points[track.points.length - 1].time >= time) return;
+    track.points.push({
+      time,
+      longitude: state[DATA_INDEX.LONGITUDE],
+      latitude: state[DATA_INDEX.LATITUDE],
+      altitude: state[DATA_INDEX.BARO_ALTITUDE] ?? 0,
+      velocity: state[DATA_INDEX.VELOCITY],
+      verticalRate: state[DATA_INDEX.VERTICAL_RATE]
+    });
+  }));
+  return Object.values(tracks);
+}
+
+// Most recent state of each aircraft across the snapshots, with its snapshot time
+function latestStates(snapshots: FlightData[]): { time: number; state: any[] }[] {
+  const latest: Record<string, { time: number; state: any[] }> = {};
+  snapshots.forEach(snapshot => snapshot.states.forEach(state => {
+    const icao24 = state[DATA_INDEX.ICAO24];
+    if (state[DATA_INDEX.LONGITUDE] === null || state[DATA_INDEX.LATITUDE] === null) return;
+    if (!latest[icao24] || latest[icao24].time <= snapshot.time) latest[icao24] = { time: snapshot.time, state };
+  }));
+  return Object.values(latest);
+}
+
+function csvField(value: any): string {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join(';') : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(data: ExportData): string {
+  const rows = [['snapshot_time', ...STATE_FIELDS].join(',')];
+  data.snapshots.forEach(snapshot => snapshot.states.forEach(state => {
+    rows.push([snapshot.time, ...STATE_FIELDS.map((_, i) => typeof state[i] === 'string' ? state[i].trim() : state[i])]
+      .map(csvField).join(','));
+  }));
+  return rows.join('\n') + '\n';
+}
+
+function stateProperties(state: any[], time: number): Record<string, any> {
+  const properties: Record<string, any> = { snapshot_time: time };
+  STATE_FIELDS.forEach((name, i) => {
+    properties[name] = typeof state[i] === 'string' ? state[i].trim() : state[i] ?? null;
+  });
+  return properties;
+}
+
+export function toGeoJson(data: ExportData): string {
+  const points = latestStates(data.snapshots).map(({ time, state }) => ({
+    type: 'Feature',
+    geometry: {
+      type: 'Point',
+      coordinates: [state[DATA_INDEX.LONGITUDE], state[DATA_INDEX.LATITUDE], state[DATA_INDEX.BARO_ALTITUDE] ?? 0]
+    },
+    properties: { kind: 'position', ...stateProperties(state, time) }
+  }));
+  const tracks = data.tracks.filter(t => t.points.length >= 2).map(track => ({
+    type: 'Feature',
+    geometry: {
+      type: 'LineString',
+      coordinates: track.points.map(p => [p.longitude, p.latitude, p.altitude])
+    },
+    properties: {
+      kind: 'track',
+      icao24: track.icao24,
+      callsign: track.callsign,
+      times: track.points.map(p => p.time)
+    }
+  }));
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    name: data.description,
+    features: [...points, ...tracks]
+  });
+}
+
+function xml(text: any): string {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+export function toKml(data: ExportData): string {
+  const placemarks = latestStates(data.snapshots).map(({ time, state }) => {
+    const name = state[DATA_INDEX.CALLSIGN]?.trim() || state[DATA_INDEX.ICAO24];
+    const altitude = state[DATA_INDEX.BARO_ALTITUDE] ?? 0;
+    const velocity = state[DATA_INDEX.VELOCITY];
+    return `      <Placemark>
+        <name>${xml(name)}</name>
+        <description>${xml(`ICAO24 ${state[DATA_INDEX.ICAO24]}, ${Math.round(altitude)} m, ${velocity !== null ? Math.round(velocity * 3.6) : '?'} km/h`)}</description>
+        <TimeStamp><when>${new Date(time * 1000).toISOString()}</when></TimeStamp>
+        <styleUrl>#aircraft</styleUrl>
+        <Point>
+          <altitudeMode>absolute</altitudeMode>
+          <coordinates>${state[DATA_INDEX.LONGITUDE]},${state[DATA_INDEX.LATITUDE]},${altitude}</coordinates>
+        </Point>
+      </Placemark>`;
+  });
+  const tracks = data.tracks.filter(t => t.points.length >= 2).map(track => `      <Placemark>
+        <name>${xml(track.callsign || track.icao24)}</name>
+        <styleUrl>#track</styleUrl>
+        <LineString>
+          <altitudeMode>absolute</altitudeMode>
+          <coordinates>${track.points.map(p => `${p.longitude},${p.latitude},${p.altitude}`).join(' ')}</coordinates>
+        </LineString>
+      </Placemark>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${xml(data.description)}</name>
+    <Style id="aircraft"><IconStyle><scale>0.8</scale></IconStyle></Style>
+    <Style id="track"><LineStyle><color>ff07c1ff</color><width>2</width></LineStyle></Style>
+    <Folder>
+      <name>Aircraft</name>
+${placemarks.join('\n')}
+    </Folder>
+    <Folder>
+      <name>Tracks</name>
+${tracks.join('\n')}
+    </Folder>
+  </Document>
+</kml>
+`;
+}
+
+export function toArchive(data: ExportData): string {
+  return JSON.stringify({
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: Math.floor(Date.now() / 1000),
+    description: data.description,
+    snapshots: [...data.snapshots].sort((a, b) => a.time - b.time)
+  });
+}
+
+export function formatExport(format: ExportFormat, data: ExportData): string {
+  switch (format) {
+    case 'csv': return toCsv(data);
+    case 'geojson': return toGeoJson(data);
+    case 'kml': return toKml(data);
+    case 'archive': return toArchive(data);
+  }
+}
+
+export function downloadFile(filename: string, content: string, mime: string): void {
+  const blob = new Blob([content], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoking straight after the click can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_REVOKE_DELAY_MS);
+}
@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import { AircraftFilters, DEFAULT_FILTERS, parseFilters, serializeFilters } from './filters';
+
+const FILTERS: AircraftFilters = {
+  minAltitude: 3000,
+  maxAltitude: 12000,
+  minSpeed: null,
+  maxSpeed: 850.5,
+  verticalStates: ['climbing', 'descending'],
+  countries: ['Brazil', 'United Kingdom'],
+  positionSources: [0, 2],
+  includeGround: true
+};
+
+describe('filter URL encoding', () => {
+  it('round-trips every filter through the query string', () => {
+    expect(parseFilters(serializeFilters(FILTERS, ''))).toEqual(FILTERS);
+  });
+
+  it('writes nothing for the default filters', () => {
+    expect(serializeFilters(DEFAULT_FILTERS, '')).toBe('');
+    expect(parseFilters('')).toEqual(DEFAULT_FILTERS);
+  });
+
+  it('leaves unrelated parameters alone and drops filters that were cleared', () => {
+    const search = serializeFilters(FILTERS, '?region=south-america');
+    const cleared = serializeFilters(DEFAULT_FILTERS, search);
+    expect(new URLSearchParams(cleared).toString()).toBe('region=south-america');
+  });
+
+  it('keeps open-ended ranges open', () => {
+    const filters = parseFilters('?alt=..5000&spd=200..');
+    expect([filters.minAltitude, filters.maxAltitude]).toEqual([null, 5000]);
+    expect([filters.minSpeed, filters.maxSpeed]).toEqual([200, null]);
+  });
+
+  it('ignores values it does not understand', () => {
+    const filters = parseFilters('?alt=low..high&vs=climbing,sideways&src=1,x&ground=yes');
+    expect([filters.minAltitude, filters.maxAltitude]).toEqual([null, null]);
+    expect(filters.verticalStates).toEqual(['climbing']);
+    expect(filters.positionSources).toEqual([1]);
+    expect(filters.includeGround).toBe(false);
+  });
+});
@@ -0,0 +1,122 @@
+// Client-side aircraft filters, encoded in the URL query string so a filtered view can be shared
+
+import { DATA_INDEX } from '../api/opensky';
+
+export type VerticalState = 'climbing' | 'cruising' | 'descending';
+
+export interface AircraftFilters {
+  minAltitude: number | null; // metres
+  maxAltitude: number | null;
+  minSpeed: number | null; // km/h
+  maxSpeed: number | null;
+  verticalStates: VerticalState[]; // empty = all
+  countries: string[]; // origin countries, empty = all
+  positionSources: number[]; // empty = all
+  includeGround: boolean;
+}
+
+export const DEFAULT_FILTERS: AircraftFilters = {
+  minAltitude: null,
+  maxAltitude: null,
+  minSpeed: null,
+  maxSpeed: null,
+  verticalStates: [],
+  countries: [],
+  positionSources: [],
+  includeGround: false
+};
+
+export const VERTICAL_STATES: VerticalState[] = ['climbing', 'cruising', 'descending'];
+
+// ~300 ft/min; anything slower counts as level flight
+const LEVEL_FLIGHT_RATE = 1.5; // m/s
+
+export function verticalState(verticalRate: number | null): VerticalState {
+  if (verticalRate === null || Math.abs(verticalRate) < LEVEL_FLIGHT_RATE) return 'cruising';
+  return verticalRate > 0 ? 'climbing' : 'descending';
+}
+
+export function matchesFilters(state: any[], filters: AircraftFilters): boolean {
+  const onGround = state[DATA_INDEX.ON_GROUND] === true;
+  if (onGround && !filters.includeGround) return false;
+
+  const altitude = state[DATA_INDEX.BARO_ALTITUDE] ?? 0;
+  if (filters.minAltitude !== null && altitude < filters.minAltitude) return false;
+  if (filters.maxAltitude !== null && altitude > filters.maxAltitude) return false;
+
+  const speed = (state[DATA_INDEX.VELOCITY] ?? 0) * 3.6;
+  if (filters.minSpeed !== null && speed < filters.minSpeed) return false;
+  if (filters.maxSpeed !== null && speed > filters.maxSpeed) return false;
+
+  if (filters.verticalStates.length &&
+      !filters.verticalStates.includes(verticalState(state[DATA_INDEX.VERTICAL_RATE]))) return false;
+  if (filters.countries.length && !filters.countries.includes(state[DATA_INDEX.ORIGIN_COUNTRY])) return false;
+  if (filters.positionSources.length && !filters.positionSources.includes(state[DATA_INDEX.POSITION_SOURCE])) return false;
+
+  return true;
+}
+
+export function activeFilterCount(filters: AircraftFilters): number {
+  return [
+    filters.minAltitude !== null || filters.maxAltitude !== null,
+    filters.minSpeed !== null || filters.maxSpeed !== null,
+    filters.verticalStates.length > 0,
+    filters.countries.length > 0,
+    filters.positionSources.length > 0,
+    filters.includeGround
+  ].filter(Boolean).length;
+}
+
+// --- URL encoding ---
+// alt=min..max, spd=min..max, vs=climbing,descending, country=Brazil,Chile, src=0,2, ground=1
+
+function encodeRange(min: number | null, max: number | null): string | null {
+  if (min === null && max === null) return null;
+  return `${min ?? ''}..${max ?? ''}`;
+}
+
+function decodeRange(value: string | null): [number | null, number | null] {
+  if (!value) return [null, null];
+  const [min, max] = value.split('..').map(v => (v === '' ? null : Number(v)));
+  return [
+    min !== null && Number.isFinite(min) ? min : null,
+    max !== null && max !== undefined && Number.isFinite(max) ? max : null
+  ];
+}
+
+export function parseFilters(search: string): AircraftFilters {
+  const params = new URLSearchParams(search);
+  const [minAltitude, maxAltitude] = decodeRange(params.get('alt'));
+  const [minSpeed, maxSpeed] = decodeRange(params.get('spd'));
+  const list = (key: string) => (params.get(key) || '').split(',').filter(Boolean);
+
+  return {
+    minAltitude,
+    maxAltitude,
+    minSpeed,
+    maxSpeed,
+    verticalStates: list('vs').filter((v): v is VerticalState => VERTICAL_STATES.includes(v as VerticalState)),
+    countries: list('country'),
+    positionSources: list('src').map(Number).filter(Number.isFinite),
+    includeGround: params.get('ground') === '1'
+  };
+}
+
+// Writes the filters into `search`, leaving unrelated query parameters alone
+export function serializeFilters(filters: AircraftFilters, search: string): string {
+  const params = new URLSearchParams(search);
+  const set = (key: string, value: string | null) => {
+    if (value) params.set(key, value);
+    else params.delete(key);
+  };
+
+  set('alt', encodeRange(filters.minAltitude, filters.maxAltitude));
+  set('spd', encodeRange(filters.minSpeed, filters.maxSpeed));
+  set('vs', filters.verticalStates.join(','));
+  set('country', filters.countries.join(','));
+  set('src', filters.positionSources.join(','));
+  set('ground', filters.includeGround ? '1' : null);
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
@@ -0,0 +1,39 @@
+// Spherical geometry helpers (degrees in, kilometres/degrees out)
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRad = (deg: number) => deg * Math.PI / 180;
+const toDeg = (rad: number) => rad * 180 / Math.PI;
+
+export function distanceKm(lon1: number, lat1: number, lon2: number, lat2: number): number {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Initial great-circle bearing from point 1 to point 2, 0-360° clockwise from north
+export function bearingDeg(lon1: number, lat1: number, lon2: number, lat2: number): number {
+  const dLon = toRad(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(toRad(lat2));
+  const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+            Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+  return (toDeg(Math.atan2(y, x)) + 360) % 360;
+}
+
+// Smallest absolute difference between two headings, 0-180°
+export function headingDiff(a: number, b: number): number {
+  const d = Math.abs(a - b) % 360;
+  return d > 180 ? 360 - d : d;
+}
+
+// Point reached travelling `distance` km from a start point along an initial bearing
+export function destinationPoint(lon: number, lat: number, bearing: number, distance: number): [number, number] {
+  const d = distance / EARTH_RADIUS_KM;
+  const b = toRad(bearing);
+  const lat1 = toRad(lat);
+  const lat2 = Math.asin(Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(b));
+  const lon2 = toRad(lon) + Math.atan2(Math.sin(b) * Math.sin(d) * Math.cos(lat1), Math.cos(d) - Math.sin(lat1) * Math.sin(lat2));
+  return [toDeg(lon2), toDeg(lat2)];
+}
@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest';
+import { DATA_INDEX } from '../api/opensky';
+import type { AircraftData } from './aircraft';
+import { createZoneTracker, DEFAULT_ZONE_RULES, evaluateZones, Zone, ZoneRules, zoneContains } from './geofence';
+
+const T0 = 1_700_000_000;
+const INSIDE: [number, number] = [-46.6, -23.5];
+const OUTSIDE: [number, number] = [-45.0, -23.5];
+
+function zone(rules: Partial<ZoneRules> = {}): Zone {
+  return {
+    id: 'sp',
+    name: 'São Paulo',
+    shape: { type: 'circle', center: [-46.6, -23.5], radiusKm: 50 },
+    rules: { ...DEFAULT_ZONE_RULES, ...rules },
+    createdAt: T0
+  };
+}
+
+function aircraft(icao24: string, [lon, lat]: [number, number], altitude = 3000): AircraftData {
+  const state: any[] = new Array(17).fill(null);
+  state[DATA_INDEX.ON_GROUND] = false;
+  return {
+    position: [lon, lat, altitude / 100], heading: 0, icao24, callsign: icao24.toUpperCase(), altitude,
+    velocity: 120, verticalRate: 0, timePosition: T0, observedAt: T0, state
+  };
+}
+
+const kinds = (alerts: { icao24: string; kind: string }[]) => alerts.map(a => `${a.icao24}:${a.kind}`);
+
+describe('zoneContains', () => {
+  it('tests circles by distance and polygons by ray casting', () => {
+    expect(zoneContains(zone(), ...INSIDE)).toBe(true);
+    expect(zoneContains(zone(), ...OUTSIDE)).toBe(false);
+
+    const square: Zone = { ...zone(), shape: { type: 'polygon', points: [[-47, -24], [-46, -24], [-46, -23], [-47, -23]] } };
+    expect(zoneContains(square, -46.5, -23.5)).toBe(true);
+    expect(zoneContains(square, -45.5, -23.5)).toBe(false);
+  });
+});
+
+describe('evaluateZones', () => {
+  it('only records who is inside on the first evaluation', () => {
+    const tracker = createZoneTracker();
+    expect(evaluateZones([zone()], [aircraft('aaaaaa', INSIDE)], T0, tracker)).toEqual([]);
+  });
+
+  it('alerts on entering and leaving', () => {
+    const tracker = createZoneTracker();
+    const zones = [zone()];
+    evaluateZones(zones, [aircraft('aaaaaa', INSIDE), aircraft('bbbbbb', OUTSIDE)], T0, tracker);
+
+    const alerts = evaluateZones(zones, [aircraft('aaaaaa', OUTSIDE), aircraft('bbbbbb', INSIDE)], T0 + 60, tracker);
+    expect(kinds(alerts)).toEqual(['aaaaaa:exit', 'bbbbbb:enter']);
+    expect(alerts[1].message).toBe('BBBBBB entered São Paulo');
+  });
+
+  it('skips entry and exit alerts the zone does not ask for', () => {
+    const tracker = createZoneTracker();
+    const zones = [zone({ enter: false, exit: false })];
+    evaluateZones(zones, [aircraft('aaaaaa', INSIDE), aircraft('bbbbbb', OUTSIDE)], T0, tracker);
+    expect(evaluateZones(zones, [aircraft('aaaaaa', OUTSIDE), aircraft('bbbbbb', INSIDE)], T0 + 60, tracker)).toEqual([]);
+  });
+
+  it('alerts once when an aircraft loiters', () => {
+    const tracker = createZoneTracker();
+    const zones = [zone({ enter: false, loiterMinutes: 10 })];
+    const inside = [aircraft('aaaaaa', INSIDE)];
+
+    expect(evaluateZones(zones, inside, T0, tracker)).toEqual([]);
+    expect(evaluateZones(zones, inside, T0 + 5 * 60, tracker)).toEqual([]);
+    expect(kinds(evaluateZones(zones, inside, T0 + 10 * 60, tracker))).toEqual(['aaaaaa:loiter']);
+    expect(evaluateZones(zones, inside, T0 + 15 * 60, tracker)).toEqual([]);
+  });
+
+  it('starts the loiter clock again on a new visit', () => {
+    const tracker = createZoneTracker();
+    const zones = [zone({ enter: false, exit: false, loiterMinutes: 10 })];
+    evaluateZones(zones, [aircraft('aaaaaa', INSIDE)], T0, tracker);
+    evaluateZones(zones, [aircraft('aaaaaa', OUTSIDE)], T0 + 5 * 60, tracker);
+    evaluateZones(zones, [aircraft('aaaaaa', INSIDE)], T0 + 6 * 60, tracker);
+    expect(evaluateZones(zones, [aircraft('aaaaaa', INSIDE)], T0 + 12 * 60, tracker)).toEqual([]);
+    expect(kinds(evaluateZones(zones, [aircraft('aaaaaa', INSIDE)], T0 + 16 * 60, tracker))).toEqual(['aaaaaa:loiter']);
+  });
+
+  it('forgets aircraft that vanish inside, without an exit alert', () => {
+    const tracker = createZoneTracker();
+    const zones = [zone()];
+    evaluateZones(zones, [aircraft('aaaaaa', INSIDE)], T0, tracker);
+    expect(evaluateZones(zones, [], T0 + 20 * 60, tracker)).toEqual([]);
+    expect(kinds(evaluateZones(zones, [aircraft('aaaaaa', INSIDE)], T0 + 21 * 60, tracker))).toEqual(['aaaaaa:enter']);
+  });
+
+  it('ignores a snapshot that is not newer than the last one', () => {
+    const tracker = createZoneTracker();
+    const zones = [zone()];
+    evaluateZones(zones, [aircraft('aaaaaa', OUTSIDE)], T0, tracker);
+    evaluateZones(zones, [aircraft('aaaaaa', OUTSIDE)], T0 + 60, tracker);
+    expect(evaluateZones(zones, [aircraft('aaaaaa', INSIDE)], T0 + 60, tracker)).toEqual([]);
+  });
+});
@@ -0,0 +1,188 @@
+// Geofence zones: user-drawn circles and polygons with enter/exit/loiter and altitude/speed alerts
+// Evaluated once per live snapshot; presence per zone and aircraft is kept between snapshots.
+
+import { DATA_INDEX } from '../api/opensky';
+import { destinationPoint, distanceKm } from './geo';
+import type { AircraftData } from './aircraft';
+
+export type ZoneShape =
+  | { type: 'circle'; center: [number, number]; radiusKm: number }
+  | { type: 'polygon'; points: [number, number][] };
+
+export interface ZoneRules {
+  enter: boolean;
+  exit: boolean;
+  // Alert when an aircraft stays inside at least this long
+  loiterMinutes: number | null;
+  // Alert when an aircraft inside flies below / above these altitudes (metres)
+  minAltitude: number | null;
+  maxAltitude: number | null;
+  // Alert when an aircraft inside flies faster than this (km/h)
+  maxSpeed: number | null;
+}
+
+export interface Zone {
+  id: string;
+  name: string;
+  shape: ZoneShape;
+  rules: ZoneRules;
+  createdAt: number;
+}
+
+export type AlertKind = 'enter' | 'exit' | 'loiter' | 'altitude' | 'speed';
+
+export interface GeofenceAlert {
+  id: string;
+  kind: AlertKind;
+  zoneId: string;
+  zoneName: string;
+  icao24: string;
+  callsign: string | null;
+  time: number;
+  message: string;
+}
+
+interface Presence {
+  enteredAt: number;
+  lastSeen: number;
+  // Condition alerts already raised during this visit
+  raised: AlertKind[];
+}
+
+export interface ZoneTracker {
+  time: number;
+  // zone id -> icao24 -> presence; a zone without an entry hasn't been evaluated yet
+  zones: Record<string, Record<string, Presence>>;
+}
+
+export const DEFAULT_ZONE_RULES: ZoneRules = {
+  enter: true,
+  exit: true,
+  loiterMinutes: null,
+  minAltitude: null,
+  maxAltitude: null,
+  maxSpeed: null
+};
+
+// Alerts kept in the in-app feed
+export const MAX_ALERTS = 200;
+
+// Aircraft that vanish from the feed while inside are forgotten (without an exit alert) after this
+const PRESENCE_TIMEOUT_S = 15 * 60;
+const CIRCLE_SEGMENTS = 64;
+
+export function createZoneTracker(): ZoneTracker {
+  return { time: 0, zones: {} };
+}
+
+// Ray casting; fine for the small, non-polar areas people draw here
+function pointInPolygon(lon: number, lat: number, points: [number, number][]): boolean {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+export function zoneContains(zone: Zone, lon: number, lat: number): boolean {
+  const { shape } = zone;
+  if (shape.type === 'circle') {
+    return distanceKm(shape.center[0], shape.center[1], lon, lat) <= shape.radiusKm;
+  }
+  return shape.points.length >= 3 && pointInPolygon(lon, lat, shape.points);
+}
+
+// Outline for drawing; circles become regular polygons
+export function zonePolygon(zone: Zone): [number, number][] {
+  const { shape } = zone;
+  if (shape.type === 'polygon') return shape.points;
+  return Array.from({ length: CIRCLE_SEGMENTS }, (_, i) =>
+    destinationPoint(shape.center[0], shape.center[1], i * 360 / CIRCLE_SEGMENTS, shape.radiusKm)
+  );
+}
+
+function alertFor(zone: Zone, aircraft: AircraftData, kind: AlertKind, time: number, detail: string): GeofenceAlert {
+  const name = aircraft.callsign || aircraft.icao24;
+  return {
+    id: `${zone.id}-${aircraft.icao24}-${kind}-${time}`,
+    kind,
+    zoneId: zone.id,
+    zoneName: zone.name,
+    icao24: aircraft.icao24,
+    callsign: aircraft.callsign,
+    time,
+    message: `${name} ${detail} ${zone.name}`
+  };
+}
+
+// Condition alerts for an aircraft inside a zone, raised once per visit
+function conditionAlerts(zone: Zone, aircraft: AircraftData, presence: Presence, time: number): GeofenceAlert[] {
+  const { rules } = zone;
+  const alerts: GeofenceAlert[] = [];
+  const raise = (kind: AlertKind, detail: string) => {
+    if (presence.raised.includes(kind)) return;
+    presence.raised.push(kind);
+    alerts.push(alertFor(zone, aircraft, kind, time, detail));
+  };
+
+  if (rules.loiterMinutes !== null && time - presence.enteredAt >= rules.loiterMinutes * 60) {
+    raise('loiter', `has been for ${Math.round((time - presence.enteredAt) / 60)} min in`);
+  }
+  const onGround = aircraft.state[DATA_INDEX.ON_GROUND] === true;
+  if (!onGround && rules.minAltitude !== null && aircraft.altitude < rules.minAltitude) {
+    raise('altitude', `is at ${Math.round(aircraft.altitude)} m (below ${rules.minAltitude} m) in`);
+  }
+  if (!onGround && rules.maxAltitude !== null && aircraft.altitude > rules.maxAltitude) {
+    raise('altitude', `is at ${Math.round(aircraft.altitude)} m (above ${rules.maxAltitude} m) in`);
+  }
+  const speed = (aircraft.velocity ?? 0) * 3.6;
+  if (rules.maxSpeed !== null && speed > rules.maxSpeed) {
+    raise('speed', `is at ${Math.round(speed)} km/h (over ${rules.maxSpeed}) in`);
+  }
+  return alerts;
+}
+
+// Compares a snapshot against the previous presence in each zone and returns the new alerts.
+// A zone's first evaluation only records who is already inside, so reloading doesn't replay entries.
+export function evaluateZones(zones: Zone[], aircraft: AircraftData[], time: number, tracker: ZoneTracker): GeofenceAlert[] {
+  if (time <= tracker.time) return [];
+  tracker.time = time;
+
+  const alerts: GeofenceAlert[] = [];
+  const byIcao: Record<string, AircraftData> = {};
+  aircraft.forEach(d => { byIcao[d.icao24] = d; });
+
+  // Forget deleted zones
+  Object.keys(tracker.zones).forEach(id => {
+    if (!zones.some(z => z.id === id)) delete tracker.zones[id];
+  });
+
+  zones.forEach(zone => {
+    const seeded = tracker.zones[zone.id] !== undefined;
+    const presence = tracker.zones[zone.id] || {};
+    tracker.zones[zone.id] = presence;
+
+    aircraft.forEach(d => {
+      const inside = zoneContains(zone, d.position[0], d.position[1]);
+      const current = presence[d.icao24];
+      if (inside && !current) {
+        presence[d.icao24] = { enteredAt: time, lastSeen: time, raised: [] };
+        if (seeded && zone.rules.enter) alerts.push(alertFor(zone, d, 'enter', time, 'entered'));
+      } else if (inside && current) {
+        current.lastSeen = time;
+      } else if (!inside && current) {
+        delete presence[d.icao24];
+        if (zone.rules.exit) alerts.push(alertFor(zone, d, 'exit', time, 'left'));
+      }
+      if (inside) alerts.push(...conditionAlerts(zone, d, presence[d.icao24], time));
+    });
+
+    Object.entries(presence).forEach(([icao24, p]) => {
+      if (!byIcao[icao24] && time - p.lastSeen > PRESENCE_TIMEOUT_S) delete presence[icao24];
+    });
+  });
+
+  return alerts;
+}
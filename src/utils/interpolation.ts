@@ -0,0 +1,77 @@
+// Dead-reckoning between polls
+// Positions are extrapolated from each state's TIME_POSITION using velocity, track and
+// vertical rate; when a new snapshot arrives aircraft blend from where they were drawn
+
+export interface MovingAircraft {
+  icao24: string;
+  position: [number, number, number];
+  altitude: number;
+  velocity: number | null;
+  heading: number;
+  verticalRate: number | null;
+  timePosition: number;
+}
+
+// [longitude, latitude, altitude in metres]
+export type DisplayPosition = [number, number, number];
+
+export interface Blend {
+  from: DisplayPosition;
+  start: number;
+}
+
+export type Blends = Map<string, Blend>;
+
+const EARTH_RADIUS_M = 6371000;
+// Don't extrapolate stale states indefinitely (e.g. cached data while rate-limited)
+const MAX_EXTRAPOLATION_S = 10 * 60;
+const BLEND_DURATION_S = 3;
+
+export function deadReckon(aircraft: MovingAircraft, at: number): DisplayPosition {
+  const [lon, lat] = aircraft.position;
+  const dt = Math.max(0, Math.min(MAX_EXTRAPOLATION_S, at - aircraft.timePosition));
+  if (!dt || !aircraft.velocity) return [lon, lat, aircraft.altitude];
+
+  // Flat-earth step along the true track; accurate enough over a few minutes
+  const distance = aircraft.velocity * dt;
+  const track = aircraft.heading * Math.PI / 180;
+  const dLat = (distance * Math.cos(track)) / EARTH_RADIUS_M;
+  const dLon = (distance * Math.sin(track)) / (EARTH_RADIUS_M * Math.cos(lat * Math.PI / 180));
+  const altitude = Math.max(0, aircraft.altitude + (aircraft.verticalRate || 0) * dt);
+
+  return [lon + dLon * 180 / Math.PI, lat + dLat * 180 / Math.PI, altitude];
+}
+
+export function displayPosition(aircraft: MovingAircraft, blend: Blend | undefined, at: number): DisplayPosition {
+  const target = deadReckon(aircraft, at);
+  if (!blend) return target;
+
+  const progress = (at - blend.start) / BLEND_DURATION_S;
+  if (progress >= 1) return target;
+
+  // Ease-out so the correction starts fast and settles smoothly
+  const k = 1 - Math.pow(1 - Math.max(0, progress), 3);
+  return [
+    blend.from[0] + (target[0] - blend.from[0]) * k,
+    blend.from[1] + (target[1] - blend.from[1]) * k,
+    blend.from[2] + (target[2] - blend.from[2]) * k
+  ];
+}
+
+// Blends for a new snapshot, starting from where each aircraft was drawn at `at`
+export function startBlends(
+  previous: MovingAircraft[],
+  previousBlends: Blends | null,
+  next: MovingAircraft[],
+  at: number
+): Blends {
+  const drawn = new Map<string, DisplayPosition>();
+  previous.forEach(a => drawn.set(a.icao24, displayPosition(a, previousBlends?.get(a.icao24), at)));
+
+  const blends: Blends = new Map();
+  next.forEach(a => {
+    const from = drawn.get(a.icao24);
+    if (from) blends.set(a.icao24, { from, start: at });
+  });
+  return blends;
+}
@@ -0,0 +1,41 @@
+// Optional browser notifications for alerts
+// The opt-in is stored per feature in localStorage; the browser permission is asked for when opting in.
+
+export function notificationsSupported(): boolean {
+  return typeof Notification !== 'undefined';
+}
+
+export function loadNotificationPref(key: string): boolean {
+  try {
+    return localStorage.getItem(key) === '1' && notificationsSupported() && Notification.permission === 'granted';
+  } catch {
+    return false;
+  }
+}
+
+// Resolves with whether notifications are on after the change
+export async function setNotificationPref(key: string, enabled: boolean): Promise<boolean> {
+  if (enabled) {
+    if (!notificationsSupported()) return false;
+    const permission = Notification.permission === 'default'
+      ? await Notification.requestPermission()
+      : Notification.permission;
+    if (permission !== 'granted') return false;
+  }
+  try {
+    localStorage.setItem(key, enabled ? '1' : '0');
+  } catch {
+    // Not persisted; still applies for this session
+  }
+  return enabled;
+}
+
+// `tag` replaces an earlier notification with the same tag instead of stacking another one
+export function notify(title: string, body: string, tag?: string): void {
+  if (!notificationsSupported() || Notification.permission !== 'granted') return;
+  try {
+    new Notification(title, { body, tag });
+  } catch {
+    // Some mobile browsers only allow notifications from a service worker
+  }
+}
@@ -0,0 +1,205 @@
+// Reference data: airports (with size class and runways) and airlines, built by
+// scripts/build-reference-data.mjs and served as /reference-data.json (precached by the service worker).
+// Builds with VITE_REFERENCE_UPDATES_URL pick up newer versions as diffs from that URL without a redeploy;
+// the diffs fetched so far are kept in localStorage and applied on top of the bundled version.
+
+import type { Airline } from './airlines';
+import type { Airport, AirportSize } from './airports';
+import { airlineCountries, inRegion, RegionProfile } from './regions';
+import { parseReferenceOffThread } from '../workers/pipeline';
+
+// Must match FORMAT in the build script
+export const REFERENCE_FORMAT = 1;
+
+interface ReferenceTable {
+  fields: string[];
+  rows: any[][];
+}
+
+export interface ReferenceDataset {
+  format: number;
+  version: string;
+  generatedAt: string;
+  airports: ReferenceTable;
+  airlines: ReferenceTable;
+}
+
+// Rows are replaced whole and identified by their first field (the id)
+interface TableDiff {
+  upsert: any[][];
+  remove: number[];
+}
+
+export interface ReferenceDiff {
+  format: number;
+  from: string;
+  to: string;
+  airports: TableDiff;
+  airlines: TableDiff;
+}
+
+// What a region shows, and the dataset version it came from
+export interface ReferenceSelection {
+  version: string;
+  bundledVersion: string;
+  airports: Airport[];
+  airlines: Airline[];
+}
+
+const DATASET_URL = '/reference-data.json';
+const UPDATES_URL = import.meta.env.VITE_REFERENCE_UPDATES_URL;
+const UPDATES_KEY = 'reference_updates';
+const UPDATE_CHECK_KEY = 'reference_update_check';
+const UPDATE_CHECK_INTERVAL = 24 * 60 * 60 * 1000;
+// Longest chain of diffs fetched in one check
+const MAX_DIFFS_PER_CHECK = 10;
+// Airports and airlines used to be downloaded and cached in localStorage under this prefix
+const LEGACY_CACHE_PREFIX = 'openflights_';
+
+// The diffs that lead on from `version`, in order
+function chainFrom(version: string, diffs: ReferenceDiff[]): ReferenceDiff[] {
+  const chain: ReferenceDiff[] = [];
+  let current = version;
+  for (const diff of diffs) {
+    if (diff.format !== REFERENCE_FORMAT || diff.from !== current) continue;
+    chain.push(diff);
+    current = diff.to;
+  }
+  return chain;
+}
+
+function applyTableDiff(table: ReferenceTable, diff: TableDiff): ReferenceTable {
+  const replaced = new Set([...diff.remove, ...diff.upsert.map(row => row[0])]);
+  return { fields: table.fields, rows: [...table.rows.filter(row => !replaced.has(row[0])), ...diff.upsert] };
+}
+
+export function applyDiffs(dataset: ReferenceDataset, diffs: ReferenceDiff[]): ReferenceDataset {
+  return chainFrom(dataset.version, diffs).reduce((current, diff) => ({
+    ...current,
+    version: diff.to,
+    airports: applyTableDiff(current.airports, diff.airports),
+    airlines: applyTableDiff(current.airlines, diff.airlines)
+  }), dataset);
+}
+
+function records(table: ReferenceTable): Record<string, any>[] {
+  return table.rows.map(row => Object.fromEntries(table.fields.map((field, i) => [field, row[i]])));
+}
+
+function toAirport(r: Record<string, any>): Airport {
+  return {
+    id: r.id,
+    name: r.name,
+    city: r.city,
+    country: r.country,
+    iata: r.iata,
+    icao: r.icao,
+    latitude: r.latitude,
+    longitude: r.longitude,
+    altitude: r.altitude,
+    size: r.size as AirportSize,
+    runways: (r.runways as [string, number | null, number | null][]).map(([ident, heading, lengthM]) => ({ ident, heading, lengthM }))
+  };
+}
+
+function toAirline(r: Record<string, any>): Airline {
+  return { id: r.id, name: r.name, alias: r.alias, iata: r.iata, icao: r.icao, callsign: r.callsign, country: r.country };
+}
+
+// Airports in the region's countries (inside its box for drawn regions) and the airlines of its airline
+// countries, sorted by name. Runs in the pipeline worker.
+export function selectReference(text: string, diffs: ReferenceDiff[], region: RegionProfile): ReferenceSelection {
+  const bundled = JSON.parse(text) as ReferenceDataset;
+  if (bundled.format !== REFERENCE_FORMAT) {
+    throw new Error(`Unsupported reference data format ${bundled.format}`);
+  }
+  const dataset = applyDiffs(bundled, diffs);
+
+  const airports = records(dataset.airports).map(toAirport).filter(a => region.countries.length
+    ? region.countries.includes(a.country)
+    : inRegion(region, a.longitude, a.latitude));
+  const countries = airlineCountries(region, airports);
+  const airlines = records(dataset.airlines).map(toAirline)
+    .filter(a => countries.includes(a.country))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  return { version: dataset.version, bundledVersion: bundled.version, airports, airlines };
+}
+
+function loadUpdates(): ReferenceDiff[] {
+  try {
+    const raw = localStorage.getItem(UPDATES_KEY);
+    return raw ? JSON.parse(raw) as ReferenceDiff[] : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveUpdates(diffs: ReferenceDiff[]): void {
+  try {
+    if (diffs.length) localStorage.setItem(UPDATES_KEY, JSON.stringify(diffs));
+    else localStorage.removeItem(UPDATES_KEY);
+  } catch {
+    // Storage full — the diffs are fetched again at the next check
+  }
+}
+
+function dropLegacyCaches(): void {
+  try {
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(LEGACY_CACHE_PREFIX))
+      .forEach(key => localStorage.removeItem(key));
+  } catch {
+    // Storage unavailable — nothing to drop
+  }
+}
+
+// Follows the diffs from `version` to the latest one published, at most once a day; they apply from the next load
+async function checkForUpdates(version: string): Promise<void> {
+  if (!UPDATES_URL) return;
+  const lastCheck = Number(localStorage.getItem(UPDATE_CHECK_KEY)) || 0;
+  if (Date.now() - lastCheck < UPDATE_CHECK_INTERVAL) return;
+  localStorage.setItem(UPDATE_CHECK_KEY, String(Date.now()));
+
+  const base = UPDATES_URL.replace(/\/$/, '');
+  const response = await fetch(`${base}/latest.json`);
+  if (!response.ok) throw new Error(`HTTP error ${response.status} from ${base}/latest.json`);
+  const latest = await response.json() as { version: string };
+
+  const diffs = loadUpdates();
+  let current = version;
+  for (let i = 0; i < MAX_DIFFS_PER_CHECK && current !== latest.version; i++) {
+    const diffResponse = await fetch(`${base}/${encodeURIComponent(current)}.json`);
+    if (!diffResponse.ok) break;
+    const diff = await diffResponse.json() as ReferenceDiff;
+    if (diff.format !== REFERENCE_FORMAT || diff.from !== current) break;
+    diffs.push(diff);
+    current = diff.to;
+  }
+  if (current !== version) {
+    saveUpdates(diffs);
+    console.log(`Reference data ${current} available; applied from the next load`);
+  }
+}
+
+export async function fetchReferenceData(region: RegionProfile): Promise<ReferenceSelection> {
+  dropLegacyCaches();
+  try {
+    const response = await fetch(DATASET_URL);
+    if (!response.ok) throw new Error(`HTTP error ${response.status}`);
+    const text = await response.text();
+    const stored = loadUpdates();
+    const selection = await parseReferenceOffThread(text, stored, region);
+
+    // Diffs for an older bundled version no longer apply
+    const chain = chainFrom(selection.bundledVersion, stored);
+    if (chain.length !== stored.length) saveUpdates(chain);
+
+    console.log(`Reference data ${selection.version}: ${selection.airports.length} ${region.name} airports, ${selection.airlines.length} airlines`);
+    checkForUpdates(selection.version).catch(err => console.warn('Reference data update check failed:', err));
+    return selection;
+  } catch (error) {
+    // Without the dataset (e.g. offline before the service worker has cached it) there's nothing to show
+    console.error('Error loading reference data:', error);
+    return { version: '', bundledVersion: '', airports: [], airlines: [] };
+  }
+}
@@ -0,0 +1,158 @@
+// Region profiles: the area polled, the initial view, whose airports and airlines are shown,
+// the locale for dates and times, and the UTC offset used for quiet hours.
+// Presets cover Brazil and its neighbours; custom regions are boxes drawn on the map (localStorage).
+
+import { BRAZIL_BOUNDS, Bounds } from '../api/opensky';
+import type { Airport } from './airports';
+
+export interface RegionView {
+  longitude: number;
+  latitude: number;
+  zoom: number;
+}
+
+export interface RegionProfile {
+  id: string;
+  name: string;
+  bounds: Bounds;
+  view: RegionView;
+  // Country names as in the reference data; empty for drawn regions, which show the airports inside their box
+  // and the airlines of those airports' countries
+  countries: string[];
+  // BCP 47 language tag for dates and times
+  language: string;
+  // Hours from UTC
+  utcOffset: number;
+  custom?: boolean;
+}
+
+export const DEFAULT_REGION_ID = 'brazil';
+
+export const PRESET_REGIONS: RegionProfile[] = [
+  {
+    id: 'brazil',
+    name: 'Brazil',
+    bounds: BRAZIL_BOUNDS,
+    view: { longitude: -55.0, latitude: -10.0, zoom: 4.2 },
+    countries: ['Brazil'],
+    language: 'pt-BR',
+    utcOffset: -3
+  },
+  {
+    id: 'southern-cone',
+    name: 'Southern Cone',
+    bounds: { lamin: -56, lomin: -76, lamax: -17.5, lomax: -53 },
+    view: { longitude: -64.5, latitude: -36.0, zoom: 3.6 },
+    countries: ['Argentina', 'Chile', 'Uruguay', 'Paraguay', 'Falkland Islands'],
+    language: 'es-AR',
+    utcOffset: -3
+  },
+  {
+    id: 'andes',
+    name: 'Andes and north',
+    bounds: { lamin: -23, lomin: -82, lamax: 13, lomax: -50 },
+    view: { longitude: -68.0, latitude: -4.0, zoom: 3.8 },
+    countries: ['Peru', 'Bolivia', 'Ecuador', 'Colombia', 'Venezuela', 'Guyana', 'Suriname', 'French Guiana'],
+    language: 'es',
+    utcOffset: -5
+  },
+  {
+    id: 'south-america',
+    name: 'South America',
+    bounds: { lamin: -56, lomin: -82, lamax: 13, lomax: -34 },
+    view: { longitude: -60.0, latitude: -22.0, zoom: 3.0 },
+    countries: [
+      'Brazil', 'Argentina', 'Chile', 'Uruguay', 'Paraguay', 'Falkland Islands', 'Peru', 'Bolivia',
+      'Ecuador', 'Colombia', 'Venezuela', 'Guyana', 'Suriname', 'French Guiana'
+    ],
+    language: 'es',
+    utcOffset: -4
+  }
+];
+
+const CUSTOM_REGIONS_KEY = 'custom_regions';
+const REGION_KEY = 'region';
+
+export function loadCustomRegions(): RegionProfile[] {
+  try {
+    const raw = localStorage.getItem(CUSTOM_REGIONS_KEY);
+    return raw ? JSON.parse(raw) as RegionProfile[] : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveCustomRegions(regions: RegionProfile[]): void {
+  try {
+    localStorage.setItem(CUSTOM_REGIONS_KEY, JSON.stringify(regions));
+  } catch {
+    // Storage full — non-critical
+  }
+}
+
+export function findRegion(id: string | null, custom: RegionProfile[]): RegionProfile | null {
+  if (!id) return null;
+  return PRESET_REGIONS.find(r => r.id === id) || custom.find(r => r.id === id) || null;
+}
+
+// ?region= wins over the last region used
+export function initialRegionId(search: string, custom: RegionProfile[]): string {
+  const fromUrl = new URLSearchParams(search).get('region');
+  if (findRegion(fromUrl, custom)) return fromUrl!;
+  let saved: string | null = null;
+  try {
+    saved = localStorage.getItem(REGION_KEY);
+  } catch {
+    // Storage unavailable — use the default
+  }
+  return findRegion(saved, custom) ? saved! : DEFAULT_REGION_ID;
+}
+
+export function saveRegionId(id: string): void {
+  try {
+    localStorage.setItem(REGION_KEY, id);
+  } catch {
+    // Storage full — non-critical
+  }
+}
+
+// Writes the region into `search`, leaving unrelated query parameters alone; the default region is left out
+export function serializeRegion(id: string, search: string): string {
+  const params = new URLSearchParams(search);
+  if (id === DEFAULT_REGION_ID) params.delete('region');
+  else params.set('region', id);
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+// A drawn box; the view is fitted by the caller, which knows the screen size
+export function createCustomRegion(name: string, corners: [[number, number], [number, number]], view: RegionView): RegionProfile {
+  const [[lon1, lat1], [lon2, lat2]] = corners;
+  const bounds = {
+    lamin: Math.min(lat1, lat2),
+    lomin: Math.min(lon1, lon2),
+    lamax: Math.max(lat1, lat2),
+    lomax: Math.max(lon1, lon2)
+  };
+  return {
+    id: `custom-${Date.now()}`,
+    name,
+    bounds,
+    view,
+    countries: [],
+    language: navigator.language,
+    utcOffset: Math.round((bounds.lomin + bounds.lomax) / 2 / 15),
+    custom: true
+  };
+}
+
+export function inRegion(region: RegionProfile, longitude: number, latitude: number): boolean {
+  const { bounds } = region;
+  return latitude >= bounds.lamin && latitude <= bounds.lamax && longitude >= bounds.lomin && longitude <= bounds.lomax;
+}
+
+// Countries whose airlines are shown: the profile's, or for drawn regions those of the airports inside
+export function airlineCountries(region: RegionProfile, airports: Airport[]): string[] {
+  if (region.countries.length) return region.countries;
+  return Array.from(new Set(airports.map(a => a.country))).sort();
+}
@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest';
+import type { Airport } from './airports';
+import { bearingDeg } from './geo';
+import {
+  busiestCityPairs, createCityPairLog, estimateDestination, estimateOrigin, estimateRoutes, recordRoutes,
+  RouteAircraft, RouteEstimate
+} from './routes';
+import type { TrackPoint } from './tracks';
+
+function airport(iata: string, icao: string, city: string, longitude: number, latitude: number, altitude: number): Airport {
+  return { id: 0, name: `${city} ${iata}`, city, country: 'Brazil', iata, icao, latitude, longitude, altitude, size: 'large', runways: [] };
+}
+
+const GRU = airport('GRU', 'SBGR', 'São Paulo', -46.4678, -23.4319, 2461);
+const GIG = airport('GIG', 'SBGL', 'Rio de Janeiro', -43.2437, -22.81, 28);
+const BSB = airport('BSB', 'SBBR', 'Brasília', -47.9186, -15.8711, 3497);
+const AIRPORTS = [GRU, GIG, BSB];
+
+function point(longitude: number, latitude: number, altitude: number, verticalRate: number | null): TrackPoint {
+  return { time: 0, longitude, latitude, altitude, velocity: 120, verticalRate };
+}
+
+// An aircraft at lon/lat flying straight at `target`, off by `offsetDeg`
+function aimedAt(target: Airport, lon: number, lat: number, verticalRate: number | null, offsetDeg = 0): RouteAircraft {
+  return {
+    icao24: 'abc123',
+    callsign: 'TAM3054',
+    position: [lon, lat, 10000],
+    heading: bearingDeg(lon, lat, target.longitude, target.latitude) + offsetDeg,
+    verticalRate
+  };
+}
+
+describe('estimateOrigin', () => {
+  it('takes the airport the aircraft was first seen climbing near', () => {
+    const track = [point(-46.3, -23.4, 900, 8), point(-46.0, -23.2, 5000, 10)];
+    expect(estimateOrigin(track, AIRPORTS)).toBe(GRU);
+  });
+
+  it('ignores level flight and climbs too high above the airport', () => {
+    expect(estimateOrigin([point(-46.4, -23.4, 1200, 0)], AIRPORTS)).toBeNull();
+    expect(estimateOrigin([point(-46.4, -23.4, 5000, 8)], AIRPORTS)).toBeNull();
+  });
+});
+
+describe('estimateDestination', () => {
+  it('picks the airport the track points at', () => {
+    expect(estimateDestination(aimedAt(GIG, -46.0, -23.3, 0, 5), AIRPORTS)).toBe(GIG);
+  });
+
+  it('needs the track to point within the deviation limit', () => {
+    expect(estimateDestination(aimedAt(GIG, -46.0, -23.3, 0, 30), AIRPORTS)).toBeNull();
+  });
+
+  it('only looks nearby for a descending aircraft', () => {
+    // Brasília to Rio is ~900 km
+    expect(estimateDestination(aimedAt(GIG, -47.5, -16.2, 0), AIRPORTS)).toBe(GIG);
+    expect(estimateDestination(aimedAt(GIG, -47.5, -16.2, -10), AIRPORTS)).toBeNull();
+  });
+});
+
+describe('estimateRoutes', () => {
+  it('drops a destination that is the origin', () => {
+    const circuit = aimedAt(GRU, -46.1, -23.3, 0);
+    const [route] = estimateRoutes([circuit], () => [point(-46.4, -23.4, 900, 8)], AIRPORTS);
+    expect(route.origin).toBe(GRU);
+    expect(route.destination).toBeNull();
+  });
+});
+
+describe('busiestCityPairs', () => {
+  it('counts each aircraft once, busiest first', () => {
+    const route = (icao24: string, origin: Airport, destination: Airport): RouteEstimate =>
+      ({ icao24, callsign: null, origin, destination });
+    const log = createCityPairLog();
+    recordRoutes(log, [route('a', GRU, GIG), route('b', GRU, GIG), route('c', BSB, GRU)]);
+    recordRoutes(log, [route('a', GRU, GIG), { icao24: 'd', callsign: null, origin: BSB, destination: null }]);
+
+    expect(busiestCityPairs(log)).toEqual([
+      { from: 'São Paulo', to: 'Rio de Janeiro', count: 2 },
+      { from: 'Brasília', to: 'São Paulo', count: 1 }
+    ]);
+  });
+});
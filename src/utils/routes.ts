@@ -0,0 +1,134 @@
+// Origin–destination estimation for tracked flights
+// Origin: first point in the track history where the aircraft was climbing near an airport.
+// Destination: the airport the current track points at most directly (smallest cross-track distance).
+
+import { airportKey, Airport } from './airports';
+import { bearingDeg, distanceKm, headingDiff } from './geo';
+import { verticalState } from './filters';
+import { ACTIVITY_MAX_HEIGHT_M, ACTIVITY_RADIUS_KM } from './airportActivity';
+import type { TrackPoint } from './tracks';
+
+export interface RouteAircraft {
+  icao24: string;
+  callsign: string | null;
+  position: [number, number, number];
+  heading: number;
+  verticalRate: number | null;
+}
+
+export interface RouteEstimate {
+  icao24: string;
+  callsign: string | null;
+  origin: Airport | null;
+  destination: Airport | null;
+}
+
+export interface CityPair {
+  from: string;
+  to: string;
+  count: number;
+}
+
+const FEET_TO_METRES = 0.3048;
+const MAX_TRACK_DEVIATION_DEG = 15;
+const MIN_DESTINATION_KM = 20;
+const MAX_DESTINATION_KM = 3000;
+// A descending aircraft is assumed to land within this distance
+const MAX_DESCENT_DESTINATION_KM = 300;
+
+function nearestAirport(lon: number, lat: number, altitude: number, airports: Airport[]): Airport | null {
+  let best: Airport | null = null;
+  let bestDistance = ACTIVITY_RADIUS_KM;
+  for (const airport of airports) {
+    if (Math.abs(airport.latitude - lat) > 0.5 || Math.abs(airport.longitude - lon) > 0.5) continue;
+    if (altitude - airport.altitude * FEET_TO_METRES > ACTIVITY_MAX_HEIGHT_M) continue;
+    const distance = distanceKm(lon, lat, airport.longitude, airport.latitude);
+    if (distance <= bestDistance) {
+      best = airport;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+export function estimateOrigin(points: TrackPoint[], airports: Airport[]): Airport | null {
+  for (const p of points) {
+    if (verticalState(p.verticalRate) !== 'climbing') continue;
+    const airport = nearestAirport(p.longitude, p.latitude, p.altitude, airports);
+    if (airport) return airport;
+  }
+  return null;
+}
+
+export function estimateDestination(aircraft: RouteAircraft, airports: Airport[]): Airport | null {
+  const [lon, lat] = aircraft.position;
+  const maxDistance = verticalState(aircraft.verticalRate) === 'descending'
+    ? MAX_DESCENT_DESTINATION_KM
+    : MAX_DESTINATION_KM;
+
+  let best: Airport | null = null;
+  let bestCrossTrack = Infinity;
+  for (const airport of airports) {
+    // Only airports with an IATA code are plausible destinations for tracked traffic
+    if (!airport.iata) continue;
+    const distance = distanceKm(lon, lat, airport.longitude, airport.latitude);
+    if (distance < MIN_DESTINATION_KM || distance > maxDistance) continue;
+    const deviation = headingDiff(aircraft.heading, bearingDeg(lon, lat, airport.longitude, airport.latitude));
+    if (deviation > MAX_TRACK_DEVIATION_DEG) continue;
+    const crossTrack = distance * Math.sin(deviation * Math.PI / 180);
+    if (crossTrack < bestCrossTrack) {
+      best = airport;
+      bestCrossTrack = crossTrack;
+    }
+  }
+  return best;
+}
+
+export function estimateRoutes(
+  aircraft: RouteAircraft[],
+  trackFor: (icao24: string) => TrackPoint[],
+  airports: Airport[]
+): RouteEstimate[] {
+  if (!airports.length) return [];
+  return aircraft.map(a => {
+    const origin = estimateOrigin(trackFor(a.icao24), airports);
+    let destination = estimateDestination(a, airports);
+    // A track pointing back at the departure airport is more likely a circuit than a route
+    if (origin && destination && airportKey(origin) === airportKey(destination)) destination = null;
+    return { icao24: a.icao24, callsign: a.callsign, origin, destination };
+  });
+}
+
+// City pair per aircraft seen this session (icao24 -> "Origin city→Destination city")
+export type CityPairLog = Map<string, string>;
+
+export function createCityPairLog(): CityPairLog {
+  return new Map();
+}
+
+export function recordRoutes(log: CityPairLog, routes: RouteEstimate[]): void {
+  routes.forEach(route => {
+    const pair = cityPairKey(route);
+    if (pair) log.set(route.icao24, pair);
+  });
+}
+
+// Aggregates city pairs, counting each aircraft once
+export function busiestCityPairs(log: CityPairLog, limit = 10): CityPair[] {
+  const counts: Record<string, number> = {};
+  log.forEach(pair => {
+    counts[pair] = (counts[pair] || 0) + 1;
+  });
+  return Object.entries(counts)
+    .map(([pair, count]) => {
+      const [from, to] = pair.split('→');
+      return { from, to, count };
+    })
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+}
+
+export function cityPairKey(route: RouteEstimate): string | null {
+  if (!route.origin || !route.destination) return null;
+  return `${route.origin.city}→${route.destination.city}`;
+}
@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import { BASE_POLL_INTERVAL_MS, nextDailyReset, planNextPoll, QuotaStatus } from './scheduler';
+
+// 15:00 UTC, noon in Brasília (UTC-3)
+const NOON = Date.UTC(2026, 9, 19, 15, 0);
+// 06:00 UTC, 03:00 in Brasília
+const NIGHT = Date.UTC(2026, 9, 19, 6, 0);
+const MINUTE = 60 * 1000;
+
+const NO_QUOTA: QuotaStatus = { remaining: null, retryAt: null, updatedAt: 0 };
+
+function plan(quota: QuotaStatus, options: Partial<Parameters<typeof planNextPoll>[1]> = {}) {
+  return planNextPoll(quota, { usesOpenSky: true, creditsPerPoll: 4, hidden: false, utcOffset: -3, now: NOON, ...options });
+}
+
+describe('planNextPoll', () => {
+  it('polls a whole-country query at the base interval', () => {
+    expect(plan(NO_QUOTA)).toEqual({ delay: BASE_POLL_INTERVAL_MS, reasons: [] });
+  });
+
+  it('polls cheaper OpenSky queries proportionally faster', () => {
+    expect(plan(NO_QUOTA, { creditsPerPoll: 1 }).delay).toBe(BASE_POLL_INTERVAL_MS / 4);
+    expect(plan(NO_QUOTA, { creditsPerPoll: 2 }).delay).toBe(BASE_POLL_INTERVAL_MS / 2);
+    // Other sources don't charge credits
+    expect(plan(NO_QUOTA, { creditsPerPoll: 1, usesOpenSky: false }).delay).toBe(BASE_POLL_INTERVAL_MS);
+  });
+
+  it('slows down in a hidden tab and at night in the region', () => {
+    expect(plan(NO_QUOTA, { hidden: true })).toEqual({ delay: 3 * BASE_POLL_INTERVAL_MS, reasons: ['tab hidden'] });
+    expect(plan(NO_QUOTA, { now: NIGHT })).toEqual({ delay: 2 * BASE_POLL_INTERVAL_MS, reasons: ['night'] });
+    expect(plan(NO_QUOTA, { hidden: true, now: NIGHT }).delay).toBe(6 * BASE_POLL_INTERVAL_MS);
+    // 03:00 in Brasília is not night in Lisbon
+    expect(plan(NO_QUOTA, { now: NIGHT, utcOffset: 0 }).reasons).toEqual([]);
+  });
+
+  it('waits out an OpenSky rate limit', () => {
+    const quota = { ...NO_QUOTA, retryAt: NOON + 2 * MINUTE };
+    expect(plan(quota)).toEqual({ delay: 2 * MINUTE, reasons: ['rate-limited'] });
+    expect(plan(quota, { usesOpenSky: false }).reasons).toEqual([]);
+  });
+
+  it('spreads the remaining credits until the daily reset', () => {
+    const untilReset = nextDailyReset(NOON) - NOON;
+    // 9 hours left, 10 polls' worth of credits
+    expect(plan({ ...NO_QUOTA, remaining: 40 })).toEqual({ delay: untilReset / 10, reasons: ['saving credits'] });
+    // Enough credits: the normal rules apply
+    expect(plan({ ...NO_QUOTA, remaining: 4000 })).toEqual({ delay: BASE_POLL_INTERVAL_MS, reasons: [] });
+  });
+
+  it('waits for the reset when the credits run out', () => {
+    expect(plan({ ...NO_QUOTA, remaining: 3 })).toEqual({ delay: nextDailyReset(NOON) - NOON, reasons: ['out of credits'] });
+  });
+});
+
+describe('nextDailyReset', () => {
+  it('is the next midnight UTC', () => {
+    expect(nextDailyReset(NOON)).toBe(Date.UTC(2026, 9, 20));
+    expect(nextDailyReset(Date.UTC(2026, 9, 20))).toBe(Date.UTC(2026, 9, 21));
+  });
+});
@@ -0,0 +1,113 @@
+// Adaptive polling: paces OpenSky requests by the remaining daily credits, tab visibility and time of day
+// The proxy passes on OpenSky's X-Rate-Limit-Remaining / X-Rate-Limit-Retry-After-Seconds headers; the
+// last values are kept in localStorage so a reload doesn't forget a rate limit.
+
+export interface QuotaStatus {
+  // Credits left today; null until OpenSky reports it (or after the daily reset)
+  remaining: number | null;
+  // Epoch ms before which OpenSky won't answer (set with a 429)
+  retryAt: number | null;
+  updatedAt: number;
+}
+
+export interface PollPlan {
+  // Time from the last poll to the next one
+  delay: number;
+  // Why the delay is what it is, e.g. "tab hidden"; empty at the normal rate
+  reasons: string[];
+}
+
+const QUOTA_KEY = 'opensky_quota';
+
+export const BASE_POLL_INTERVAL_MS = 5 * 60 * 1000;
+// The base interval is for a whole-country query; smaller (cheaper) boxes poll proportionally faster
+const FULL_POLL_CREDITS = 4;
+// Slowest the visibility and time-of-day rules will go; the credit budget can stretch it further
+const MAX_POLL_INTERVAL_MS = 60 * 60 * 1000;
+const HIDDEN_FACTOR = 3;
+const QUIET_FACTOR = 2;
+// Little traffic between 01:00 and 05:00 local time in the region
+const QUIET_HOURS = { from: 1, to: 5 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// OpenSky resets the daily credits at midnight UTC
+export function nextDailyReset(now = Date.now()): number {
+  return Math.floor(now / DAY_MS) * DAY_MS + DAY_MS;
+}
+
+export function loadQuota(now = Date.now()): QuotaStatus {
+  let quota: QuotaStatus = { remaining: null, retryAt: null, updatedAt: 0 };
+  try {
+    const raw = localStorage.getItem(QUOTA_KEY);
+    if (raw) quota = JSON.parse(raw) as QuotaStatus;
+  } catch {
+    // Corrupt entry — start over
+  }
+  // The count is for the day it was reported in
+  const remaining = quota.updatedAt >= nextDailyReset(now) - DAY_MS ? quota.remaining : null;
+  const retryAt = quota.retryAt !== null && quota.retryAt > now ? quota.retryAt : null;
+  return { remaining, retryAt, updatedAt: quota.updatedAt };
+}
+
+// Reads the credit headers of a proxy response; responses without them leave the quota as it was
+export function recordQuota(headers: Headers, now = Date.now()): QuotaStatus {
+  const remaining = headers.get('x-rate-limit-remaining');
+  const retryAfter = headers.get('x-rate-limit-retry-after-seconds');
+  const quota = loadQuota(now);
+  if (remaining === null && retryAfter === null) return quota;
+
+  if (remaining !== null && Number.isFinite(Number(remaining))) quota.remaining = Number(remaining);
+  if (retryAfter !== null && Number.isFinite(Number(retryAfter))) quota.retryAt = now + Number(retryAfter) * 1000;
+  quota.updatedAt = now;
+  try {
+    localStorage.setItem(QUOTA_KEY, JSON.stringify(quota));
+  } catch {
+    // Storage full — non-critical
+  }
+  return quota;
+}
+
+function isQuietHour(now: number, utcOffset: number): boolean {
+  const hour = new Date(now + utcOffset * 60 * 60 * 1000).getUTCHours();
+  return hour >= QUIET_HOURS.from && hour < QUIET_HOURS.to;
+}
+
+// Delay before the next poll. With OpenSky among the sources, cheaper queries poll more often and the
+// remaining credits are spread evenly until the daily reset; the other rules apply to every source.
+export function planNextPoll(quota: QuotaStatus, options: {
+  usesOpenSky: boolean;
+  creditsPerPoll: number;
+  hidden: boolean;
+  // Hours from UTC of the region polled
+  utcOffset: number;
+  now?: number;
+}): PollPlan {
+  const now = options.now ?? Date.now();
+  if (options.usesOpenSky && quota.retryAt !== null && quota.retryAt > now) {
+    return { delay: quota.retryAt - now, reasons: ['rate-limited'] };
+  }
+
+  let delay = options.usesOpenSky
+    ? BASE_POLL_INTERVAL_MS * Math.min(options.creditsPerPoll, FULL_POLL_CREDITS) / FULL_POLL_CREDITS
+    : BASE_POLL_INTERVAL_MS;
+  const reasons: string[] = [];
+  if (options.hidden) {
+    delay *= HIDDEN_FACTOR;
+    reasons.push('tab hidden');
+  }
+  if (isQuietHour(now, options.utcOffset)) {
+    delay *= QUIET_FACTOR;
+    reasons.push('night');
+  }
+  delay = Math.min(delay, MAX_POLL_INTERVAL_MS);
+
+  // The budget is a floor: never poll faster than the credits last
+  if (options.usesOpenSky && quota.remaining !== null) {
+    const untilReset = nextDailyReset(now) - now;
+    const polls = Math.floor(quota.remaining / options.creditsPerPoll);
+    if (polls === 0) return { delay: untilReset, reasons: ['out of credits'] };
+    if (untilReset / polls > delay) return { delay: untilReset / polls, reasons: ['saving credits'] };
+  }
+  return { delay, reasons };
+}
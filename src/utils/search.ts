@@ -0,0 +1,133 @@
+// Fuzzy search over live aircraft and airports
+// Unmatched aircraft queries are remembered in localStorage and checked against later polls
+
+import { airportKey, Airport } from './airports';
+
+export interface SearchableAircraft {
+  icao24: string;
+  callsign: string | null;
+  position: [number, number, number];
+}
+
+export interface SearchResult {
+  kind: 'aircraft' | 'airport';
+  id: string;
+  label: string;
+  detail: string;
+  longitude: number;
+  latitude: number;
+  score: number;
+}
+
+export interface PendingSearch {
+  query: string;
+  createdAt: number;
+}
+
+const PENDING_KEY = 'pending_aircraft_searches';
+const PENDING_MAX_AGE = 24 * 60 * 60 * 1000; // forget after a day
+
+function normalize(text: string): string {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+// 0 means no match; exact > prefix > substring > in-order characters
+export function fuzzyScore(query: string, text: string | null | undefined): number {
+  if (!text) return 0;
+  const q = normalize(query);
+  const t = normalize(text);
+  if (!q) return 0;
+  if (t === q) return 100;
+  if (t.startsWith(q)) return 80;
+  if (t.includes(q)) return 60;
+
+  // Subsequence match, penalised by the gaps between matched characters
+  let ti = 0;
+  let gaps = 0;
+  for (const ch of q) {
+    const found = t.indexOf(ch, ti);
+    if (found === -1) return 0;
+    gaps += found - ti;
+    ti = found + 1;
+  }
+  return Math.max(1, 40 - gaps);
+}
+
+export function searchAll(
+  query: string,
+  aircraft: SearchableAircraft[],
+  airports: Airport[],
+  limit = 10
+): SearchResult[] {
+  if (!query.trim()) return [];
+  const results: SearchResult[] = [];
+
+  aircraft.forEach(a => {
+    const score = Math.max(fuzzyScore(query, a.callsign), fuzzyScore(query, a.icao24));
+    if (!score) return;
+    results.push({
+      kind: 'aircraft',
+      id: a.icao24,
+      label: a.callsign || a.icao24,
+      detail: `Aircraft ${a.icao24}`,
+      longitude: a.position[0],
+      latitude: a.position[1],
+      score
+    });
+  });
+
+  airports.forEach(airport => {
+    const score = Math.max(
+      fuzzyScore(query, airport.iata),
+      fuzzyScore(query, airport.icao),
+      fuzzyScore(query, airport.name) * 0.9,
+      fuzzyScore(query, airport.city) * 0.9
+    );
+    if (!score) return;
+    results.push({
+      kind: 'airport',
+      id: airportKey(airport),
+      label: airport.iata ? `${airport.iata} — ${airport.name}` : airport.name,
+      detail: `${airport.city}${airport.icao ? ` (${airport.icao})` : ''}`,
+      longitude: airport.longitude,
+      latitude: airport.latitude,
+      score
+    });
+  });
+
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+// --- Pending (unmatched) aircraft searches ---
+
+export function loadPendingSearches(): PendingSearch[] {
+  try {
+    const raw = localStorage.getItem(PENDING_KEY);
+    const pending = raw ? JSON.parse(raw) as PendingSearch[] : [];
+    return pending.filter(p => Date.now() - p.createdAt < PENDING_MAX_AGE);
+  } catch {
+    return [];
+  }
+}
+
+export function savePendingSearches(pending: PendingSearch[]): void {
+  try {
+    localStorage.setItem(PENDING_KEY, JSON.stringify(pending));
+  } catch {
+    // Storage full — non-critical
+  }
+}
+
+// Only exact callsign or icao24 matches count as "the flight appeared"
+export function findPendingMatches(
+  pending: PendingSearch[],
+  aircraft: SearchableAircraft[]
+): { search: PendingSearch; aircraft: SearchableAircraft }[] {
+  const matches: { search: PendingSearch; aircraft: SearchableAircraft }[] = [];
+  pending.forEach(search => {
+    const q = normalize(search.query);
+    const found = aircraft.find(a => normalize(a.icao24) === q || (a.callsign && normalize(a.callsign) === q));
+    if (found) matches.push({ search, aircraft: found });
+  });
+  return matches;
+}
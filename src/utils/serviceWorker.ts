@@ -0,0 +1,11 @@
+// Registers the service worker built from src/sw.js (see vite.config.js)
+// Production builds only: the dev server has no /sw.js, and cached modules would get in the way there
+
+export function registerServiceWorker(): void {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(err => {
+      console.warn('Service worker registration failed:', err);
+    });
+  });
+}
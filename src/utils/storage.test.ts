@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { encodeColumnar } from '../../api/_lib/wire';
+import { decodeColumnarSnapshot, FlightData } from './storage';
+
+const T0 = 1_700_000_000;
+
+function state(icao24: string, lon: number, lat: number, time: number, overrides: Record<number, unknown> = {}): any[] {
+  const s: any[] = [icao24, `${icao24.toUpperCase()} `, 'Brazil', time - 2, time - 1, lon, lat, 10000, false, 230.5, 91.25, -3.5, null, 10150, '1200', false, 0];
+  for (const [index, value] of Object.entries(overrides)) s[Number(index)] = value;
+  return s;
+}
+
+// What the Node encoder hands to res.send, as the browser's fetch would expose it
+function wire(data: FlightData, base: FlightData | null = null): ArrayBuffer {
+  const buffer = encodeColumnar(data, base);
+  return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength) as ArrayBuffer;
+}
+
+const byIcao = (data: FlightData) => Object.fromEntries(data.states.map(s => [s[0], s]));
+
+describe('columnar wire format', () => {
+  it('round-trips a full snapshot at the wire precision', () => {
+    const data = {
+      time: T0,
+      states: [
+        state('abc123', -46.123456, -23.654321, T0),
+        state('def456', -43.2, -22.9, T0, { 2: 'Argentina', 7: null, 8: true, 14: null, 15: true, 16: null })
+      ]
+    };
+
+    const decoded = decodeColumnarSnapshot(wire(data));
+    expect(decoded.time).toBe(T0);
+    expect(byIcao(decoded)).toEqual({
+      abc123: ['abc123', 'ABC123 ', 'Brazil', T0 - 2, T0 - 1, -46.12346, -23.65432, 10000, false, 230.5, 91.25, -3.5, null, 10150, '1200', false, 0],
+      def456: ['def456', 'DEF456 ', 'Argentina', T0 - 2, T0 - 1, -43.2, -22.9, null, true, 230.5, 91.25, -3.5, null, 10150, null, true, null]
+    });
+  });
+
+  it('sends only changes against a base and rebuilds the full snapshot from them', () => {
+    const base = {
+      time: T0,
+      states: [state('aaaaaa', -46, -23, T0), state('bbbbbb', -47, -24, T0), state('cccccc', -48, -25, T0)]
+    };
+    const next = {
+      time: T0 + 300,
+      states: [
+        state('aaaaaa', -46, -23, T0), // unchanged, still reporting the same contact times
+        state('bbbbbb', -47.5, -24, T0 + 300), // moved
+        state('dddddd', -49, -26, T0 + 300) // new; cccccc is gone
+      ]
+    };
+
+    const decodedBase = decodeColumnarSnapshot(wire(base));
+    const deltaBuffer = wire(next, base);
+    expect(deltaBuffer.byteLength).toBeLessThan(wire(next).byteLength);
+
+    const fromDelta = decodeColumnarSnapshot(deltaBuffer, decodedBase);
+    expect(fromDelta.time).toBe(T0 + 300);
+    expect(byIcao(fromDelta)).toEqual(byIcao(decodeColumnarSnapshot(wire(next))));
+  });
+
+  it('refuses a delta against a different base', () => {
+    const base = { time: T0, states: [state('aaaaaa', -46, -23, T0)] };
+    const next = { time: T0 + 300, states: [state('aaaaaa', -46.5, -23, T0 + 300)] };
+    const other = { time: T0 - 300, states: [] };
+    expect(() => decodeColumnarSnapshot(wire(next, base), other)).toThrow(/Delta against snapshot/);
+    expect(() => decodeColumnarSnapshot(wire(next, base))).toThrow(/Delta against snapshot/);
+  });
+});
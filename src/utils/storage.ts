@@ -1,19 +1,51 @@
 // IndexedDB-based storage (supports up to 10GB+ depending on browser/disk)
 // Falls back to localStorage if IndexedDB is unavailable
 
+import type { Zone } from './geofence';
+import { loadQuota, nextDailyReset } from './scheduler';
+import { DEFAULT_REGION_ID } from './regions';
+
 const DB_NAME = 'airflight_db';
-const DB_VERSION = 1;
+const DB_VERSION = 4;
 const STORE_NAME = 'flight_data';
+const SNAPSHOT_STORE = 'region_snapshots';
+// Version 3 kept one region's snapshots, keyed by time only
+const LEGACY_SNAPSHOT_STORE = 'snapshots';
+const ZONE_STORE = 'zones';
 const FLIGHT_DATA_KEY = 'current_flight_data';
 const METADATA_KEY = 'metadata';
 
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
-// When API rate-limited (429), cache until daily reset (~24h from first failure)
-const RATE_LIMIT_CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+// After repeated API failures, keep serving the cache for a day
+const FAILURE_CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+
+// Snapshot history retention (one week of 5-minute polls)
+const SNAPSHOT_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+const SNAPSHOT_MAX_COUNT = 2016;
+// Pages of shared history fetched per import (the endpoint sends about an hour of polls per page)
+const MAX_HISTORY_PAGES = 24;
 
 export interface FlightData {
   time: number;
   states: any[][];
+  // See FlightData in api/opensky.ts
+  stateTimes?: Record<string, number>;
+}
+
+// Flight data caches and snapshot history are kept per region; the default region keeps the original keys
+let activeRegion = DEFAULT_REGION_ID;
+
+export function setStorageRegion(id: string): void {
+  activeRegion = id;
+}
+
+function regionKey(key: string): string {
+  return activeRegion === DEFAULT_REGION_ID ? key : `${key}:${activeRegion}`;
+}
+
+// The server poller, the KV cache and the static fallback only cover the default region
+function sharedDataAvailable(): boolean {
+  return activeRegion === DEFAULT_REGION_ID;
 }
 
 interface FlightMetadata {
@@ -32,6 +64,27 @@ function openDB(): Promise<IDBDatabase> {
       if (!db.objectStoreNames.contains(STORE_NAME)) {
         db.createObjectStore(STORE_NAME);
       }
+      // Snapshots are keyed by region and their OpenSky `time` (epoch seconds)
+      if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+        const snapshots = db.createObjectStore(SNAPSHOT_STORE, { keyPath: ['region', 'time'] });
+        // Older snapshots all belong to the default region
+        if (db.objectStoreNames.contains(LEGACY_SNAPSHOT_STORE)) {
+          const cursorRequest = request.transaction!.objectStore(LEGACY_SNAPSHOT_STORE).openCursor();
+          cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (cursor) {
+              snapshots.put({ region: DEFAULT_REGION_ID, time: cursor.value.time, states: cursor.value.states });
+              cursor.continue();
+            } else {
+              db.deleteObjectStore(LEGACY_SNAPSHOT_STORE);
+            }
+          };
+        }
+      }
+      // Geofence zones drawn by the user, keyed by their id
+      if (!db.objectStoreNames.contains(ZONE_STORE)) {
+        db.createObjectStore(ZONE_STORE, { keyPath: 'id' });
+      }
     };
     request.onsuccess = () => resolve(request.result);
     request.onerror = () => reject(request.error);
@@ -60,11 +113,52 @@ async function idbSet<T>(key: string, value: T): Promise<void> {
   });
 }
 
+// --- Snapshot history ---
+
+// Snapshot keys of the active region between two times
+function snapshotKeyRange(from = -Infinity, to = Infinity): IDBKeyRange {
+  return IDBKeyRange.bound([activeRegion, from], [activeRegion, to]);
+}
+
+function withoutRegion(record: FlightData & { region: string }): FlightData {
+  return { time: record.time, states: record.states, ...(record.stateTimes && { stateTimes: record.stateTimes }) };
+}
+
+async function idbPutSnapshot(data: FlightData): Promise<void> {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(SNAPSHOT_STORE, 'readwrite');
+    const request = tx.objectStore(SNAPSHOT_STORE).put({ ...data, region: activeRegion });
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function pruneSnapshots(): Promise<void> {
+  const db = await openDB();
+  const cutoff = Math.floor((Date.now() - SNAPSHOT_MAX_AGE) / 1000);
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(SNAPSHOT_STORE, 'readwrite');
+    const store = tx.objectStore(SNAPSHOT_STORE);
+    const keysRequest = store.getAllKeys(snapshotKeyRange());
+    keysRequest.onsuccess = () => {
+      const keys = keysRequest.result as [string, number][];
+      const overflow = Math.max(0, keys.length - SNAPSHOT_MAX_COUNT);
+      // Keys come back in ascending order, so the oldest are first
+      keys.forEach((key, i) => {
+        if (i < overflow || key[1] < cutoff) store.delete(key);
+      });
+    };
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
 // --- Metadata ---
 
 async function getMetadata(): Promise<FlightMetadata> {
   try {
-    const meta = await idbGet<FlightMetadata>(METADATA_KEY);
+    const meta = await idbGet<FlightMetadata>(regionKey(METADATA_KEY));
     return meta || { timestamp: 0, apiFailureCount: 0, rateLimitedUntil: null };
   } catch {
     return { timestamp: 0, apiFailureCount: 0, rateLimitedUntil: null };
@@ -73,7 +167,7 @@ async function getMetadata(): Promise<FlightMetadata> {
 
 async function setMetadata(meta: FlightMetadata): Promise<void> {
   try {
-    await idbSet(METADATA_KEY, meta);
+    await idbSet(regionKey(METADATA_KEY), meta);
   } catch (error) {
     console.error('Failed to save metadata:', error);
   }
@@ -88,7 +182,7 @@ export async function saveFlightData(data: FlightData): Promise<void> {
   }
 
   try {
-    await idbSet(FLIGHT_DATA_KEY, data);
+    await idbSet(regionKey(FLIGHT_DATA_KEY), data);
     await setMetadata({
       timestamp: Date.now(),
       apiFailureCount: 0,
@@ -96,16 +190,26 @@ export async function saveFlightData(data: FlightData): Promise<void> {
     });
     console.log(`Saved ${data.states.length} aircraft to IndexedDB`);
 
+    // Append to the snapshot history used by the timeline replay
+    try {
+      await idbPutSnapshot(data);
+      await pruneSnapshots();
+    } catch (snapshotError) {
+      console.error('Failed to save snapshot history:', snapshotError);
+    }
+
     // Also sync to Vercel in the background (non-blocking)
-    saveFlightDataToVercel(data).catch(err => {
-      console.debug('Vercel sync failed (non-critical):', err);
-    });
+    if (sharedDataAvailable()) {
+      saveFlightDataToVercel(data).catch(err => {
+        console.debug('Vercel sync failed (non-critical):', err);
+      });
+    }
   } catch (error) {
     console.error('Error saving flight data to IndexedDB:', error);
     // Fallback to localStorage
     try {
-      localStorage.setItem('opensky_flight_data', JSON.stringify(data));
-      localStorage.setItem('opensky_flight_timestamp', Date.now().toString());
+      localStorage.setItem(regionKey('opensky_flight_data'), JSON.stringify(data));
+      localStorage.setItem(regionKey('opensky_flight_timestamp'), Date.now().toString());
     } catch (lsError) {
       console.error('localStorage fallback also failed:', lsError);
     }
@@ -125,7 +229,7 @@ export async function loadFlightData(): Promise<FlightData | null> {
       cacheDuration = meta.rateLimitedUntil - meta.timestamp;
       console.log(`Rate-limited: using cached data until ${new Date(meta.rateLimitedUntil).toLocaleTimeString()}`);
     } else if (meta.apiFailureCount > 3) {
-      cacheDuration = RATE_LIMIT_CACHE_DURATION;
+      cacheDuration = FAILURE_CACHE_DURATION;
     }
 
     if (age > cacheDuration) {
@@ -133,7 +237,7 @@ export async function loadFlightData(): Promise<FlightData | null> {
       return null;
     }
 
-    const data = await idbGet<FlightData>(FLIGHT_DATA_KEY);
+    const data = await idbGet<FlightData>(regionKey(FLIGHT_DATA_KEY));
     if (data && data.states) {
       console.log(`Loaded ${data.states.length} aircraft from cache (age: ${Math.round(age / 1000 / 60)} min)`);
     }
@@ -145,7 +249,7 @@ export async function loadFlightData(): Promise<FlightData | null> {
 
 export async function loadFlightDataEmergency(): Promise<FlightData | null> {
   try {
-    const data = await idbGet<FlightData>(FLIGHT_DATA_KEY);
+    const data = await idbGet<FlightData>(regionKey(FLIGHT_DATA_KEY));
     if (data && data.states) {
       const meta = await getMetadata();
       const age = meta.timestamp ? Date.now() - meta.timestamp : 0;
@@ -155,7 +259,7 @@ export async function loadFlightDataEmergency(): Promise<FlightData | null> {
   } catch {
     // Try localStorage fallback
     try {
-      const raw = localStorage.getItem('opensky_flight_data');
+      const raw = localStorage.getItem(regionKey('opensky_flight_data'));
       return raw ? JSON.parse(raw) : null;
     } catch {
       return null;
@@ -167,9 +271,9 @@ export async function recordApiFailure(statusCode?: number): Promise<void> {
   const meta = await getMetadata();
   meta.apiFailureCount += 1;
 
-  // If rate-limited (429), set a reset time ~24h from now
+  // If rate-limited (429), wait for the retry-after time OpenSky sent, or the daily reset without one
   if (statusCode === 429) {
-    meta.rateLimitedUntil = Date.now() + RATE_LIMIT_CACHE_DURATION;
+    meta.rateLimitedUntil = loadQuota().retryAt ?? nextDailyReset();
     console.log(`Rate limited (429). Caching data until ${new Date(meta.rateLimitedUntil).toLocaleTimeString()}`);
   }
 
@@ -188,6 +292,7 @@ export async function getCacheAge(): Promise<number> {
 }
 
 export async function loadStaticFlightData(): Promise<FlightData | null> {
+  if (!sharedDataAvailable()) return null;
   try {
     const response = await fetch('/flight-data-fallback.json');
     if (!response.ok) return null;
@@ -202,6 +307,245 @@ export async function loadStaticFlightData(): Promise<FlightData | null> {
   }
 }
 
+// Snapshot history (timeline replay)
+
+export async function listSnapshotTimes(): Promise<number[]> {
+  try {
+    const db = await openDB();
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(SNAPSHOT_STORE, 'readonly');
+      const request = tx.objectStore(SNAPSHOT_STORE).getAllKeys(snapshotKeyRange());
+      request.onsuccess = () => resolve((request.result as [string, number][]).map(key => key[1]));
+      request.onerror = () => reject(request.error);
+    });
+  } catch {
+    return [];
+  }
+}
+
+// Returns the latest snapshot taken at or before `time` (epoch seconds)
+export async function loadSnapshotAt(time: number): Promise<FlightData | null> {
+  try {
+    const db = await openDB();
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(SNAPSHOT_STORE, 'readonly');
+      const request = tx.objectStore(SNAPSHOT_STORE).openCursor(snapshotKeyRange(-Infinity, time), 'prev');
+      request.onsuccess = () => resolve(request.result ? withoutRegion(request.result.value) : null);
+      request.onerror = () => reject(request.error);
+    });
+  } catch {
+    return null;
+  }
+}
+
+export async function loadSnapshotRange(from: number, to: number): Promise<FlightData[]> {
+  try {
+    const db = await openDB();
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(SNAPSHOT_STORE, 'readonly');
+      const request = tx.objectStore(SNAPSHOT_STORE).getAll(snapshotKeyRange(from, to));
+      request.onsuccess = () => resolve(request.result.map(withoutRegion));
+      request.onerror = () => reject(request.error);
+    });
+  } catch {
+    return [];
+  }
+}
+
+// Drops everything stored for a region (used when a custom region is deleted)
+export async function deleteRegionData(id: string): Promise<void> {
+  const suffix = id === DEFAULT_REGION_ID ? '' : `:${id}`;
+  const db = await openDB();
+  await new Promise<void>((resolve, reject) => {
+    const tx = db.transaction([STORE_NAME, SNAPSHOT_STORE], 'readwrite');
+    tx.objectStore(STORE_NAME).delete(`${FLIGHT_DATA_KEY}${suffix}`);
+    tx.objectStore(STORE_NAME).delete(`${METADATA_KEY}${suffix}`);
+    tx.objectStore(SNAPSHOT_STORE).delete(IDBKeyRange.bound([id, -Infinity], [id, Infinity]));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+  try {
+    localStorage.removeItem(`opensky_flight_data${suffix}`);
+    localStorage.removeItem(`opensky_flight_timestamp${suffix}`);
+  } catch {
+    // Storage unavailable — nothing to remove
+  }
+}
+
+// Geofence zones
+
+export async function loadZones(): Promise<Zone[]> {
+  try {
+    const db = await openDB();
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(ZONE_STORE, 'readonly');
+      const request = tx.objectStore(ZONE_STORE).getAll();
+      request.onsuccess = () => resolve((request.result as Zone[]).sort((a, b) => a.createdAt - b.createdAt));
+      request.onerror = () => reject(request.error);
+    });
+  } catch {
+    return [];
+  }
+}
+
+export async function saveZone(zone: Zone): Promise<void> {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(ZONE_STORE, 'readwrite');
+    const request = tx.objectStore(ZONE_STORE).put(zone);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export async function deleteZone(id: string): Promise<void> {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(ZONE_STORE, 'readwrite');
+    const request = tx.objectStore(ZONE_STORE).delete(id);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Pulls the shared snapshot history recorded by the server poller into the local store,
+// so the timeline has data even on a first visit. Returns how many snapshots were imported.
+export async function importServerHistory(seconds = 2 * 60 * 60): Promise<number> {
+  if (!sharedDataAvailable()) return 0;
+  let imported = 0;
+  try {
+    const to = Math.floor(Date.now() / 1000);
+    // The endpoint answers a page at a time; `next` is where the following page starts
+    let from: number | null = to - seconds;
+    for (let page = 0; from !== null && page < MAX_HISTORY_PAGES; page++) {
+      const response: Response = await fetch(`/api/flight-data/history?from=${from}&to=${to}`);
+      if (!response.ok) break;
+
+      const result: { success?: boolean; snapshots?: FlightData[]; next?: number | null } = await response.json();
+      if (!result.success || !Array.isArray(result.snapshots)) break;
+
+      const snapshots = result.snapshots
+        .filter(s => s && typeof s.time === 'number' && Array.isArray(s.states));
+      for (const snapshot of snapshots) {
+        await idbPutSnapshot(snapshot);
+      }
+      imported += snapshots.length;
+      from = typeof result.next === 'number' && result.next > from ? result.next : null;
+    }
+  } catch {
+    // Keep what was imported so far
+  }
+  if (imported) await pruneSnapshots().catch(() => {});
+  return imported;
+}
+
+// Compact wire format (encoder and layout description in api/_lib/wire.ts; keep the two in sync)
+
+export const COLUMNAR_MIME = 'application/vnd.flightradar.columnar';
+
+const INT32_NULL = -2147483648;
+const INT16_NULL = -32768;
+const UINT16_NULL = 65535;
+const UINT8_NULL = 255;
+
+// Decodes a columnar payload; delta payloads are applied to `base`, which must be the snapshot they were made against
+export function decodeColumnarSnapshot(buffer: ArrayBuffer, base: FlightData | null = null): FlightData {
+  const headerLength = new DataView(buffer).getUint32(0, true);
+  const header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 4, headerLength)));
+  if (header.v !== 1) throw new Error(`Unsupported wire format version ${header.v}`);
+  if (header.base !== null && (!base || base.time !== header.base)) {
+    throw new Error(`Delta against snapshot ${header.base} but have ${base?.time ?? 'none'}`);
+  }
+
+  const { time, count } = header;
+  let offset = Math.ceil((4 + headerLength) / 4) * 4;
+  const column = <T extends Int32Array | Int16Array | Uint16Array | Uint8Array>(
+    Type: { new(buffer: ArrayBuffer, byteOffset: number, length: number): T; BYTES_PER_ELEMENT: number }
+  ): T => {
+    const array = new Type(buffer, offset, count);
+    offset += count * Type.BYTES_PER_ELEMENT;
+    return array;
+  };
+
+  const lon = column(Int32Array), lat = column(Int32Array);
+  const timePosition = column(Int32Array), lastContact = column(Int32Array);
+  const baroAltitude = column(Int16Array), geoAltitude = column(Int16Array), verticalRate = column(Int16Array);
+  const velocity = column(Uint16Array), trueTrack = column(Uint16Array), country = column(Uint16Array);
+  const flags = column(Uint8Array), positionSource = column(Uint8Array);
+
+  const scaled = (value: number, nullValue: number, scale: number) => value === nullValue ? null : value / scale;
+  const relative = (value: number) => value === INT32_NULL ? null : time + value;
+
+  const byIcao: Record<string, any[]> = {};
+  if (base) {
+    const removed = new Set<string>(header.removed);
+    base.states.forEach(state => {
+      if (!removed.has(state[0])) byIcao[state[0]] = state;
+    });
+  }
+  for (let i = 0; i < count; i++) {
+    byIcao[header.icao24[i]] = [
+      header.icao24[i],
+      header.callsign[i],
+      header.countries[country[i]],
+      relative(timePosition[i]),
+      relative(lastContact[i]),
+      scaled(lon[i], INT32_NULL, 1e5),
+      scaled(lat[i], INT32_NULL, 1e5),
+      scaled(baroAltitude[i], INT16_NULL, 1),
+      (flags[i] & 1) !== 0,
+      scaled(velocity[i], UINT16_NULL, 10),
+      scaled(trueTrack[i], UINT16_NULL, 100),
+      scaled(verticalRate[i], INT16_NULL, 100),
+      null,
+      scaled(geoAltitude[i], INT16_NULL, 1),
+      header.squawk[i],
+      (flags[i] & 2) !== 0,
+      positionSource[i] === UINT8_NULL ? null : positionSource[i]
+    ];
+  }
+
+  return { time, states: Object.values(byIcao) };
+}
+
+// Last snapshot decoded from each endpoint, used as the delta base for the next request
+const compactBases: Record<string, FlightData> = {};
+
+// Fetches a flight-data endpoint preferring the compact format (as a delta when we have a base);
+// servers that don't support it answer with the usual { success, data, timestamp } JSON
+export async function fetchFlightDataCompact(
+  url: string,
+  init: RequestInit = {}
+): Promise<{ data: FlightData | null; timestamp: number | null }> {
+  const base = compactBases[url];
+  const requestUrl = base ? `${url}${url.includes('?') ? '&' : '?'}base=${base.time}` : url;
+  // The caller's headers are kept; only Accept is ours
+  const headers = new Headers(init.headers);
+  headers.set('Accept', `${COLUMNAR_MIME}, application/json;q=0.9`);
+  const response = await fetch(requestUrl, { ...init, headers });
+  if (!response.ok) {
+    throw new Error(`HTTP error ${response.status} from ${url}`);
+  }
+
+  if (!response.headers.get('Content-Type')?.includes(COLUMNAR_MIME)) {
+    const result = await response.json();
+    return { data: result.data ?? null, timestamp: typeof result.timestamp === 'number' ? result.timestamp : null };
+  }
+
+  const timestampHeader = response.headers.get('X-Data-Timestamp');
+  const timestamp = timestampHeader ? Number(timestampHeader) : null;
+  try {
+    const data = decodeColumnarSnapshot(await response.arrayBuffer(), base ?? null);
+    compactBases[url] = data;
+    return { data, timestamp };
+  } catch (error) {
+    // Base mismatch or corrupt payload: drop the base and ask for a full snapshot
+    if (!base) throw error;
+    delete compactBases[url];
+    return fetchFlightDataCompact(url, init);
+  }
+}
+
 // Vercel storage functions
 
 export async function saveFlightDataToVercel(data: FlightData): Promise<boolean> {
@@ -232,19 +576,17 @@ export async function saveFlightDataToVercel(data: FlightData): Promise<boolean>
 }
 
 export async function loadFlightDataFromVercel(): Promise<FlightData | null> {
+  if (!sharedDataAvailable()) return null;
   try {
     const cacheKey = 'vercel_storage_checked';
     if (sessionStorage.getItem(cacheKey)) return null;
 
-    const response = await fetch('/api/flight-data', { cache: 'no-cache' });
     sessionStorage.setItem(cacheKey, 'true');
+    const { data } = await fetchFlightDataCompact('/api/flight-data', { cache: 'no-cache' });
 
-    if (!response.ok) return null;
-
-    const result = await response.json();
-    if (result.success && result.data && result.data.states && Array.isArray(result.data.states)) {
-      console.log(`Loaded ${result.data.states.length} aircraft from Vercel storage`);
-      return result.data;
+    if (data && data.states && Array.isArray(data.states)) {
+      console.log(`Loaded ${data.states.length} aircraft from Vercel storage`);
+      return data;
     }
     return null;
   } catch {
@@ -0,0 +1,77 @@
+// Rolling per-aircraft position history, accumulated across polls
+// Keyed by icao24; times are OpenSky epoch seconds
+
+import { DATA_INDEX, isValidState, stateTime } from '../api/opensky';
+import type { FlightData } from './storage';
+
+export interface TrackPoint {
+  time: number;
+  longitude: number;
+  latitude: number;
+  altitude: number;
+  velocity: number | null;
+  verticalRate: number | null;
+}
+
+export type TrackHistory = Map<string, TrackPoint[]>;
+
+// Points older than this, relative to the snapshot being recorded, are dropped
+export const TRACK_MAX_AGE = 2 * 60 * 60; // 2 hours
+
+export function createTrackHistory(): TrackHistory {
+  return new Map();
+}
+
+export function recordSnapshot(history: TrackHistory, data: FlightData): void {
+  if (!data || !Array.isArray(data.states)) return;
+
+  for (const state of data.states) {
+    if (!Array.isArray(state) || !isValidState(state)) continue;
+
+    const icao24 = state[DATA_INDEX.ICAO24];
+    const lon = state[DATA_INDEX.LONGITUDE];
+    const lat = state[DATA_INDEX.LATITUDE];
+    const altitude = state[DATA_INDEX.BARO_ALTITUDE];
+    if (!icao24 || lon === null || lat === null || altitude === null) continue;
+
+    const time = state[DATA_INDEX.TIME_POSITION] ?? stateTime(data, state);
+    const points = history.get(icao24) || [];
+
+    // Snapshots can be recorded twice (cache then live, or replay), keep times unique and sorted
+    if (points.some(p => p.time === time)) continue;
+    points.push({
+      time,
+      longitude: lon,
+      latitude: lat,
+      altitude,
+      velocity: state[DATA_INDEX.VELOCITY],
+      verticalRate: state[DATA_INDEX.VERTICAL_RATE]
+    });
+    points.sort((a, b) => a.time - b.time);
+    history.set(icao24, points);
+  }
+
+  const cutoff = data.time - TRACK_MAX_AGE;
+  history.forEach((points, icao24) => {
+    const kept = points.filter(p => p.time >= cutoff);
+    if (kept.length) history.set(icao24, kept);
+    else history.delete(icao24);
+  });
+}
+
+// Points of one aircraft within [until - length, until]
+export function getTrail(history: TrackHistory, icao24: string, until: number, length: number): TrackPoint[] {
+  const points = history.get(icao24);
+  if (!points) return [];
+  return points.filter(p => p.time <= until && p.time >= until - length);
+}
+
+// Low altitude = cyan, cruise = magenta (RGB, 0-255)
+export function altitudeColor(altitude: number): [number, number, number] {
+  const t = Math.max(0, Math.min(1, altitude / 12000));
+  return [
+    Math.round(0 + t * 255),
+    Math.round(220 - t * 180),
+    Math.round(255 - t * 40)
+  ];
+}
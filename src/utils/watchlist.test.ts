@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest';
+import { DATA_INDEX } from '../api/opensky';
+import type { AircraftData } from './aircraft';
+import {
+  createWatchTracker, entryMatcher, evaluateWatchlist, mergeWatchlists, parseWatchlistImport, Sighting, WatchEntry
+} from './watchlist';
+
+const T0 = 1_700_000_000;
+
+function entry(pattern: string, id = pattern): WatchEntry {
+  return { id, pattern, note: '', addedAt: 0 };
+}
+
+function aircraft(icao24: string, callsign: string | null): AircraftData {
+  const state: any[] = new Array(17).fill(null);
+  state[DATA_INDEX.ON_GROUND] = false;
+  return {
+    position: [-46.6, -23.5, 100], heading: 0, icao24, callsign, altitude: 10000,
+    velocity: 230, verticalRate: 0, timePosition: T0, observedAt: T0, state
+  };
+}
+
+const matches = (pattern: string, d: AircraftData) => entryMatcher(entry(pattern))(d);
+
+describe('entryMatcher', () => {
+  const gol = aircraft('e48a1b', 'GLO1234');
+
+  it('matches the icao24 or the callsign, ignoring case', () => {
+    expect(matches('E48A1B', gol)).toBe(true);
+    expect(matches('glo1234', gol)).toBe(true);
+    expect(matches('GLO123', gol)).toBe(false);
+  });
+
+  it('expands * to any run of characters and ? to exactly one', () => {
+    expect(matches('GLO*', gol)).toBe(true);
+    expect(matches('*34', gol)).toBe(true);
+    expect(matches('GLO12?4', gol)).toBe(true);
+    expect(matches('GLO1?4', gol)).toBe(false);
+    expect(matches('e48*', gol)).toBe(true);
+  });
+
+  it('treats other regular expression characters literally', () => {
+    expect(matches('GLO.234', gol)).toBe(false);
+    expect(matches('GLO.234', aircraft('abcdef', 'GLO.234'))).toBe(true);
+    expect(matches('(GLO)*', gol)).toBe(false);
+  });
+
+  it('ignores surrounding whitespace and aircraft without a callsign', () => {
+    expect(matches('  GLO*  ', gol)).toBe(true);
+    expect(matches('GLO*', aircraft('e48a1b', null))).toBe(false);
+  });
+});
+
+describe('evaluateWatchlist', () => {
+  it('reports aircraft appearing and disappearing after the first evaluation', () => {
+    const tracker = createWatchTracker();
+    const sightings: Record<string, Sighting> = {};
+    const entries = [entry('GLO*')];
+
+    expect(evaluateWatchlist(entries, [aircraft('aaaaaa', 'GLO1')], T0, tracker, sightings)).toEqual([]);
+    const events = evaluateWatchlist(entries, [aircraft('bbbbbb', 'GLO2')], T0 + 60, tracker, sightings);
+    expect(events.map(e => `${e.icao24}:${e.kind}`)).toEqual(['bbbbbb:appeared', 'aaaaaa:disappeared']);
+    expect(sightings['GLO*']).toMatchObject({ icao24: 'bbbbbb', time: T0 + 60 });
+  });
+
+  it('forgets the sightings of removed entries', () => {
+    const tracker = createWatchTracker();
+    const sightings: Record<string, Sighting> = {};
+    evaluateWatchlist([entry('GLO*')], [aircraft('aaaaaa', 'GLO1')], T0, tracker, sightings);
+    evaluateWatchlist([], [], T0 + 60, tracker, sightings);
+    expect(sightings).toEqual({});
+  });
+});
+
+describe('watchlist import', () => {
+  it('accepts exports, entry arrays and pattern arrays', () => {
+    const patterns = (text: string) => parseWatchlistImport(text).map(e => e.pattern);
+    expect(patterns('{"version":1,"entries":[{"pattern":"GLO*","note":"Gol"}]}')).toEqual(['GLO*']);
+    expect(patterns('[{"pattern":"TAM3?0"},{"pattern":" "}]')).toEqual(['TAM3?0']);
+    expect(patterns('["e48a1b","AZU*"]')).toEqual(['e48a1b', 'AZU*']);
+    expect(() => parseWatchlistImport('{"patterns":[]}')).toThrow();
+  });
+
+  it('merges only patterns that are not on the list yet', () => {
+    const merged = mergeWatchlists([entry('GLO*')], [entry('glo*', 'a'), entry('AZU*', 'b'), entry('azu*', 'c')]);
+    expect(merged.map(e => e.pattern)).toEqual(['GLO*', 'AZU*']);
+  });
+});
@@ -0,0 +1,205 @@
+// Watchlist of tracked aircraft: icao24 values or callsign patterns with * and ? wildcards
+// Entries and the last sighting of each are kept in localStorage; appear/disappear events come
+// from comparing live snapshots.
+
+import { DATA_INDEX } from '../api/opensky';
+import type { AircraftData } from './aircraft';
+
+export interface WatchEntry {
+  id: string;
+  // icao24 or callsign, e.g. "e48a1b", "GLO1*", "TAM3?0"
+  pattern: string;
+  note: string;
+  addedAt: number;
+}
+
+export interface Sighting {
+  icao24: string;
+  callsign: string | null;
+  longitude: number;
+  latitude: number;
+  altitude: number;
+  onGround: boolean;
+  time: number;
+}
+
+export interface WatchEvent {
+  id: string;
+  kind: 'appeared' | 'disappeared';
+  entryId: string;
+  pattern: string;
+  icao24: string;
+  callsign: string | null;
+  time: number;
+  message: string;
+}
+
+export interface WatchTracker {
+  time: number;
+  // entry id -> aircraft matched in the last snapshot; missing until the entry has been evaluated
+  present: Record<string, { icao24: string; callsign: string | null }[]>;
+}
+
+const ENTRIES_KEY = 'watchlist';
+const SIGHTINGS_KEY = 'watchlist_sightings';
+const EXPORT_VERSION = 1;
+
+// Events kept in the in-app feed
+export const MAX_WATCH_EVENTS = 200;
+
+export function createWatchTracker(): WatchTracker {
+  return { time: 0, present: {} };
+}
+
+function patternRegExp(pattern: string): RegExp {
+  const escaped = pattern.trim().replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+}
+
+// Matches either the icao24 or the callsign, case-insensitively
+export function entryMatcher(entry: WatchEntry): (d: AircraftData) => boolean {
+  const re = patternRegExp(entry.pattern);
+  return d => re.test(d.icao24) || (d.callsign !== null && re.test(d.callsign));
+}
+
+// Aircraft in a snapshot matching each entry, by entry id
+export function matchWatchlist(entries: WatchEntry[], aircraft: AircraftData[]): Record<string, AircraftData[]> {
+  const matches: Record<string, AircraftData[]> = {};
+  entries.forEach(entry => { matches[entry.id] = aircraft.filter(entryMatcher(entry)); });
+  return matches;
+}
+
+export function createWatchEntry(pattern: string, note = ''): WatchEntry {
+  return { id: `watch-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`, pattern: pattern.trim(), note, addedAt: Date.now() };
+}
+
+// --- Persistence ---
+
+export function loadWatchlist(): WatchEntry[] {
+  try {
+    const raw = localStorage.getItem(ENTRIES_KEY);
+    return raw ? JSON.parse(raw) as WatchEntry[] : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveWatchlist(entries: WatchEntry[]): void {
+  try {
+    localStorage.setItem(ENTRIES_KEY, JSON.stringify(entries));
+  } catch {
+    // Storage full — non-critical
+  }
+}
+
+// Last sighting per entry id
+export function loadSightings(): Record<string, Sighting> {
+  try {
+    const raw = localStorage.getItem(SIGHTINGS_KEY);
+    return raw ? JSON.parse(raw) as Record<string, Sighting> : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveSightings(sightings: Record<string, Sighting>): void {
+  try {
+    localStorage.setItem(SIGHTINGS_KEY, JSON.stringify(sightings));
+  } catch {
+    // Storage full — non-critical
+  }
+}
+
+export function exportWatchlist(entries: WatchEntry[]): string {
+  return JSON.stringify({ version: EXPORT_VERSION, entries: entries.map(({ pattern, note }) => ({ pattern, note })) }, null, 2);
+}
+
+// Accepts an export, a bare array of entries, or a bare array of patterns. Throws on anything else.
+export function parseWatchlistImport(text: string): WatchEntry[] {
+  const json = JSON.parse(text);
+  const list = Array.isArray(json) ? json : json?.entries;
+  if (!Array.isArray(list)) throw new Error('Expected a watchlist export or an array of entries');
+  return list
+    .map(item => typeof item === 'string' ? { pattern: item, note: '' } : item)
+    .filter(item => item && typeof item.pattern === 'string' && item.pattern.trim())
+    .map(item => createWatchEntry(item.pattern, typeof item.note === 'string' ? item.note : ''));
+}
+
+// Adds imported entries whose pattern isn't on the list yet
+export function mergeWatchlists(entries: WatchEntry[], imported: WatchEntry[]): WatchEntry[] {
+  const known = new Set(entries.map(e => e.pattern.toLowerCase()));
+  const added = imported.filter(e => {
+    const key = e.pattern.toLowerCase();
+    if (known.has(key)) return false;
+    known.add(key);
+    return true;
+  });
+  return [...entries, ...added];
+}
+
+// --- Evaluation ---
+
+function sightingOf(d: AircraftData, time: number): Sighting {
+  return {
+    icao24: d.icao24,
+    callsign: d.callsign,
+    longitude: d.position[0],
+    latitude: d.position[1],
+    altitude: d.altitude,
+    onGround: d.state[DATA_INDEX.ON_GROUND] === true,
+    time
+  };
+}
+
+function eventFor(entry: WatchEntry, kind: WatchEvent['kind'], icao24: string, callsign: string | null, time: number): WatchEvent {
+  const name = callsign || icao24;
+  return {
+    id: `${entry.id}-${icao24}-${kind}-${time}`,
+    kind,
+    entryId: entry.id,
+    pattern: entry.pattern,
+    icao24,
+    callsign,
+    time,
+    message: kind === 'appeared' ? `${name} (${entry.pattern}) appeared` : `${name} (${entry.pattern}) is no longer in the feed`
+  };
+}
+
+// Matches a live snapshot against the watchlist. Updates `sightings` in place and returns the events;
+// an entry's first evaluation only records what is already in the feed.
+export function evaluateWatchlist(
+  entries: WatchEntry[],
+  aircraft: AircraftData[],
+  time: number,
+  tracker: WatchTracker,
+  sightings: Record<string, Sighting>
+): WatchEvent[] {
+  if (time <= tracker.time) return [];
+  tracker.time = time;
+
+  const events: WatchEvent[] = [];
+  const present: WatchTracker['present'] = {};
+  const matched = matchWatchlist(entries, aircraft);
+
+  entries.forEach(entry => {
+    const matches = matched[entry.id];
+    const previous = tracker.present[entry.id];
+    present[entry.id] = matches.map(d => ({ icao24: d.icao24, callsign: d.callsign }));
+
+    if (matches.length) sightings[entry.id] = sightingOf(matches[0], time);
+    if (!previous) return;
+
+    matches.forEach(d => {
+      if (!previous.some(p => p.icao24 === d.icao24)) events.push(eventFor(entry, 'appeared', d.icao24, d.callsign, time));
+    });
+    previous.forEach(p => {
+      if (!matches.some(d => d.icao24 === p.icao24)) events.push(eventFor(entry, 'disappeared', p.icao24, p.callsign, time));
+    });
+  });
+
+  Object.keys(sightings).forEach(id => {
+    if (!entries.some(e => e.id === id)) delete sightings[id];
+  });
+  tracker.present = present;
+  return events;
+}
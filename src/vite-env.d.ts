@@ -3,6 +3,8 @@
 interface ImportMetaEnv {
   readonly VITE_OPENSKY_USERNAME?: string;
   readonly VITE_OPENSKY_PASSWORD?: string;
+  // Where diffs of the reference dataset are published (see scripts/build-reference-data.mjs)
+  readonly VITE_REFERENCE_UPDATES_URL?: string;
 }
 
 interface ImportMeta {
@@ -0,0 +1,132 @@
+// Flight data pipeline, off the UI thread
+// Validates and normalises snapshots, applies the filters, dead-reckons positions and builds
+// the binary attribute buffers the aircraft layers draw from. Buffers are transferred, not copied.
+
+import { normaliseAircraft, AircraftData } from '../utils/aircraft';
+import { buildAirlineIndex, resolveAirline, airlineKey, airlineColor, AirlineIndex, UNKNOWN_AIRLINE_COLOR } from '../utils/airlines';
+import { selectReference } from '../utils/reference';
+import { DEFAULT_FILTERS, matchesFilters, AircraftFilters } from '../utils/filters';
+import { displayPosition, startBlends, Blends } from '../utils/interpolation';
+import { altitudeColor } from '../utils/tracks';
+import type { PipelineRequest, PipelineResult, PipelinePositions } from './pipeline';
+
+interface WorkerScope {
+  onmessage: ((event: MessageEvent) => void) | null;
+  postMessage(message: unknown, transfer?: Transferable[]): void;
+}
+const scope = self as unknown as WorkerScope;
+
+let aircraft: AircraftData[] = [];
+let blends: Blends | null = null;
+let live = true;
+let time = 0;
+let version = 0;
+let visible = new Uint32Array(0);
+
+let filters: AircraftFilters = DEFAULT_FILTERS;
+let airlineFilter: string[] = [];
+let airlineIndex: AirlineIndex = buildAirlineIndex([]);
+let exaggeration = 0;
+
+function buildPositions(now: number): Float32Array {
+  const positions = new Float32Array(visible.length * 3);
+  visible.forEach((index, i) => {
+    const d = aircraft[index];
+    const [lon, lat, altitude] = live
+      ? displayPosition(d, blends?.get(d.icao24), now)
+      : [d.position[0], d.position[1], d.altitude];
+    positions[i * 3] = lon;
+    positions[i * 3 + 1] = lat;
+    positions[i * 3 + 2] = altitude * exaggeration;
+  });
+  return positions;
+}
+
+function build(now: number): PipelineResult {
+  version++;
+  const shown: number[] = [];
+  const airlineCounts: Record<string, number> = {};
+
+  aircraft.forEach((d, index) => {
+    if (!matchesFilters(d.state, filters)) return;
+    const key = airlineKey(d.callsign, airlineIndex);
+    airlineCounts[key] = (airlineCounts[key] || 0) + 1;
+    if (!airlineFilter.length || airlineFilter.includes(key)) shown.push(index);
+  });
+  visible = Uint32Array.from(shown);
+
+  const colors = new Uint8Array(shown.length * 4);
+  const altitudeColors = new Uint8Array(shown.length * 4);
+  const angles = new Float32Array(shown.length);
+  const orientations = new Float32Array(shown.length * 3);
+  shown.forEach((index, i) => {
+    const d = aircraft[index];
+    const airline = resolveAirline(d.callsign, airlineIndex);
+    colors.set([...(airline ? airlineColor(airline.icao.toUpperCase()) : UNKNOWN_AIRLINE_COLOR), 255], i * 4);
+    altitudeColors.set([...altitudeColor(d.altitude), 120], i * 4);
+    angles[i] = -d.heading;
+    // Pitch from the climb angle, yaw from the true track
+    orientations[i * 3] = d.velocity ? Math.atan2(d.verticalRate || 0, d.velocity) * 180 / Math.PI : 0;
+    orientations[i * 3 + 1] = -d.heading;
+  });
+
+  return {
+    version,
+    time,
+    // Copy, so the worker keeps its own for positions
+    visible: visible.slice(),
+    airlineCounts,
+    positions: buildPositions(now),
+    colors,
+    altitudeColors,
+    angles,
+    orientations
+  };
+}
+
+function transferables(result: PipelineResult | PipelinePositions): Transferable[] {
+  if (!('visible' in result)) return [result.positions.buffer];
+  return [result.visible, result.positions, result.colors, result.altitudeColors, result.angles, result.orientations]
+    .map(array => array.buffer);
+}
+
+function handle(request: PipelineRequest): { result: unknown; transfer: Transferable[] } {
+  switch (request.type) {
+    case 'ingest': {
+      const next = normaliseAircraft(request.data);
+      // Replayed snapshots are drawn as recorded; live ones blend from the drawn position
+      blends = request.live ? startBlends(live ? aircraft : [], blends, next, request.now) : null;
+      live = request.live;
+      aircraft = next;
+      time = request.data.time;
+      const result = build(request.now);
+      return { result, transfer: transferables(result) };
+    }
+    case 'configure': {
+      const { options } = request;
+      if (options.filters) filters = options.filters;
+      if (options.airlineFilter) airlineFilter = options.airlineFilter;
+      if (options.airlines) airlineIndex = buildAirlineIndex(options.airlines);
+      if (options.exaggeration !== undefined) exaggeration = options.exaggeration;
+      if (!time) return { result: null, transfer: [] };
+      const result = build(request.now);
+      return { result, transfer: transferables(result) };
+    }
+    case 'positions': {
+      const result: PipelinePositions = { version, positions: buildPositions(request.now) };
+      return { result, transfer: transferables(result) };
+    }
+    case 'parse-reference':
+      return { result: selectReference(request.text, request.diffs, request.region), transfer: [] };
+  }
+}
+
+scope.onmessage = (event: MessageEvent) => {
+  const { id, ...request } = event.data;
+  try {
+    const { result, transfer } = handle(request as PipelineRequest);
+    scope.postMessage({ id, result }, transfer);
+  } catch (error: any) {
+    scope.postMessage({ id, error: error?.message || String(error) });
+  }
+};
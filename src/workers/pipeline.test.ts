@@ -0,0 +1,59 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { configurePipeline, ingestSnapshot } from './pipeline';
+
+// Records what the UI thread posts; tests answer or fail by hand
+class FakeWorker {
+  static instances: FakeWorker[] = [];
+  onmessage: ((event: MessageEvent) => void) | null = null;
+  onerror: ((event: ErrorEvent) => void) | null = null;
+  messages: any[] = [];
+  terminated = false;
+
+  constructor() {
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(message: any) {
+    this.messages.push(message);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  reply(message: any) {
+    this.onmessage?.({ data: message } as MessageEvent);
+  }
+
+  crash(message: string) {
+    this.onerror?.({ message } as ErrorEvent);
+  }
+}
+
+describe('pipeline worker client', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('rejects the waiting calls when the worker dies, and replaces it with the options sent so far', async () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    const snapshot = { time: 1_700_000_000, states: [] };
+
+    const configured = configurePipeline({ exaggeration: 20 });
+    const first = FakeWorker.instances[0];
+    first.reply({ id: first.messages[0].id, result: null });
+    expect(await configured).toBeNull();
+
+    const ingested = ingestSnapshot(snapshot, true);
+    first.crash('out of memory');
+    await expect(ingested).rejects.toThrow('Pipeline worker failed: out of memory');
+    expect(first.terminated).toBe(true);
+
+    const retried = ingestSnapshot(snapshot, true);
+    const second = FakeWorker.instances[1];
+    expect(second.messages.map(m => m.type)).toEqual(['configure', 'ingest']);
+    expect(second.messages[0].options).toEqual({ exaggeration: 20 });
+    second.reply({ id: second.messages[1].id, error: 'Invalid snapshot' });
+    await expect(retried).rejects.toThrow('Invalid snapshot');
+  });
+});
@@ -0,0 +1,111 @@
+// UI-thread side of the flight data pipeline worker
+// Every call is a request/response round trip; the worker handles messages in order, so
+// results arrive in the order they were requested. Typed arrays come back transferred.
+// Calls reject when the worker reports an error or dies; a dead worker is replaced on the next
+// call and gets the options sent so far.
+
+import type { FlightData } from '../api/opensky';
+import type { Airline } from '../utils/airlines';
+import type { AircraftFilters } from '../utils/filters';
+import type { ReferenceDiff, ReferenceSelection } from '../utils/reference';
+import type { RegionProfile } from '../utils/regions';
+
+export interface PipelineOptions {
+  filters?: AircraftFilters;
+  // Airline legend selection (ICAO codes or OTHER_AIRLINE); empty shows everything
+  airlineFilter?: string[];
+  airlines?: Airline[];
+  // Multiplier applied to altitude for the z of `positions`; 0 keeps everything on the ground
+  exaggeration?: number;
+}
+
+// Attribute buffers describe the visible aircraft, in `visible` order
+export interface PipelineResult {
+  version: number;
+  time: number;
+  // Indices into normaliseAircraft(snapshot) passing the filters and the airline selection; the
+  // UI thread normalises the snapshot too, rather than have every aircraft cloned back
+  visible: Uint32Array;
+  // Per airline key, over the aircraft passing the filters (the legend ignores its own selection)
+  airlineCounts: Record<string, number>;
+  positions: Float32Array; // lon, lat, z
+  colors: Uint8Array; // RGBA, by airline
+  altitudeColors: Uint8Array; // RGBA, by altitude (3D drop-lines)
+  angles: Float32Array; // icon angle (degrees, counter-clockwise)
+  orientations: Float32Array; // pitch, yaw, roll for the 3D meshes
+}
+
+export interface PipelinePositions {
+  version: number;
+  positions: Float32Array;
+}
+
+export type PipelineRequest =
+  | { type: 'ingest'; data: FlightData; live: boolean; now: number }
+  | { type: 'configure'; options: PipelineOptions; now: number }
+  | { type: 'positions'; now: number }
+  | { type: 'parse-reference'; text: string; diffs: ReferenceDiff[]; region: RegionProfile };
+
+let worker: Worker | null = null;
+let nextId = 1;
+const pending: Record<number, { resolve: (value: any) => void; reject: (error: Error) => void }> = {};
+// Everything configurePipeline was given, for a replacement worker
+let options: PipelineOptions = {};
+
+function getWorker(): Worker {
+  if (worker) return worker;
+  worker = new Worker(new URL('./flightPipeline.worker.ts', import.meta.url), { type: 'module' });
+  // Id 0 is never pending, so the answer is dropped
+  if (Object.keys(options).length) worker.postMessage({ id: 0, type: 'configure', options, now: Date.now() / 1000 });
+  worker.onmessage = (event: MessageEvent) => {
+    const { id, result, error } = event.data;
+    const request = pending[id];
+    if (!request) return;
+    delete pending[id];
+    if (error) request.reject(new Error(error));
+    else request.resolve(result);
+  };
+  // Requests are answered in a try/catch, so this is a worker that failed to load or crashed
+  worker.onerror = event => {
+    console.error('Pipeline worker error:', event.message);
+    worker?.terminate();
+    worker = null;
+    const error = new Error(`Pipeline worker failed: ${event.message || 'unknown error'}`);
+    Object.keys(pending).forEach(id => {
+      pending[Number(id)].reject(error);
+      delete pending[Number(id)];
+    });
+  };
+  return worker;
+}
+
+function call<T>(request: PipelineRequest): Promise<T> {
+  const id = nextId++;
+  return new Promise<T>((resolve, reject) => {
+    pending[id] = { resolve, reject };
+    getWorker().postMessage({ id, ...request });
+  });
+}
+
+// Validates, normalises and filters a snapshot; `live` enables dead-reckoning and blending
+export function ingestSnapshot(data: FlightData, live: boolean): Promise<PipelineResult> {
+  return call({ type: 'ingest', data, live, now: Date.now() / 1000 });
+}
+
+// Updates filters, airlines or exaggeration; resolves with rebuilt attributes, or null before the first snapshot
+export function configurePipeline(changes: PipelineOptions): Promise<PipelineResult | null> {
+  const result = call<PipelineResult | null>({ type: 'configure', options: changes, now: Date.now() / 1000 });
+  // After the call, so a worker it starts doesn't get the changes twice
+  options = { ...options, ...changes };
+  return result;
+}
+
+// Dead-reckoned positions of the visible aircraft at `now` (epoch seconds)
+export function pipelinePositions(now: number): Promise<PipelinePositions> {
+  return call({ type: 'positions', now });
+}
+
+// Parses the reference dataset, applies the stored diffs and keeps what `region` shows
+export function parseReferenceOffThread(text: string, diffs: ReferenceDiff[], region: RegionProfile): Promise<ReferenceSelection> {
+  return call({ type: 'parse-reference', text, diffs, region });
+}
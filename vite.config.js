@@ -1,8 +1,31 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { createHash } from 'node:crypto';
+import { readFileSync, readdirSync } from 'node:fs';
+
+// Emits the service worker (src/sw.js) as /sw.js with the files to precache: the built app shell,
+// plus the icons, manifest and fallback data in public/. The cache version changes with the file list.
+function serviceWorker() {
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    generateBundle(_options, bundle) {
+      const publicFiles = readdirSync('public').filter(file => /\.(svg|webmanifest|json)$/.test(file));
+      // index.html may not be in the bundle yet when this runs
+      const files = [...new Set(['index.html', ...Object.keys(bundle), ...publicFiles])]
+        .filter(file => !file.endsWith('.map'))
+        .map(file => `/${file}`);
+      const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12);
+      const source = readFileSync('src/sw.js', 'utf8')
+        .replace('self.__PRECACHE_FILES', JSON.stringify(files))
+        .replace('self.__CACHE_VERSION', JSON.stringify(version));
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+    }
+  };
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   server: {
     proxy: {
       '/api/opensky': {